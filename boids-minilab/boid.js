@@ -1,25 +1,41 @@
 /**
  * Boid class representing a single agent in the flocking simulation
- * Implements Reynolds' three rules: Separation, Alignment, Cohesion
+ * Implements Reynolds' three rules: Separation, Alignment, Cohesion,
+ * among boids of the same species, plus fleeing and chasing between
+ * predators and prey, and the pull of goals, waypoints and wind.
+ * Vectors have a z component, which stays zero in the 2D mode; obstacles
+ * and the environment are on the plane and reach through the whole depth.
  */
 class Boid {
-    constructor(x, y, params) {
-        this.position = { x, y };
+    /**
+     * @param {Object} params - Settings shared by all boids
+     * @param {Object} species - Weights, speed, look and role; see species.js
+     */
+    constructor(x, y, params, species) {
+        this.position = { x, y, z: 0 };
         this.velocity = {
             x: (Math.random() - 0.5) * 4,
-            y: (Math.random() - 0.5) * 4
+            y: (Math.random() - 0.5) * 4,
+            z: 0
         };
-        this.acceleration = { x: 0, y: 0 };
+        this.acceleration = { x: 0, y: 0, z: 0 };
         this.params = params;
+        this.species = species;
         this.neighborCount = 0;
 
+        // Nearest visible prey {boid, dx, dy, dz, distance}, for predators
+        this.target = null;
+
+        // Waypoint the boid is heading for along the route
+        this.waypointIndex = 0;
+
         // Trail history for motion trails feature
         this.trail = [];
         this.maxTrailLength = 15;
     }
 
     /**
-     * Get the angle the boid is facing based on velocity
+     * Get the angle the boid is facing in the plane based on velocity
      */
     getAngle() {
         return Math.atan2(this.velocity.y, this.velocity.x);
@@ -29,28 +45,41 @@ class Boid {
      * Get the current speed of the boid
      */
     getSpeed() {
-        return Math.sqrt(this.velocity.x ** 2 + this.velocity.y ** 2);
+        return Math.sqrt(this.velocity.x ** 2 + this.velocity.y ** 2 + this.velocity.z ** 2);
     }
 
     /**
      * Calculate all steering forces and update acceleration
+     * @param {Object} neighbors - Boids within sensing range from
+     *   SpatialGrid.query(), shared by all rules
+     * @param {Object} environment - {goals, waypoints, wind}; see environment.js
      */
-    flock(boids, obstacles, mousePos, canvasWidth, canvasHeight) {
-        const separation = this.separate(boids);
-        const alignment = this.align(boids);
-        const cohesion = this.cohere(boids);
-
-        // Apply weights from parameters
-        separation.x *= this.params.separationWeight;
-        separation.y *= this.params.separationWeight;
-        alignment.x *= this.params.alignmentWeight;
-        alignment.y *= this.params.alignmentWeight;
-        cohesion.x *= this.params.cohesionWeight;
-        cohesion.y *= this.params.cohesionWeight;
-
-        // Apply forces
-        this.acceleration.x = separation.x + alignment.x + cohesion.x;
-        this.acceleration.y = separation.y + alignment.y + cohesion.y;
+    flock(neighbors, obstacles, mousePos, canvasWidth, canvasHeight, environment = null) {
+        const species = this.species;
+        const flee = this.perceive(neighbors);
+
+        const separation = this.separate(neighbors);
+        const alignment = this.align(neighbors);
+        const cohesion = this.cohere(neighbors);
+
+        // Apply weights from the species
+        for (const axis of ['x', 'y', 'z']) {
+            this.acceleration[axis] = separation[axis] * species.separationWeight +
+                alignment[axis] * species.alignmentWeight +
+                cohesion[axis] * species.cohesionWeight;
+        }
+
+        // Predators and prey
+        if (species.role === 'prey') {
+            this.acceleration.x += flee.x * species.fleeWeight * 0.3;
+            this.acceleration.y += flee.y * species.fleeWeight * 0.3;
+            this.acceleration.z += flee.z * species.fleeWeight * 0.3;
+        } else if (this.target) {
+            const chase = this.chase(this.target);
+            this.acceleration.x += chase.x * species.chaseWeight;
+            this.acceleration.y += chase.y * species.chaseWeight;
+            this.acceleration.z += chase.z * species.chaseWeight;
+        }
 
         // Obstacle avoidance
         if (obstacles && obstacles.length > 0) {
@@ -59,6 +88,18 @@ class Boid {
             this.acceleration.y += avoidance.y * 2.5;
         }
 
+        // Goals, route and wind, each with its own weight
+        if (environment) {
+            const params = this.params;
+            const goal = this.seekGoal(environment.goals);
+            const route = this.followRoute(environment.waypoints);
+            const flow = environment.wind.sample(this.position.x, this.position.y);
+            this.acceleration.x += goal.x * params.goalWeight + route.x * params.waypointWeight +
+                flow.x * params.windWeight * 0.1;
+            this.acceleration.y += goal.y * params.goalWeight + route.y * params.waypointWeight +
+                flow.y * params.windWeight * 0.1;
+        }
+
         // Mouse interaction
         if (mousePos && this.params.mouseInteraction !== 'none') {
             const mouseForce = this.respondToMouse(mousePos);
@@ -68,29 +109,84 @@ class Boid {
     }
 
     /**
-     * Check if another boid is within perception (considering cone vision)
+     * Sort out what this boid can see: flockmates of its own species are
+     * kept, compacting the query result in place; prey sum up a flight
+     * vector from predators and predators pick the nearest prey
+     * @returns {{x, y}} Flight vector, zero for predators
      */
-    isInPerception(other) {
-        const dx = other.position.x - this.position.x;
-        const dy = other.position.y - this.position.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+    perceive(neighbors) {
+        const species = this.species;
+        const flee = { x: 0, y: 0, z: 0 };
+        let kept = 0;
+        this.target = null;
+
+        for (let i = 0; i < neighbors.count; i++) {
+            const other = neighbors.boids[i];
+            const dx = neighbors.dx[i];
+            const dy = neighbors.dy[i];
+            const dz = neighbors.dz[i];
+            const distance = neighbors.distance[i];
+
+            if (other.species === species) {
+                if (!this.isInPerception(dx, dy, dz, distance)) continue;
+                neighbors.boids[kept] = other;
+                neighbors.dx[kept] = dx;
+                neighbors.dy[kept] = dy;
+                neighbors.dz[kept] = dz;
+                neighbors.distance[kept] = distance;
+                kept++;
+            } else if (species.role === 'prey' && other.species.role === 'predator') {
+                if (!this.isInPerception(dx, dy, dz, distance, species.fearRadius)) continue;
+                // Away from the predator, harder the closer it is
+                const strength = 1 - distance / species.fearRadius;
+                flee.x -= (dx / distance) * strength;
+                flee.y -= (dy / distance) * strength;
+                flee.z -= (dz / distance) * strength;
+            } else if (species.role === 'predator' && other.species.role === 'prey') {
+                if (!this.isInPerception(dx, dy, dz, distance, species.chaseRadius)) continue;
+                if (!this.target || distance < this.target.distance) {
+                    this.target = { boid: other, dx, dy, dz, distance };
+                }
+            }
+        }
+
+        neighbors.count = kept;
+        this.neighborCount = kept;
+        return flee;
+    }
 
-        if (distance > this.params.neighborRadius || distance === 0) {
+    /**
+     * Distance at which this boid notices others of any species. Prey look
+     * out to their fear radius only when there are predators about, and
+     * predators to their chase radius only when there is prey.
+     * @param {Set<string>} roles - Roles of the species in the simulation
+     */
+    getSensingRadius(roles) {
+        const species = this.species;
+        let reach = 0;
+        if (species.role === 'prey' && roles.has('predator')) reach = species.fearRadius;
+        if (species.role === 'predator' && roles.has('prey')) reach = species.chaseRadius;
+        return Math.max(this.params.neighborRadius, reach);
+    }
+
+    /**
+     * Check if a boid at an offset is within perception (considering cone vision)
+     */
+    isInPerception(dx, dy, dz, distance, radius = this.params.neighborRadius) {
+        if (distance > radius || distance === 0) {
             return false;
         }
 
-        // If using cone perception (180 degrees)
+        // If using cone perception (180 degrees): the angle between the
+        // heading and the offset, the same in the plane and in 3D
         if (this.params.perceptionAngle < 360) {
-            const angle = Math.atan2(dy, dx);
-            const heading = this.getAngle();
-            let diff = angle - heading;
-
-            // Normalize to -PI to PI
-            while (diff > Math.PI) diff -= 2 * Math.PI;
-            while (diff < -Math.PI) diff += 2 * Math.PI;
+            const speed = this.getSpeed();
+            if (speed === 0) return true;
 
+            const cosAngle = (dx * this.velocity.x + dy * this.velocity.y + dz * this.velocity.z) /
+                (distance * speed);
             const halfCone = (this.params.perceptionAngle / 2) * (Math.PI / 180);
-            if (Math.abs(diff) > halfCone) {
+            if (cosAngle < Math.cos(halfCone)) {
                 return false;
             }
         }
@@ -101,24 +197,24 @@ class Boid {
     /**
      * Separation: Steer to avoid crowding local flockmates
      */
-    separate(boids) {
-        const steer = { x: 0, y: 0 };
+    separate(neighbors) {
+        const steer = { x: 0, y: 0, z: 0 };
         let count = 0;
         const desiredSeparation = this.params.neighborRadius * 0.4;
 
-        for (const other of boids) {
-            const dx = this.position.x - other.position.x;
-            const dy = this.position.y - other.position.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        for (let i = 0; i < neighbors.count; i++) {
+            const distance = neighbors.distance[i];
 
-            if (distance > 0 && distance < desiredSeparation && this.isInPerception(other)) {
+            if (distance < desiredSeparation) {
                 // Calculate vector pointing away from neighbor
-                const diffX = dx / distance;
-                const diffY = dy / distance;
+                const diffX = -neighbors.dx[i] / distance;
+                const diffY = -neighbors.dy[i] / distance;
+                const diffZ = -neighbors.dz[i] / distance;
 
                 // Weight by distance (closer = stronger)
                 steer.x += diffX / distance;
                 steer.y += diffY / distance;
+                steer.z += diffZ / distance;
                 count++;
             }
         }
@@ -126,6 +222,7 @@ class Boid {
         if (count > 0) {
             steer.x /= count;
             steer.y /= count;
+            steer.z /= count;
         }
 
         return steer;
@@ -134,85 +231,185 @@ class Boid {
     /**
      * Alignment: Steer towards the average heading of local flockmates
      */
-    align(boids) {
-        const avgVelocity = { x: 0, y: 0 };
-        let count = 0;
-
-        for (const other of boids) {
-            if (this.isInPerception(other)) {
-                avgVelocity.x += other.velocity.x;
-                avgVelocity.y += other.velocity.y;
-                count++;
-            }
+    align(neighbors) {
+        const avgVelocity = { x: 0, y: 0, z: 0 };
+        const count = neighbors.count;
+
+        for (let i = 0; i < count; i++) {
+            avgVelocity.x += neighbors.boids[i].velocity.x;
+            avgVelocity.y += neighbors.boids[i].velocity.y;
+            avgVelocity.z += neighbors.boids[i].velocity.z;
         }
 
         if (count > 0) {
             avgVelocity.x /= count;
             avgVelocity.y /= count;
+            avgVelocity.z /= count;
 
             // Steer towards average velocity
             return {
                 x: (avgVelocity.x - this.velocity.x) * 0.05,
-                y: (avgVelocity.y - this.velocity.y) * 0.05
+                y: (avgVelocity.y - this.velocity.y) * 0.05,
+                z: (avgVelocity.z - this.velocity.z) * 0.05
             };
         }
 
-        return { x: 0, y: 0 };
+        return { x: 0, y: 0, z: 0 };
     }
 
     /**
      * Cohesion: Steer to move toward the average position of local flockmates
      */
-    cohere(boids) {
-        const centerOfMass = { x: 0, y: 0 };
-        let count = 0;
-
-        for (const other of boids) {
-            if (this.isInPerception(other)) {
-                centerOfMass.x += other.position.x;
-                centerOfMass.y += other.position.y;
-                count++;
-            }
+    cohere(neighbors) {
+        // Center of mass relative to this boid, so it holds across a wrapped edge
+        const centerOffset = { x: 0, y: 0, z: 0 };
+        const count = neighbors.count;
+
+        for (let i = 0; i < count; i++) {
+            centerOffset.x += neighbors.dx[i];
+            centerOffset.y += neighbors.dy[i];
+            centerOffset.z += neighbors.dz[i];
         }
 
-        this.neighborCount = count;
-
         if (count > 0) {
-            centerOfMass.x /= count;
-            centerOfMass.y /= count;
+            centerOffset.x /= count;
+            centerOffset.y /= count;
+            centerOffset.z /= count;
 
             // Steer towards center of mass
             return {
-                x: (centerOfMass.x - this.position.x) * 0.005,
-                y: (centerOfMass.y - this.position.y) * 0.005
+                x: centerOffset.x * 0.005,
+                y: centerOffset.y * 0.005,
+                z: centerOffset.z * 0.005
             };
         }
 
-        return { x: 0, y: 0 };
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Chase: Steer at full speed toward the target prey
+     */
+    chase(target) {
+        const maxSpeed = this.species.maxSpeed;
+        return {
+            x: ((target.dx / target.distance) * maxSpeed - this.velocity.x) * 0.1,
+            y: ((target.dy / target.distance) * maxSpeed - this.velocity.y) * 0.1,
+            z: ((target.dz / target.distance) * maxSpeed - this.velocity.z) * 0.1
+        };
+    }
+
+    /**
+     * Seek: steer at full speed toward a point on the plane, easing off
+     * within slowRadius of it
+     */
+    seek(x, y, slowRadius = 0) {
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return { x: 0, y: 0 };
+
+        let speed = this.species.maxSpeed;
+        if (distance < slowRadius) speed *= distance / slowRadius;
+        return {
+            x: ((dx / distance) * speed - this.velocity.x) * 0.05,
+            y: ((dy / distance) * speed - this.velocity.y) * 0.05
+        };
     }
 
     /**
-     * Avoid obstacles by steering away from them
+     * Head for the nearest goal, slowing down on arrival so the flock
+     * gathers around it
+     */
+    seekGoal(goals) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const goal of goals) {
+            const distance = Math.hypot(goal.x - this.position.x, goal.y - this.position.y);
+            if (distance < nearestDistance) {
+                nearest = goal;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest ? this.seek(nearest.x, nearest.y, 60) : { x: 0, y: 0 };
+    }
+
+    /**
+     * Head for the current waypoint, moving on to the next once it is
+     * reached; after the last comes the first again
+     */
+    followRoute(waypoints) {
+        if (waypoints.length === 0) return { x: 0, y: 0 };
+
+        this.waypointIndex %= waypoints.length;
+        let waypoint = waypoints[this.waypointIndex];
+        if (Math.hypot(waypoint.x - this.position.x, waypoint.y - this.position.y) < WAYPOINT_REACH) {
+            this.waypointIndex = (this.waypointIndex + 1) % waypoints.length;
+            waypoint = waypoints[this.waypointIndex];
+        }
+
+        return this.seek(waypoint.x, waypoint.y);
+    }
+
+    /**
+     * Avoid obstacles by looking ahead along the heading: when the ray hits
+     * something, steer toward the nearest clear direction, harder the
+     * closer the hit. Surfaces already within reach push the boid away.
+     * Only motion in the plane matters, since obstacles span the depth.
      */
     avoidObstacles(obstacles) {
-        const steer = { x: 0, y: 0 };
+        const steer = { x: 0, y: 0, z: 0 };
+        const speed = Math.hypot(this.velocity.x, this.velocity.y);
+        if (speed === 0) return steer;
+
+        const heading = { x: this.velocity.x / speed, y: this.velocity.y / speed };
+        const lookAhead = 30 + speed * 15;
+        const hit = raycastObstacles(this.position, heading, lookAhead, obstacles);
+
+        if (hit) {
+            const clear = this.findClearHeading(heading, hit.normal, lookAhead, obstacles);
+            const urgency = 1 - hit.distance / lookAhead;
+            const maxSpeed = this.species.maxSpeed;
+            steer.x += (clear.x * maxSpeed - this.velocity.x) * urgency * 0.2;
+            steer.y += (clear.y * maxSpeed - this.velocity.y) * urgency * 0.2;
+        }
 
+        const personalSpace = this.species.size + 10;
         for (const obstacle of obstacles) {
-            const dx = this.position.x - obstacle.x;
-            const dy = this.position.y - obstacle.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const avoidRadius = obstacle.radius + 30;
-
-            if (distance < avoidRadius && distance > 0) {
-                const strength = 1 - (distance / avoidRadius);
-                steer.x += (dx / distance) * strength * 2;
-                steer.y += (dy / distance) * strength * 2;
-            }
+            const nearest = nearestObstaclePoint(this.position, obstacle);
+            if (nearest.distance >= personalSpace || nearest.distance === 0) continue;
+
+            // Away from the surface, or out through it from inside
+            const sign = nearest.inside ? -1 : 1;
+            const strength = (1 - nearest.distance / personalSpace) * sign / nearest.distance;
+            steer.x += (this.position.x - nearest.point.x) * strength;
+            steer.y += (this.position.y - nearest.point.y) * strength;
         }
 
         return steer;
     }
 
+    /**
+     * Turn further and further from the heading, trying the side the hit
+     * surface faces first, until a ray of the look-ahead length is clear
+     * @returns {{x, y}} Unit direction; back along the normal if boxed in
+     */
+    findClearHeading(heading, normal, lookAhead, obstacles) {
+        const side = normal.x * -heading.y + normal.y * heading.x >= 0 ? 1 : -1;
+        const angle = Math.atan2(heading.y, heading.x);
+
+        for (let step = 1; step <= 8; step++) {
+            for (const turn of [side, -side]) {
+                const a = angle + turn * step * Math.PI / 12;
+                const direction = { x: Math.cos(a), y: Math.sin(a) };
+                if (!raycastObstacles(this.position, direction, lookAhead, obstacles)) return direction;
+            }
+        }
+
+        return normal;
+    }
+
     /**
      * Respond to mouse position (attract or repel)
      */
@@ -244,10 +441,10 @@ class Boid {
     /**
      * Update position based on velocity and acceleration
      */
-    update(canvasWidth, canvasHeight) {
+    update(canvasWidth, canvasHeight, obstacles = [], depth = 0) {
         // Store position for trail
         if (this.params.showTrails) {
-            this.trail.push({ x: this.position.x, y: this.position.y });
+            this.trail.push({ x: this.position.x, y: this.position.y, z: this.position.z });
             if (this.trail.length > this.maxTrailLength) {
                 this.trail.shift();
             }
@@ -258,12 +455,15 @@ class Boid {
         // Update velocity
         this.velocity.x += this.acceleration.x;
         this.velocity.y += this.acceleration.y;
+        this.velocity.z += this.acceleration.z;
 
         // Limit speed
         const speed = this.getSpeed();
-        if (speed > this.params.maxSpeed) {
-            this.velocity.x = (this.velocity.x / speed) * this.params.maxSpeed;
-            this.velocity.y = (this.velocity.y / speed) * this.params.maxSpeed;
+        const maxSpeed = this.species.maxSpeed;
+        if (speed > maxSpeed) {
+            this.velocity.x = (this.velocity.x / speed) * maxSpeed;
+            this.velocity.y = (this.velocity.y / speed) * maxSpeed;
+            this.velocity.z = (this.velocity.z / speed) * maxSpeed;
         }
 
         // Ensure minimum speed
@@ -271,24 +471,73 @@ class Boid {
         if (speed < minSpeed) {
             this.velocity.x = (this.velocity.x / speed) * minSpeed;
             this.velocity.y = (this.velocity.y / speed) * minSpeed;
+            this.velocity.z = (this.velocity.z / speed) * minSpeed;
         }
 
-        // Update position
-        this.position.x += this.velocity.x;
-        this.position.y += this.velocity.y;
+        // Update position, stopping at any obstacle in the way
+        if (obstacles.length > 0) {
+            this.collide(obstacles);
+        } else {
+            this.position.x += this.velocity.x;
+            this.position.y += this.velocity.y;
+        }
+        this.position.z += this.velocity.z;
 
         // Handle boundaries
-        this.handleBoundaries(canvasWidth, canvasHeight);
+        this.handleBoundaries(canvasWidth, canvasHeight, depth);
 
         // Reset acceleration
         this.acceleration.x = 0;
         this.acceleration.y = 0;
+        this.acceleration.z = 0;
+    }
+
+    /**
+     * Move by the velocity unless that crosses an obstacle surface, in which
+     * case stop short and bounce off it. A boid left inside an obstacle,
+     * say one just drawn or dragged over it, is put back outside. Depth
+     * plays no part, as obstacles span all of it.
+     */
+    collide(obstacles) {
+        const step = Math.hypot(this.velocity.x, this.velocity.y);
+        if (step === 0) return;
+        const direction = { x: this.velocity.x / step, y: this.velocity.y / step };
+        const hit = raycastObstacles(this.position, direction, step, obstacles);
+
+        if (hit) {
+            const travel = Math.max(0, hit.distance - 0.5);
+            this.position.x += direction.x * travel;
+            this.position.y += direction.y * travel;
+
+            // Reflect off the surface, losing some speed like at the edges
+            const { normal } = hit;
+            const along = this.velocity.x * normal.x + this.velocity.y * normal.y;
+            this.velocity.x = (this.velocity.x - 2 * along * normal.x) * 0.8;
+            this.velocity.y = (this.velocity.y - 2 * along * normal.y) * 0.8;
+        } else {
+            this.position.x += this.velocity.x;
+            this.position.y += this.velocity.y;
+        }
+
+        for (const obstacle of obstacles) {
+            if (obstacle.type === 'wall') continue;
+            const nearest = nearestObstaclePoint(this.position, obstacle);
+            if (!nearest.inside) continue;
+
+            // Just past the nearest point of the surface
+            const dx = nearest.point.x - this.position.x;
+            const dy = nearest.point.y - this.position.y;
+            const distance = Math.hypot(dx, dy) || 1;
+            this.position.x = nearest.point.x + (dx / distance) * 0.5;
+            this.position.y = nearest.point.y + (dy / distance) * 0.5;
+        }
     }
 
     /**
      * Handle boundary behavior (wrap or bounce)
+     * @param {number} depth - Depth of the volume in 3D, zero in 2D
      */
-    handleBoundaries(width, height) {
+    handleBoundaries(width, height, depth = 0) {
         const margin = 20;
 
         if (this.params.boundaryMode === 'wrap') {
@@ -297,6 +546,10 @@ class Boid {
             if (this.position.x > width) this.position.x = 0;
             if (this.position.y < 0) this.position.y = height;
             if (this.position.y > height) this.position.y = 0;
+            if (depth > 0) {
+                if (this.position.z < 0) this.position.z = depth;
+                if (this.position.z > depth) this.position.z = 0;
+            }
         } else {
             // Bounce off edges
             if (this.position.x < margin) {
@@ -315,50 +568,66 @@ class Boid {
                 this.position.y = height - margin;
                 this.velocity.y *= -0.8;
             }
+            if (depth > 0 && this.position.z < margin) {
+                this.position.z = margin;
+                this.velocity.z *= -0.8;
+            }
+            if (depth > 0 && this.position.z > depth - margin) {
+                this.position.z = depth - margin;
+                this.velocity.z *= -0.8;
+            }
         }
     }
 
     /**
-     * Draw the boid on the canvas
+     * Draw the boid on the canvas, or through an orbit camera in 3D, where
+     * farther boids come out smaller and darker
      */
-    draw(ctx, theme) {
-        const angle = this.getAngle();
+    draw(ctx, theme, camera = null) {
+        const view = camera ? this.project(camera) : {
+            x: this.position.x,
+            y: this.position.y,
+            angle: this.getAngle(),
+            scale: 1,
+            stretch: 1,
+            light: 1
+        };
+        if (!view) return;
+
         const speed = this.getSpeed();
-        const size = 8;
+        const size = this.species.size * view.scale;
+        const { h, s, l } = this.species.hsl;
+        const speedRatio = speed / this.species.maxSpeed;
+        const light = view.light;
 
         // Draw trail if enabled
-        if (this.params.showTrails && this.trail.length > 1) {
+        const trail = camera ? this.trail.map(p => camera.project(p.x, p.y, p.z)) : this.trail;
+        if (this.params.showTrails && trail.length > 1 && trail.every(Boolean)) {
             ctx.beginPath();
-            ctx.moveTo(this.trail[0].x, this.trail[0].y);
+            ctx.moveTo(trail[0].x, trail[0].y);
 
-            for (let i = 1; i < this.trail.length; i++) {
-                ctx.lineTo(this.trail[i].x, this.trail[i].y);
+            for (let i = 1; i < trail.length; i++) {
+                ctx.lineTo(trail[i].x, trail[i].y);
             }
 
             const gradient = ctx.createLinearGradient(
-                this.trail[0].x, this.trail[0].y,
-                this.position.x, this.position.y
+                trail[0].x, trail[0].y,
+                view.x, view.y
             );
 
-            if (theme === 'neon') {
-                gradient.addColorStop(0, 'rgba(0, 255, 255, 0)');
-                gradient.addColorStop(1, 'rgba(0, 255, 255, 0.5)');
-            } else if (theme === 'nature') {
-                gradient.addColorStop(0, 'rgba(124, 179, 66, 0)');
-                gradient.addColorStop(1, 'rgba(124, 179, 66, 0.5)');
-            } else {
-                gradient.addColorStop(0, 'rgba(233, 69, 96, 0)');
-                gradient.addColorStop(1, 'rgba(233, 69, 96, 0.5)');
-            }
+            // Species color, fading out along the trail
+            gradient.addColorStop(0, `hsla(${h}, ${s}%, ${l * light}%, 0)`);
+            gradient.addColorStop(1, `hsla(${h}, ${s}%, ${l * light}%, 0.5)`);
 
             ctx.strokeStyle = gradient;
-            ctx.lineWidth = 2;
+            ctx.lineWidth = 2 * view.scale;
             ctx.stroke();
         }
 
         ctx.save();
-        ctx.translate(this.position.x, this.position.y);
-        ctx.rotate(angle);
+        ctx.translate(view.x, view.y);
+        ctx.rotate(view.angle);
+        ctx.scale(view.stretch, 1);
 
         // Draw boid as triangle
         ctx.beginPath();
@@ -372,9 +641,8 @@ class Boid {
             ctx.quadraticCurveTo(-size * 0.5, size * 0.6, size, 0);
             ctx.closePath();
 
-            // Color based on speed
-            const hue = 80 + (speed / this.params.maxSpeed) * 40;
-            ctx.fillStyle = `hsl(${hue}, 70%, 50%)`;
+            // Species hue, shifted with speed
+            ctx.fillStyle = `hsl(${h + speedRatio * 20}, 70%, ${50 * light}%)`;
         } else if (theme === 'neon') {
             // Glowing triangle for neon theme
             ctx.moveTo(size, 0);
@@ -384,9 +652,9 @@ class Boid {
             ctx.closePath();
 
             // Glow effect
-            ctx.shadowBlur = 15;
-            ctx.shadowColor = `hsl(${180 + (speed / this.params.maxSpeed) * 120}, 100%, 50%)`;
-            ctx.fillStyle = `hsl(${180 + (speed / this.params.maxSpeed) * 120}, 100%, 60%)`;
+            ctx.shadowBlur = 15 * light;
+            ctx.shadowColor = `hsl(${h + speedRatio * 40}, 100%, 50%)`;
+            ctx.fillStyle = `hsl(${h + speedRatio * 40}, 100%, ${60 * light}%)`;
         } else {
             // Simple triangle for minimal theme
             ctx.moveTo(size, 0);
@@ -395,12 +663,41 @@ class Boid {
             ctx.lineTo(-size, size * 0.6);
             ctx.closePath();
 
-            // Color based on speed
-            const brightness = 50 + (speed / this.params.maxSpeed) * 30;
-            ctx.fillStyle = `hsl(350, 80%, ${brightness}%)`;
+            // Species color, brighter with speed
+            const brightness = 50 + speedRatio * 30;
+            ctx.fillStyle = `hsl(${h}, ${s}%, ${brightness * light}%)`;
         }
 
         ctx.fill();
         ctx.restore();
     }
+
+    /**
+     * How the boid looks through a camera: where it is on screen, which
+     * way its heading points there, how much it is foreshortened, and how
+     * brightly it is lit at its depth
+     * @returns {Object|null} null when behind the camera
+     */
+    project(camera) {
+        const { x, y, z } = this.position;
+        const center = camera.project(x, y, z);
+        if (!center) return null;
+
+        // A point a body length ahead along the heading
+        const reach = this.species.size / (this.getSpeed() || 1);
+        const ahead = camera.project(x + this.velocity.x * reach, y + this.velocity.y * reach,
+            z + this.velocity.z * reach);
+        if (!ahead) return null;
+
+        const dx = ahead.x - center.x;
+        const dy = ahead.y - center.y;
+        return {
+            x: center.x,
+            y: center.y,
+            angle: Math.atan2(dy, dx),
+            scale: center.scale,
+            stretch: Math.min(1, Math.max(0.3, Math.hypot(dx, dy) / (this.species.size * center.scale))),
+            light: 0.3 + 0.7 * camera.nearness(center.depth)
+        };
+    }
 }
@@ -0,0 +1,93 @@
+/**
+ * Orbit camera for the 3D mode
+ * Looks at the middle of the simulation volume from some distance, turned
+ * by yaw around the vertical axis and by pitch above or below it, and
+ * projects world points with perspective. World y points down, as on the
+ * canvas, and z points away from the default view.
+ */
+class OrbitCamera {
+    constructor() {
+        this.yaw = 0.6;
+        this.pitch = 0.35; // Positive looks down on the volume
+        this.distance = null; // Set to fit the volume on the first frame
+        this.fieldOfView = Math.PI / 4;
+
+        this.target = { x: 0, y: 0, z: 0 };
+        this.radius = 1; // Half the diagonal of the volume
+        this.center = { x: 0, y: 0 }; // Middle of the screen
+        this.focalLength = 1;
+        this.updateRotation();
+    }
+
+    /**
+     * Aim at the middle of a volume, for a screen of a given size
+     */
+    frame(width, height, depth, screenWidth, screenHeight) {
+        this.target = { x: width / 2, y: height / 2, z: depth / 2 };
+        this.radius = Math.hypot(width, height, depth) / 2;
+        this.center = { x: screenWidth / 2, y: screenHeight / 2 };
+        this.focalLength = (screenHeight / 2) / Math.tan(this.fieldOfView / 2);
+        if (this.distance === null) this.distance = this.radius * 2.4;
+        this.distance = Math.min(this.radius * 8, Math.max(this.radius * 1.2, this.distance));
+    }
+
+    updateRotation() {
+        this.cosYaw = Math.cos(this.yaw);
+        this.sinYaw = Math.sin(this.yaw);
+        this.cosPitch = Math.cos(this.pitch);
+        this.sinPitch = Math.sin(this.pitch);
+    }
+
+    /**
+     * Turn the camera by a mouse drag in pixels
+     */
+    orbit(dx, dy) {
+        this.yaw += dx * 0.008;
+        this.pitch = Math.min(1.4, Math.max(-1.4, this.pitch + dy * 0.008));
+        this.updateRotation();
+    }
+
+    /**
+     * Move closer or farther by a mouse wheel delta
+     */
+    zoom(delta) {
+        this.distance *= Math.exp(delta * 0.001);
+    }
+
+    /**
+     * Screen position of a world point
+     * @returns {{x, y, scale, depth}|null} scale is pixels per world unit
+     *   there; null for points behind the camera
+     */
+    project(x, y, z) {
+        const rx = x - this.target.x;
+        const ry = y - this.target.y;
+        const rz = z - this.target.z;
+
+        // Yaw around the vertical axis, then pitch around the horizontal one
+        const x1 = rx * this.cosYaw - rz * this.sinYaw;
+        const z1 = rx * this.sinYaw + rz * this.cosYaw;
+        const y2 = ry * this.cosPitch - z1 * this.sinPitch;
+        const z2 = ry * this.sinPitch + z1 * this.cosPitch;
+
+        const depth = this.distance + z2;
+        if (depth < 1) return null;
+
+        const scale = this.focalLength / depth;
+        return {
+            x: this.center.x + x1 * scale,
+            y: this.center.y + y2 * scale,
+            scale,
+            depth
+        };
+    }
+
+    /**
+     * How near a depth is within the volume, 1 at its nearest point to 0
+     * at its farthest, for shading
+     */
+    nearness(depth) {
+        const t = (depth - (this.distance - this.radius)) / (2 * this.radius);
+        return 1 - Math.min(1, Math.max(0, t));
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Environment forces
+ * Goals attract boids, waypoints lead them along a route in order, and a
+ * wind or current field pushes them about. Like obstacles these live on
+ * the plane and reach through the whole depth in 3D.
+ */
+
+// How close a boid must come to a waypoint before heading for the next
+const WAYPOINT_REACH = 40;
+
+// Radius of the calm core of a vortex; the flow is fastest at its edge
+const VORTEX_CORE = 120;
+
+/**
+ * Wind or current field: the same everywhere, swirling around a center,
+ * or painted by hand onto a grid of cells. Mode, strength and the uniform
+ * direction come from the shared params.
+ */
+class WindField {
+    constructor(params) {
+        this.params = params;
+        this.vortex = { x: 0, y: 0 };
+        this.cellSize = 40;
+        this.cols = 0;
+        this.rows = 0;
+
+        // Painted flow per cell, unit length at most; scaled by the strength
+        this.vx = new Float32Array(0);
+        this.vy = new Float32Array(0);
+    }
+
+    /**
+     * Fit the painted grid to the canvas, keeping what was painted where
+     * it still fits. The vortex starts out in the middle.
+     */
+    resize(width, height) {
+        const cols = Math.ceil(width / this.cellSize);
+        const rows = Math.ceil(height / this.cellSize);
+        if (cols === this.cols && rows === this.rows) return;
+
+        const vx = new Float32Array(cols * rows);
+        const vy = new Float32Array(cols * rows);
+        for (let row = 0; row < Math.min(rows, this.rows); row++) {
+            for (let col = 0; col < Math.min(cols, this.cols); col++) {
+                vx[row * cols + col] = this.vx[row * this.cols + col];
+                vy[row * cols + col] = this.vy[row * this.cols + col];
+            }
+        }
+
+        if (this.cols === 0) this.vortex = { x: width / 2, y: height / 2 };
+        this.cols = cols;
+        this.rows = rows;
+        this.vx = vx;
+        this.vy = vy;
+    }
+
+    /**
+     * Flow at a point, in pixels per frame
+     */
+    sample(x, y) {
+        const strength = this.params.windStrength;
+
+        switch (this.params.windMode) {
+            case 'uniform': {
+                const angle = this.params.windAngle * Math.PI / 180;
+                return { x: Math.cos(angle) * strength, y: Math.sin(angle) * strength };
+            }
+            case 'vortex': {
+                const dx = x - this.vortex.x;
+                const dy = y - this.vortex.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance === 0) return { x: 0, y: 0 };
+
+                // Turning like a solid inside the core, fading outside it
+                const speed = strength * Math.min(distance / VORTEX_CORE, VORTEX_CORE / distance);
+                return { x: (-dy / distance) * speed, y: (dx / distance) * speed };
+            }
+            case 'painted': {
+                const cell = this.cellAt(x, y);
+                if (cell < 0) return { x: 0, y: 0 };
+                return { x: this.vx[cell] * strength, y: this.vy[cell] * strength };
+            }
+            default:
+                return { x: 0, y: 0 };
+        }
+    }
+
+    cellAt(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+
+    /**
+     * Paint flow along a mouse stroke from one point to the next: cells
+     * near the end point turn toward the stroke's direction
+     */
+    paint(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+
+        const brush = this.cellSize * 1.5;
+        const reach = Math.ceil(brush / this.cellSize);
+        const centerCol = Math.floor(to.x / this.cellSize);
+        const centerRow = Math.floor(to.y / this.cellSize);
+
+        for (let row = centerRow - reach; row <= centerRow + reach; row++) {
+            for (let col = centerCol - reach; col <= centerCol + reach; col++) {
+                if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) continue;
+                const distance = Math.hypot((col + 0.5) * this.cellSize - to.x, (row + 0.5) * this.cellSize - to.y);
+                if (distance > brush) continue;
+
+                // Blend toward the stroke, more so near its middle
+                const blend = 0.5 * (1 - distance / brush);
+                const cell = row * this.cols + col;
+                this.vx[cell] += (dx / length - this.vx[cell]) * blend;
+                this.vy[cell] += (dy / length - this.vy[cell]) * blend;
+            }
+        }
+    }
+
+    clearPainted() {
+        this.vx.fill(0);
+        this.vy.fill(0);
+    }
+
+    /**
+     * Vortex center and painted cells, for scene files
+     */
+    save() {
+        return {
+            vortex: { ...this.vortex },
+            cellSize: this.cellSize,
+            cols: this.cols,
+            rows: this.rows,
+            vx: Array.from(this.vx, v => Math.round(v * 1000) / 1000),
+            vy: Array.from(this.vy, v => Math.round(v * 1000) / 1000)
+        };
+    }
+
+    /**
+     * Restore a saved field, then fit it to the current canvas
+     */
+    restore(saved, width, height) {
+        const cells = saved.cols * saved.rows;
+        const valid = Number.isFinite(saved.vortex?.x) && Number.isFinite(saved.vortex?.y) &&
+            saved.cellSize > 0 && Number.isInteger(cells) &&
+            Array.isArray(saved.vx) && saved.vx.length === cells && saved.vx.every(Number.isFinite) &&
+            Array.isArray(saved.vy) && saved.vy.length === cells && saved.vy.every(Number.isFinite);
+        if (!valid) throw new Error('invalid wind field');
+
+        this.cellSize = saved.cellSize;
+        this.cols = saved.cols;
+        this.rows = saved.rows;
+        this.vx = Float32Array.from(saved.vx);
+        this.vy = Float32Array.from(saved.vy);
+        this.resize(width, height);
+        this.vortex = { ...saved.vortex };
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Obstacle geometry
+ * Obstacles are circles {type: 'circle', x, y, radius}, walls
+ * {type: 'wall', points: [a, b]} and closed polygons
+ * {type: 'polygon', points: [...]}. Boids look ahead with raycasts to steer
+ * around them, and collide with them as a last resort.
+ */
+
+// How close a click must come to a wall or edge to pick it
+const OBSTACLE_PICK_DISTANCE = 8;
+
+/**
+ * Straight edges of a wall or polygon as [a, b] point pairs
+ */
+function obstacleSegments(obstacle) {
+    const points = obstacle.points;
+    if (obstacle.type === 'wall') return [[points[0], points[1]]];
+    if (obstacle.type !== 'polygon') return [];
+    return points.map((point, i) => [point, points[(i + 1) % points.length]]);
+}
+
+/**
+ * Nearest obstacle surface along a ray
+ * @param {{x, y}} origin
+ * @param {{x, y}} direction - Unit vector
+ * @param {number} maxDistance
+ * @returns {{distance, normal: {x, y}}|null} normal points back toward the ray
+ */
+function raycastObstacles(origin, direction, maxDistance, obstacles) {
+    let nearest = null;
+    const consider = (distance, nx, ny) => {
+        if (distance < 0 || distance > maxDistance || (nearest && distance >= nearest.distance)) return;
+        // Face the normal toward the ray
+        if (nx * direction.x + ny * direction.y > 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        nearest = { distance, normal: { x: nx, y: ny } };
+    };
+
+    for (const obstacle of obstacles) {
+        if (obstacle.type === 'circle') {
+            // |origin + t·direction − center| = radius
+            const ox = origin.x - obstacle.x;
+            const oy = origin.y - obstacle.y;
+            const b = ox * direction.x + oy * direction.y;
+            const c = ox * ox + oy * oy - obstacle.radius * obstacle.radius;
+            const discriminant = b * b - c;
+            if (discriminant < 0) continue;
+            const t = -b - Math.sqrt(discriminant);
+            if (t < 0) continue;
+            const hx = ox + direction.x * t;
+            const hy = oy + direction.y * t;
+            consider(t, hx / obstacle.radius, hy / obstacle.radius);
+            continue;
+        }
+
+        for (const [a, b] of obstacleSegments(obstacle)) {
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const denominator = direction.x * ey - direction.y * ex;
+            if (Math.abs(denominator) < 1e-9) continue;
+
+            // origin + t·direction = a + u·(b − a)
+            const ax = a.x - origin.x;
+            const ay = a.y - origin.y;
+            const t = (ax * ey - ay * ex) / denominator;
+            const u = (ax * direction.y - ay * direction.x) / denominator;
+            if (u < 0 || u > 1) continue;
+
+            const length = Math.hypot(ex, ey);
+            consider(t, -ey / length, ex / length);
+        }
+    }
+
+    return nearest;
+}
+
+/**
+ * Closest point on segment ab to p
+ */
+function closestPointOnSegment(p, a, b) {
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * ex + (p.y - a.y) * ey) / lengthSq)) : 0;
+    return { x: a.x + ex * t, y: a.y + ey * t };
+}
+
+/**
+ * Even-odd test for a point inside a polygon
+ */
+function pointInPolygon(p, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > p.y) !== (b.y > p.y) &&
+            p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Nearest point on an obstacle's surface to p
+ * @returns {{point: {x, y}, distance, inside: boolean}}
+ */
+function nearestObstaclePoint(p, obstacle) {
+    if (obstacle.type === 'circle') {
+        const dx = p.x - obstacle.x;
+        const dy = p.y - obstacle.y;
+        const distance = Math.hypot(dx, dy) || 1e-9;
+        return {
+            point: { x: obstacle.x + dx / distance * obstacle.radius, y: obstacle.y + dy / distance * obstacle.radius },
+            distance: Math.abs(distance - obstacle.radius),
+            inside: distance < obstacle.radius
+        };
+    }
+
+    let best = null;
+    for (const [a, b] of obstacleSegments(obstacle)) {
+        const point = closestPointOnSegment(p, a, b);
+        const distance = Math.hypot(p.x - point.x, p.y - point.y);
+        if (!best || distance < best.distance) best = { point, distance };
+    }
+    best.inside = obstacle.type === 'polygon' && pointInPolygon(p, obstacle.points);
+    return best;
+}
+
+/**
+ * Whether a point picks an obstacle, for selecting it
+ */
+function obstacleHitTest(obstacle, p) {
+    const nearest = nearestObstaclePoint(p, obstacle);
+    return nearest.inside || nearest.distance <= OBSTACLE_PICK_DISTANCE;
+}
+
+function translateObstacle(obstacle, dx, dy) {
+    if (obstacle.type === 'circle') {
+        obstacle.x += dx;
+        obstacle.y += dy;
+    } else {
+        for (const point of obstacle.points) {
+            point.x += dx;
+            point.y += dy;
+        }
+    }
+}
+
+/**
+ * Trace an obstacle's outline as the current canvas path
+ */
+function traceObstacle(ctx, obstacle) {
+    ctx.beginPath();
+    if (obstacle.type === 'circle') {
+        ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+        return;
+    }
+
+    obstacle.points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+    if (obstacle.type === 'polygon') ctx.closePath();
+}
+
+/**
+ * Corners of a wall or polygon, or points around a circle
+ */
+function obstacleOutline(obstacle, circleSegments = 32) {
+    if (obstacle.type !== 'circle') return obstacle.points;
+    return Array.from({ length: circleSegments }, (_, i) => {
+        const angle = (i / circleSegments) * Math.PI * 2;
+        return {
+            x: obstacle.x + Math.cos(angle) * obstacle.radius,
+            y: obstacle.y + Math.sin(angle) * obstacle.radius
+        };
+    });
+}
+
+/**
+ * Check an obstacle read from a scene file
+ */
+function isValidObstacle(obstacle) {
+    const isPoint = p => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+    if (!obstacle) return false;
+    if (obstacle.type === 'circle') {
+        return isPoint(obstacle) && Number.isFinite(obstacle.radius) && obstacle.radius > 0;
+    }
+    if (!Array.isArray(obstacle.points) || !obstacle.points.every(isPoint)) return false;
+    if (obstacle.type === 'wall') return obstacle.points.length === 2;
+    return obstacle.type === 'polygon' && obstacle.points.length >= 3;
+}
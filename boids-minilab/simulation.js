@@ -12,11 +12,30 @@ class Simulation {
 
         // Simulation state
         this.boids = [];
+        this.species = [createSpecies('prey')];
+        this.selectedSpecies = this.species[0]; // Species the parameter controls edit
         this.obstacles = [];
         this.isPaused = false;
-        this.isAddingObstacle = false;
         this.mousePos = null;
 
+        // Obstacle and environment editing
+        this.tool = null; // 'circle' | 'wall' | 'polygon' | 'select' | 'goal' | 'waypoint' | 'wind'
+        this.draftPoints = []; // Wall or polygon being drawn
+        this.selectedObstacle = null;
+        this.dragPoint = null; // Last mouse position while moving an obstacle
+        this.paintPoint = null; // Last mouse position while painting wind
+
+        // Goals attract, waypoints form a route followed in order; the
+        // wind field is created with the params below
+        this.goals = [];
+        this.waypoints = [];
+
+        // 3D mode: boids fly in a volume as deep as this, seen through an
+        // orbit camera that the mouse turns
+        this.depth = 600;
+        this.camera = new OrbitCamera();
+        this.orbitPoint = null; // Last mouse position while orbiting
+
         // Performance tracking
         this.lastFrameTime = performance.now();
         this.frameCount = 0;
@@ -24,14 +43,27 @@ class Simulation {
         this.fpsUpdateInterval = 500;
         this.lastFpsUpdate = 0;
 
-        // Parameters with defaults
+        // Neighbor search, rebuilt every frame
+        this.grid = new SpatialGrid();
+        this.queryTime = 0; // ms per frame spent rebuilding and querying the grid, smoothed
+        this.checksPerBoid = 0; // Candidates examined per boid in the last frame
+
+        // Population counts per species over time, for the chart
+        this.populationHistory = []; // [{time, counts: {speciesId: count}}]
+        this.maxPopulationSamples = 240;
+
+        // Parameters with defaults shared by every species; weights and
+        // speed live on each species (see species.js)
         this.params = {
-            separationWeight: 1.5,
-            alignmentWeight: 1.0,
-            cohesionWeight: 1.0,
             neighborRadius: 75,
-            maxSpeed: 4.0,
-            boidCount: 150,
+            dimensions: 2, // 2 on the canvas plane, 3 in a volume
+            catching: false, // Predators remove the prey they reach
+            goalWeight: 1.0,
+            waypointWeight: 1.0,
+            windWeight: 1.0,
+            windMode: 'off', // 'off' | 'uniform' | 'vortex' | 'painted'
+            windStrength: 1.0,
+            windAngle: 0, // Direction of uniform wind, degrees clockwise from east
             boundaryMode: 'wrap',
             perceptionAngle: 360,
             mouseInteraction: 'none',
@@ -64,9 +96,12 @@ class Simulation {
             }
         };
 
+        this.wind = new WindField(this.params);
+
         // Initialize
         this.initializeBoids();
         this.setupEventListeners();
+        this.updateSpeciesUI();
         this.updateUI();
 
         // Start animation loop
@@ -84,36 +119,64 @@ class Simulation {
     }
 
     /**
-     * Initialize boids with random positions
+     * Initialize boids of every species with random positions
      */
     initializeBoids() {
         this.boids = [];
-        for (let i = 0; i < this.params.boidCount; i++) {
-            const x = Math.random() * this.canvas.width;
-            const y = Math.random() * this.canvas.height;
-            this.boids.push(new Boid(x, y, this.params));
+        for (const species of this.species) {
+            species.caught = 0;
+            this.adjustBoidCount(species, species.count);
         }
+        this.populationHistory = [];
     }
 
     /**
-     * Adjust boid count dynamically
+     * Adjust a species' boid count dynamically
      */
-    adjustBoidCount(newCount) {
-        const currentCount = this.boids.length;
+    adjustBoidCount(species, newCount) {
+        const members = this.boids.filter(boid => boid.species === species);
+        const currentCount = members.length;
 
         if (newCount > currentCount) {
             // Add new boids
             for (let i = currentCount; i < newCount; i++) {
                 const x = Math.random() * this.canvas.width;
                 const y = Math.random() * this.canvas.height;
-                this.boids.push(new Boid(x, y, this.params));
+                const boid = new Boid(x, y, this.params, species);
+                if (this.params.dimensions === 3) this.giveDepth(boid);
+                this.boids.push(boid);
             }
         } else if (newCount < currentCount) {
-            // Remove excess boids
-            this.boids.splice(newCount);
+            // Remove the newest excess boids
+            const excess = new Set(members.slice(newCount));
+            this.boids = this.boids.filter(boid => !excess.has(boid));
         }
     }
 
+    /**
+     * Add a species of a role with its role's defaults
+     */
+    addSpecies(role) {
+        const index = this.species.filter(species => species.role === role).length;
+        const species = createSpecies(role, index);
+        this.species.push(species);
+        this.adjustBoidCount(species, species.count);
+        this.selectSpecies(species);
+    }
+
+    removeSpecies(species) {
+        if (this.species.length <= 1) return;
+        this.species = this.species.filter(s => s !== species);
+        this.boids = this.boids.filter(boid => boid.species !== species);
+        this.selectSpecies(this.species[0]);
+    }
+
+    selectSpecies(species) {
+        this.selectedSpecies = species;
+        this.updateSpeciesUI();
+        this.updateUI();
+    }
+
     /**
      * Setup all event listeners for UI controls
      */
@@ -131,8 +194,39 @@ class Simulation {
         document.getElementById('resetBtn').addEventListener('click', () => {
             this.initializeBoids();
             this.obstacles = [];
+            this.selectObstacle(null);
+            this.goals = [];
+            this.waypoints = [];
+            this.wind.clearPainted();
+        });
+
+        // Species controls
+        document.getElementById('speciesSelect').addEventListener('change', (e) => {
+            this.selectSpecies(this.species.find(s => s.id === parseInt(e.target.value)));
+        });
+
+        document.getElementById('addPreyBtn').addEventListener('click', () => this.addSpecies('prey'));
+        document.getElementById('addPredatorBtn').addEventListener('click', () => this.addSpecies('predator'));
+        document.getElementById('removeSpeciesBtn').addEventListener('click', () => {
+            this.removeSpecies(this.selectedSpecies);
+        });
+
+        document.getElementById('speciesName').addEventListener('input', (e) => {
+            this.selectedSpecies.name = e.target.value;
+            this.updateSpeciesUI();
+        });
+
+        document.getElementById('speciesColor').addEventListener('input', (e) => {
+            this.selectedSpecies.color = e.target.value;
+            this.selectedSpecies.hsl = hexToHsl(e.target.value);
         });
 
+        this.setupSlider('speciesSize', 'size');
+        this.setupSlider('fearRadius', 'fearRadius');
+        this.setupSlider('fleeWeight', 'fleeWeight');
+        this.setupSlider('chaseRadius', 'chaseRadius');
+        this.setupSlider('chaseWeight', 'chaseWeight');
+
         // Preset buttons
         document.querySelectorAll('.preset').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -148,13 +242,13 @@ class Simulation {
         this.setupSlider('neighborRadius', 'neighborRadius');
         this.setupSlider('maxSpeed', 'maxSpeed');
 
-        // Boid count slider
+        // Boid count slider, for the selected species
         const boidCountSlider = document.getElementById('boidCountSlider');
         boidCountSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
             document.getElementById('boidCountSliderValue').textContent = value;
-            this.params.boidCount = value;
-            this.adjustBoidCount(value);
+            this.selectedSpecies.count = value;
+            this.adjustBoidCount(this.selectedSpecies, value);
         });
 
         // Boundary mode toggle
@@ -189,6 +283,16 @@ class Simulation {
                     case 'trails':
                         this.params.showTrails = value === 'on';
                         break;
+                    case 'catching':
+                        this.params.catching = value === 'on';
+                        break;
+                    case 'wind':
+                        this.params.windMode = value;
+                        this.setTool(this.tool);
+                        break;
+                    case 'dimensions':
+                        this.setDimensions(parseInt(value));
+                        break;
                     case 'theme':
                         this.params.theme = value;
                         document.body.className = value !== 'minimal' ? `theme-${value}` : '';
@@ -198,42 +302,403 @@ class Simulation {
         });
 
         // Obstacle controls
-        document.getElementById('addObstacleBtn').addEventListener('click', (e) => {
-            this.isAddingObstacle = !this.isAddingObstacle;
-            e.target.classList.toggle('active', this.isAddingObstacle);
+        document.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const tool = e.target.dataset.tool;
+                this.setTool(this.tool === tool ? null : tool);
+            });
         });
 
+        document.getElementById('deleteObstacleBtn').addEventListener('click', () => this.deleteSelectedObstacle());
+
         document.getElementById('clearObstaclesBtn').addEventListener('click', () => {
             this.obstacles = [];
+            this.selectObstacle(null);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.key === 'Escape') {
+                this.draftPoints = [];
+            } else if (e.key === 'Enter' && this.tool === 'polygon') {
+                this.finishPolygon();
+            } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedObstacle) {
+                e.preventDefault();
+                this.deleteSelectedObstacle();
+            }
+        });
+
+        // Environment controls
+        this.setupSlider('goalWeight', 'goalWeight');
+        this.setupSlider('waypointWeight', 'waypointWeight');
+        this.setupSlider('windWeight', 'windWeight');
+        this.setupSlider('windStrength', 'windStrength');
+        this.setupSlider('windAngle', 'windAngle');
+
+        document.getElementById('clearGoalsBtn').addEventListener('click', () => {
+            this.goals = [];
+        });
+        document.getElementById('clearRouteBtn').addEventListener('click', () => {
+            this.waypoints = [];
+        });
+        document.getElementById('clearWindBtn').addEventListener('click', () => this.wind.clearPainted());
+
+        // Scene files
+        document.getElementById('exportSceneBtn').addEventListener('click', () => this.exportScene());
+        document.getElementById('importSceneBtn').addEventListener('click', () => {
+            document.getElementById('sceneFile').click();
+        });
+        document.getElementById('sceneFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importScene(file);
         });
 
         // Canvas mouse events
         this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            this.mousePos = {
-                x: e.clientX - rect.left,
-                y: e.clientY - rect.top
-            };
+            this.mousePos = this.canvasPoint(e);
+
+            if (this.orbitPoint) {
+                this.camera.orbit(this.mousePos.x - this.orbitPoint.x, this.mousePos.y - this.orbitPoint.y);
+                this.orbitPoint = this.mousePos;
+            } else if (this.paintPoint) {
+                this.wind.paint(this.paintPoint, this.mousePos);
+                this.paintPoint = this.mousePos;
+            } else if (this.dragPoint && this.selectedObstacle) {
+                translateObstacle(this.selectedObstacle,
+                    this.mousePos.x - this.dragPoint.x, this.mousePos.y - this.dragPoint.y);
+                this.dragPoint = this.mousePos;
+            }
         });
 
         this.canvas.addEventListener('mouseleave', () => {
             this.mousePos = null;
+            this.dragPoint = null;
+            this.orbitPoint = null;
+            this.paintPoint = null;
         });
 
-        this.canvas.addEventListener('click', (e) => {
-            if (this.isAddingObstacle) {
-                const rect = this.canvas.getBoundingClientRect();
-                this.obstacles.push({
-                    x: e.clientX - rect.left,
-                    y: e.clientY - rect.top,
-                    radius: 25
-                });
+        // In 3D dragging orbits the camera instead of editing obstacles
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (this.params.dimensions === 3) {
+                this.orbitPoint = this.canvasPoint(e);
+            } else {
+                this.handleToolMouseDown(this.canvasPoint(e));
             }
         });
+        this.canvas.addEventListener('mouseup', () => {
+            this.dragPoint = null;
+            this.orbitPoint = null;
+            this.paintPoint = null;
+        });
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.params.dimensions !== 3) return;
+            e.preventDefault();
+            this.camera.zoom(e.deltaY);
+        }, { passive: false });
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.tool === 'polygon') this.finishPolygon();
+        });
+    }
+
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        };
     }
 
     /**
-     * Setup a slider control
+     * Switch between flocking on the plane and in a volume. Boids keep their
+     * place on the plane, spread through the depth going to 3D and
+     * flattened onto it going back.
+     */
+    setDimensions(dimensions) {
+        this.params.dimensions = dimensions;
+        for (const boid of this.boids) {
+            if (dimensions === 3) {
+                this.giveDepth(boid);
+            } else {
+                boid.position.z = 0;
+                boid.velocity.z = 0;
+            }
+            boid.trail = [];
+        }
+        this.updateDimensionControls();
+    }
+
+    giveDepth(boid) {
+        boid.position.z = Math.random() * this.depth;
+        boid.velocity.z = (Math.random() - 0.5) * 4;
+    }
+
+    /**
+     * Obstacles and the environment are drawn and the mouse attracts or
+     * repels only in 2D; in 3D the mouse turns the camera
+     */
+    updateDimensionControls() {
+        const is3D = this.params.dimensions === 3;
+        this.setTool(is3D ? null : this.tool);
+        document.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.disabled = is3D;
+        });
+        document.querySelectorAll('[data-feature="mouse"]').forEach(btn => {
+            btn.disabled = is3D;
+        });
+        if (is3D) {
+            document.getElementById('obstacleHint').textContent = 'Obstacles are drawn in 2D and stand through the whole depth in 3D';
+            document.getElementById('environmentHint').textContent = 'Goals, route and wind are placed in 2D and reach through the whole depth in 3D';
+        }
+    }
+
+    /**
+     * Switch the obstacle tool, dropping any unfinished drawing
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.draftPoints = [];
+        this.dragPoint = null;
+        this.paintPoint = null;
+        if (tool !== 'select') this.selectObstacle(null);
+
+        document.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+
+        const windHints = {
+            vortex: 'Click to move the center of the vortex',
+            painted: 'Drag to paint the flow'
+        };
+        const hints = {
+            circle: 'Click to place a circle',
+            wall: 'Click the two ends of a wall',
+            polygon: 'Click the corners; click the first corner, double-click or press Enter to close',
+            select: 'Drag an obstacle to move it; Delete removes the selected one',
+            goal: 'Click to place a goal',
+            waypoint: 'Click to add the next waypoint of the route',
+            wind: windHints[this.params.windMode] || 'Choose Vortex or Painted wind to edit it on the canvas'
+        };
+        const isEnvironmentTool = ['goal', 'waypoint', 'wind'].includes(tool);
+        document.getElementById('obstacleHint').textContent = !isEnvironmentTool && hints[tool] ||
+            'Pick a tool, then draw on the canvas';
+        document.getElementById('environmentHint').textContent = isEnvironmentTool ? hints[tool] :
+            'Pick a tool, then place on the canvas';
+    }
+
+    handleToolMouseDown(point) {
+        switch (this.tool) {
+            case 'circle':
+                this.obstacles.push({ type: 'circle', x: point.x, y: point.y, radius: 25 });
+                break;
+            case 'wall':
+                if (this.draftPoints.length === 0) {
+                    this.draftPoints = [point];
+                } else {
+                    this.obstacles.push({ type: 'wall', points: [this.draftPoints[0], point] });
+                    this.draftPoints = [];
+                }
+                break;
+            case 'polygon': {
+                // Clicking near the first corner closes the shape
+                const first = this.draftPoints[0];
+                if (this.draftPoints.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) < 10) {
+                    this.finishPolygon();
+                } else {
+                    this.draftPoints.push(point);
+                }
+                break;
+            }
+            case 'goal':
+                this.goals.push(point);
+                break;
+            case 'waypoint':
+                this.waypoints.push(point);
+                break;
+            case 'wind':
+                if (this.params.windMode === 'vortex') this.wind.vortex = point;
+                if (this.params.windMode === 'painted') this.paintPoint = point;
+                break;
+            case 'select': {
+                // Topmost obstacle first, as drawn last
+                const hit = [...this.obstacles].reverse().find(obstacle => obstacleHitTest(obstacle, point));
+                this.selectObstacle(hit || null);
+                this.dragPoint = hit ? point : null;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Close the polygon being drawn, if it has enough distinct corners
+     */
+    finishPolygon() {
+        // A double-click leaves repeated corners behind
+        const points = this.draftPoints.filter((point, i, all) =>
+            i === 0 || Math.hypot(point.x - all[i - 1].x, point.y - all[i - 1].y) >= 1);
+        if (points.length >= 3) {
+            this.obstacles.push({ type: 'polygon', points });
+            this.draftPoints = [];
+        }
+    }
+
+    selectObstacle(obstacle) {
+        this.selectedObstacle = obstacle;
+        document.getElementById('deleteObstacleBtn').disabled = !obstacle;
+    }
+
+    deleteSelectedObstacle() {
+        this.obstacles = this.obstacles.filter(obstacle => obstacle !== this.selectedObstacle);
+        this.selectObstacle(null);
+    }
+
+    /**
+     * Download the whole scene: settings, species, obstacles and the
+     * position and velocity of every boid
+     */
+    exportScene() {
+        const scene = {
+            version: 1,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            params: { ...this.params },
+            species: this.species.map(({ hsl, ...species }) => species),
+            obstacles: this.obstacles,
+            goals: this.goals,
+            waypoints: this.waypoints,
+            wind: this.wind.save(),
+            boids: this.boids.map(boid => ({
+                species: boid.species.id,
+                x: boid.position.x,
+                y: boid.position.y,
+                z: boid.position.z,
+                vx: boid.velocity.x,
+                vy: boid.velocity.y,
+                vz: boid.velocity.z,
+                waypoint: boid.waypointIndex
+            }))
+        };
+
+        const blob = new Blob([JSON.stringify(scene)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = 'boids-scene.json';
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+
+        document.getElementById('sceneStatus').textContent =
+            `Exported ${this.boids.length} boids and ${this.obstacles.length} obstacles`;
+    }
+
+    importScene(file) {
+        const status = document.getElementById('sceneStatus');
+        file.text()
+            .then(text => {
+                const scene = JSON.parse(text);
+                this.loadScene(scene);
+
+                // Coordinates are kept as saved, so note a canvas of another size
+                const sameSize = scene.width === this.canvas.width && scene.height === this.canvas.height;
+                const sizeNote = sameSize ? '' : ` (saved at ${scene.width} × ${scene.height})`;
+                status.textContent = `Loaded ${file.name}${sizeNote}`;
+            })
+            .catch(error => {
+                status.textContent = `Could not load ${file.name}: ${error.message}`;
+            });
+    }
+
+    /**
+     * Replace the current scene with one read from a file. Everything is
+     * checked before anything is replaced, so a bad file changes nothing.
+     */
+    loadScene(scene) {
+        if (!scene || scene.version !== 1) throw new Error('not a version 1 scene file');
+        if (!Array.isArray(scene.species) || scene.species.length === 0) throw new Error('no species');
+        if (!Array.isArray(scene.obstacles) || !scene.obstacles.every(isValidObstacle)) {
+            throw new Error('invalid obstacles');
+        }
+        if (!Array.isArray(scene.boids)) throw new Error('no boids');
+
+        // Scenes saved before the environment existed leave it out
+        const isPoint = p => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+        const goals = scene.goals ?? [];
+        const waypoints = scene.waypoints ?? [];
+        if (!Array.isArray(goals) || !goals.every(isPoint)) throw new Error('invalid goals');
+        if (!Array.isArray(waypoints) || !waypoints.every(isPoint)) throw new Error('invalid waypoints');
+        const wind = new WindField(this.params);
+        if (scene.wind) {
+            wind.restore(scene.wind, this.canvas.width, this.canvas.height);
+        } else {
+            wind.resize(this.canvas.width, this.canvas.height);
+        }
+
+        const species = scene.species.map(restoreSpecies);
+        const speciesById = new Map(species.map(s => [s.id, s]));
+
+        const boids = scene.boids.map(saved => {
+            const owner = speciesById.get(saved.species);
+            // Scenes saved in 2D may leave out depth
+            const z = saved.z ?? 0;
+            const vz = saved.vz ?? 0;
+            const state = [saved.x, saved.y, z, saved.vx, saved.vy, vz];
+            if (!owner || !state.every(Number.isFinite)) throw new Error('invalid boid');
+            const boid = new Boid(saved.x, saved.y, this.params, owner);
+            boid.position.z = z;
+            boid.velocity = { x: saved.vx, y: saved.vy, z: vz };
+            if (Number.isInteger(saved.waypoint) && saved.waypoint >= 0) boid.waypointIndex = saved.waypoint;
+            return boid;
+        });
+
+        // Shared settings the file has with the right types; boids keep
+        // this.params itself, so it is updated in place
+        for (const key of Object.keys(this.params)) {
+            if (typeof scene.params?.[key] === typeof this.params[key]) this.params[key] = scene.params[key];
+        }
+        if (this.params.dimensions !== 3) this.params.dimensions = 2;
+        if (!['off', 'uniform', 'vortex', 'painted'].includes(this.params.windMode)) this.params.windMode = 'off';
+
+        for (const s of species) s.count = boids.filter(boid => boid.species === s).length;
+        this.species = species;
+        this.boids = boids;
+        this.obstacles = scene.obstacles.map(obstacle => JSON.parse(JSON.stringify(obstacle)));
+        this.goals = goals.map(({ x, y }) => ({ x, y }));
+        this.waypoints = waypoints.map(({ x, y }) => ({ x, y }));
+        this.wind = wind;
+        this.populationHistory = [];
+        this.draftPoints = [];
+        this.selectObstacle(null);
+
+        this.updateToggles();
+        this.selectSpecies(species[0]);
+    }
+
+    /**
+     * Set the boundary and feature toggle buttons to the current params
+     */
+    updateToggles() {
+        const values = {
+            perception: String(this.params.perceptionAngle),
+            mouse: this.params.mouseInteraction,
+            trails: this.params.showTrails ? 'on' : 'off',
+            catching: this.params.catching ? 'on' : 'off',
+            dimensions: String(this.params.dimensions),
+            wind: this.params.windMode,
+            theme: this.params.theme
+        };
+
+        document.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.params.boundaryMode);
+        });
+        document.querySelectorAll('[data-feature]').forEach(btn => {
+            btn.classList.toggle('active', values[btn.dataset.feature] === btn.dataset.value);
+        });
+        document.body.className = this.params.theme !== 'minimal' ? `theme-${this.params.theme}` : '';
+        this.updateDimensionControls();
+    }
+
+    /**
+     * Setup a slider control. Parameters that aren't shared settings belong
+     * to the selected species.
      */
     setupSlider(sliderId, paramName) {
         const slider = document.getElementById(sliderId);
@@ -241,20 +706,25 @@ class Simulation {
 
         slider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            valueDisplay.textContent = value.toFixed(1);
-            this.params[paramName] = value;
+            valueDisplay.textContent = slider.step >= 1 ? value : value.toFixed(1);
+            const target = paramName in this.params ? this.params : this.selectedSpecies;
+            target[paramName] = value;
         });
     }
 
     /**
-     * Apply a preset configuration
+     * Apply a preset configuration: weights and speed to the selected
+     * species, the rest to the shared settings
      */
     applyPreset(presetName) {
         const preset = this.presets[presetName];
         if (!preset) return;
 
         // Update parameters
-        Object.assign(this.params, preset);
+        for (const [key, value] of Object.entries(preset)) {
+            const target = SPECIES_FIELDS.includes(key) ? this.selectedSpecies : this.params;
+            target[key] = value;
+        }
 
         // Update UI sliders
         this.updateUI();
@@ -264,20 +734,64 @@ class Simulation {
      * Update UI to reflect current parameters
      */
     updateUI() {
-        document.getElementById('separation').value = this.params.separationWeight;
-        document.getElementById('separationValue').textContent = this.params.separationWeight.toFixed(1);
+        const species = this.selectedSpecies;
+
+        document.getElementById('separation').value = species.separationWeight;
+        document.getElementById('separationValue').textContent = species.separationWeight.toFixed(1);
 
-        document.getElementById('alignment').value = this.params.alignmentWeight;
-        document.getElementById('alignmentValue').textContent = this.params.alignmentWeight.toFixed(1);
+        document.getElementById('alignment').value = species.alignmentWeight;
+        document.getElementById('alignmentValue').textContent = species.alignmentWeight.toFixed(1);
 
-        document.getElementById('cohesion').value = this.params.cohesionWeight;
-        document.getElementById('cohesionValue').textContent = this.params.cohesionWeight.toFixed(1);
+        document.getElementById('cohesion').value = species.cohesionWeight;
+        document.getElementById('cohesionValue').textContent = species.cohesionWeight.toFixed(1);
 
         document.getElementById('neighborRadius').value = this.params.neighborRadius;
         document.getElementById('neighborRadiusValue').textContent = this.params.neighborRadius;
 
-        document.getElementById('maxSpeed').value = this.params.maxSpeed;
-        document.getElementById('maxSpeedValue').textContent = this.params.maxSpeed.toFixed(1);
+        document.getElementById('maxSpeed').value = species.maxSpeed;
+        document.getElementById('maxSpeedValue').textContent = species.maxSpeed.toFixed(1);
+
+        document.getElementById('boidCountSlider').value = species.count;
+        document.getElementById('boidCountSliderValue').textContent = species.count;
+
+        for (const key of ['goalWeight', 'waypointWeight', 'windWeight', 'windStrength']) {
+            document.getElementById(key).value = this.params[key];
+            document.getElementById(key + 'Value').textContent = this.params[key].toFixed(1);
+        }
+        document.getElementById('windAngle').value = this.params.windAngle;
+        document.getElementById('windAngleValue').textContent = this.params.windAngle;
+    }
+
+    /**
+     * Update the species editor to the selected species
+     */
+    updateSpeciesUI() {
+        const species = this.selectedSpecies;
+        const select = document.getElementById('speciesSelect');
+        select.innerHTML = '';
+        for (const s of this.species) {
+            const option = document.createElement('option');
+            option.value = s.id;
+            const role = SPECIES_ROLES[s.role].label;
+            option.textContent = s.name.startsWith(role) ? s.name : `${s.name} (${role.toLowerCase()})`;
+            select.appendChild(option);
+        }
+        select.value = species.id;
+
+        document.getElementById('editingSpecies').textContent = species.name;
+        document.getElementById('speciesName').value = species.name;
+        document.getElementById('speciesColor').value = species.color;
+        document.getElementById('removeSpeciesBtn').disabled = this.species.length <= 1;
+
+        const sliders = { speciesSize: 'size', fearRadius: 'fearRadius', fleeWeight: 'fleeWeight',
+            chaseRadius: 'chaseRadius', chaseWeight: 'chaseWeight' };
+        for (const [sliderId, field] of Object.entries(sliders)) {
+            if (species[field] === undefined) continue;
+            document.getElementById(sliderId).value = species[field];
+            document.getElementById(sliderId + 'Value').textContent = species[field].toFixed(1);
+        }
+        document.getElementById('preyControls').style.display = species.role === 'prey' ? 'block' : 'none';
+        document.getElementById('predatorControls').style.display = species.role === 'predator' ? 'block' : 'none';
     }
 
     /**
@@ -301,6 +815,8 @@ class Simulation {
 
         document.getElementById('avgSpeed').textContent = avgSpeed;
         document.getElementById('avgNeighbors').textContent = avgNeighbors;
+        document.getElementById('queryTime').textContent = this.queryTime.toFixed(2);
+        document.getElementById('checksPerBoid').textContent = this.checksPerBoid.toFixed(1);
     }
 
     /**
@@ -317,6 +833,8 @@ class Simulation {
             this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastFpsUpdate));
             this.frameCount = 0;
             this.lastFpsUpdate = currentTime;
+
+            if (!this.isPaused) this.recordPopulation(currentTime);
         }
 
         if (!this.isPaused) {
@@ -333,13 +851,130 @@ class Simulation {
      * Update simulation state
      */
     update() {
-        // Update each boid
+        const wrap = this.params.boundaryMode === 'wrap';
+        const depth = this.params.dimensions === 3 ? this.depth : 0;
+        const mousePos = depth > 0 ? null : this.mousePos;
+
+        // Cells sized for the farthest any boid looks; fear and chase
+        // radii only count when the other side is there to be seen
+        const roles = new Set(this.species.map(species => species.role));
+        const radius = Math.max(...this.species.map(species => {
+            if (species.role === 'prey' && roles.has('predator')) return species.fearRadius;
+            if (species.role === 'predator' && roles.has('prey')) return species.chaseRadius;
+            return 0;
+        }), this.params.neighborRadius);
+
+        this.wind.resize(this.canvas.width, this.canvas.height);
+        const environment = { goals: this.goals, waypoints: this.waypoints, wind: this.wind };
+
+        const rebuildStart = performance.now();
+        this.grid.rebuild(this.boids, this.canvas.width, this.canvas.height, radius, depth);
+        let queryTime = performance.now() - rebuildStart;
+        this.grid.checks = 0;
+
+        // Update each boid from one neighbor query
         for (const boid of this.boids) {
-            boid.flock(this.boids, this.obstacles, this.mousePos, this.canvas.width, this.canvas.height);
+            const queryStart = performance.now();
+            const neighbors = this.grid.query(boid, boid.getSensingRadius(roles), wrap);
+            queryTime += performance.now() - queryStart;
+
+            boid.flock(neighbors, this.obstacles, mousePos, this.canvas.width, this.canvas.height, environment);
         }
 
+        this.queryTime = this.queryTime * 0.9 + queryTime * 0.1;
+        this.checksPerBoid = this.boids.length ? this.grid.checks / this.boids.length : 0;
+
+        if (this.params.catching) this.catchPrey();
+
         for (const boid of this.boids) {
-            boid.update(this.canvas.width, this.canvas.height);
+            boid.update(this.canvas.width, this.canvas.height, this.obstacles, depth);
+        }
+    }
+
+    /**
+     * Remove prey that a predator has reached
+     */
+    catchPrey() {
+        const caught = new Set();
+        for (const boid of this.boids) {
+            const target = boid.target;
+            if (!target || caught.has(target.boid)) continue;
+            if (target.distance < (boid.species.size + target.boid.species.size) / 2) {
+                caught.add(target.boid);
+                target.boid.species.caught++;
+            }
+        }
+
+        if (caught.size > 0) {
+            this.boids = this.boids.filter(boid => !caught.has(boid));
+        }
+    }
+
+    /**
+     * Sample the population of each species and redraw the chart
+     */
+    recordPopulation(time) {
+        const counts = {};
+        for (const species of this.species) counts[species.id] = 0;
+        for (const boid of this.boids) counts[boid.species.id]++;
+
+        this.populationHistory.push({ time, counts });
+        if (this.populationHistory.length > this.maxPopulationSamples) {
+            this.populationHistory.shift();
+        }
+
+        this.drawPopulationChart();
+    }
+
+    drawPopulationChart() {
+        const canvas = document.getElementById('populationChart');
+        const ctx = canvas.getContext('2d');
+        const history = this.populationHistory;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (history.length < 2) return;
+
+        let maxCount = 1;
+        for (const sample of history) {
+            for (const count of Object.values(sample.counts)) maxCount = Math.max(maxCount, count);
+        }
+
+        // One line per species, oldest sample on the left
+        const step = canvas.width / (this.maxPopulationSamples - 1);
+        const pad = 4;
+        for (const species of this.species) {
+            ctx.beginPath();
+            let started = false;
+            history.forEach((sample, i) => {
+                const count = sample.counts[species.id];
+                if (count === undefined) return;
+                const x = i * step;
+                const y = canvas.height - pad - (count / maxCount) * (canvas.height - 2 * pad);
+                if (started) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    started = true;
+                }
+            });
+            ctx.strokeStyle = species.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        // Legend with current counts and losses
+        const latest = history[history.length - 1].counts;
+        const legend = document.getElementById('populationLegend');
+        legend.innerHTML = '';
+        for (const species of this.species) {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.background = species.color;
+            item.appendChild(swatch);
+            const lost = species.caught > 0 ? `, ${species.caught} caught` : '';
+            item.appendChild(document.createTextNode(`${species.name}: ${latest[species.id] || 0}${lost}`));
+            legend.appendChild(item);
         }
     }
 
@@ -363,32 +998,45 @@ class Simulation {
             ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         }
 
+        if (this.params.dimensions === 3) {
+            this.renderVolume(ctx, theme);
+            return;
+        }
+
         // Draw obstacles
         for (const obstacle of this.obstacles) {
-            ctx.beginPath();
-            ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
-
-            if (theme === 'neon') {
-                ctx.fillStyle = '#1a1a2a';
-                ctx.strokeStyle = '#ff00ff';
-                ctx.lineWidth = 2;
-                ctx.shadowBlur = 10;
-                ctx.shadowColor = '#ff00ff';
-            } else if (theme === 'nature') {
-                ctx.fillStyle = '#1a2f1a';
-                ctx.strokeStyle = '#4a7c4a';
-                ctx.lineWidth = 2;
-            } else {
-                ctx.fillStyle = '#1a1a2e';
-                ctx.strokeStyle = '#e94560';
-                ctx.lineWidth = 2;
-            }
+            traceObstacle(ctx, obstacle);
+            this.setObstacleStyle(ctx, theme);
 
-            ctx.fill();
+            // Walls are only a line, drawn thicker
+            ctx.lineWidth = obstacle.type === 'wall' ? 4 : 2;
+            ctx.lineCap = 'round';
+            if (obstacle.type !== 'wall') ctx.fill();
             ctx.stroke();
             ctx.shadowBlur = 0;
+
+            if (obstacle === this.selectedObstacle) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+
+        // Draw the wall or polygon being drawn, up to the cursor
+        if (this.draftPoints.length > 0) {
+            const points = this.mousePos ? [...this.draftPoints, this.mousePos] : this.draftPoints;
+            traceObstacle(ctx, { type: 'wall', points });
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
 
+        this.drawEnvironment(ctx, theme, (x, y) => ({ x, y }));
+
         // Draw mouse interaction indicator
         if (this.mousePos && this.params.mouseInteraction !== 'none') {
             ctx.beginPath();
@@ -408,13 +1056,188 @@ class Simulation {
 
         // Draw boundary indicator for bounce mode
         if (this.params.boundaryMode === 'bounce') {
-            ctx.strokeStyle = theme === 'neon' ? 'rgba(0, 255, 255, 0.2)' :
-                              theme === 'nature' ? 'rgba(124, 179, 66, 0.2)' :
-                              'rgba(233, 69, 96, 0.2)';
+            ctx.strokeStyle = this.boundaryColor(theme);
             ctx.lineWidth = 2;
             ctx.strokeRect(20, 20, this.canvas.width - 40, this.canvas.height - 40);
         }
     }
+
+    /**
+     * Render the 3D mode: the edges of the volume, obstacles as columns
+     * through its depth, and the boids from far to near so nearer ones
+     * cover farther ones
+     */
+    renderVolume(ctx, theme) {
+        const { width, height } = this.canvas;
+        const depth = this.depth;
+        const camera = this.camera;
+        camera.frame(width, height, depth, width, height);
+
+        const segment = (a, b) => {
+            const p = camera.project(a.x, a.y, a.z);
+            const q = camera.project(b.x, b.y, b.z);
+            if (!p || !q) return;
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(q.x, q.y);
+        };
+
+        // The twelve edges of the volume
+        ctx.beginPath();
+        for (const u of [0, 1]) {
+            for (const v of [0, 1]) {
+                segment({ x: u * width, y: v * height, z: 0 }, { x: u * width, y: v * height, z: depth });
+                segment({ x: u * width, y: 0, z: v * depth }, { x: u * width, y: height, z: v * depth });
+                segment({ x: 0, y: u * height, z: v * depth }, { x: width, y: u * height, z: v * depth });
+            }
+        }
+        ctx.strokeStyle = this.boundaryColor(theme);
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Obstacles: outline at the front and back, joined along the depth
+        for (const obstacle of this.obstacles) {
+            const outline = obstacleOutline(obstacle);
+            const closed = obstacle.type !== 'wall';
+            const stride = obstacle.type === 'circle' ? outline.length / 4 : 1;
+
+            ctx.beginPath();
+            for (const z of [0, depth]) {
+                outline.forEach((point, i) => {
+                    const next = outline[(i + 1) % outline.length];
+                    if (closed || i < outline.length - 1) segment({ ...point, z }, { ...next, z });
+                });
+            }
+            for (let i = 0; i < outline.length; i += stride) {
+                segment({ ...outline[i], z: 0 }, { ...outline[i], z: depth });
+            }
+
+            this.setObstacleStyle(ctx, theme);
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+        }
+
+        // The environment on the middle plane of the volume
+        this.drawEnvironment(ctx, theme, (x, y) => camera.project(x, y, depth / 2));
+
+        const visible = [];
+        for (const boid of this.boids) {
+            const p = camera.project(boid.position.x, boid.position.y, boid.position.z);
+            if (p) visible.push({ boid, depth: p.depth });
+        }
+        visible.sort((a, b) => b.depth - a.depth);
+        for (const { boid } of visible) {
+            boid.draw(ctx, theme, camera);
+        }
+    }
+
+    /**
+     * Draw wind arrows, the route and goals
+     * @param {Function} toScreen - (x, y) on the plane to a screen point,
+     *   or null where it can't be seen
+     */
+    drawEnvironment(ctx, theme, toScreen) {
+        const params = this.params;
+
+        // Wind as a grid of arrows along the flow
+        if (params.windMode !== 'off') {
+            const spacing = 50;
+            ctx.beginPath();
+            for (let y = spacing / 2; y < this.canvas.height; y += spacing) {
+                for (let x = spacing / 2; x < this.canvas.width; x += spacing) {
+                    const flow = this.wind.sample(x, y);
+                    const magnitude = Math.hypot(flow.x, flow.y);
+                    if (magnitude < 0.05) continue;
+
+                    const length = Math.min(22, magnitude * 12);
+                    const ux = flow.x / magnitude;
+                    const uy = flow.y / magnitude;
+                    const tail = toScreen(x - ux * length / 2, y - uy * length / 2);
+                    const head = toScreen(x + ux * length / 2, y + uy * length / 2);
+                    const left = toScreen(x + ux * (length / 2 - 5) - uy * 3, y + uy * (length / 2 - 5) + ux * 3);
+                    const right = toScreen(x + ux * (length / 2 - 5) + uy * 3, y + uy * (length / 2 - 5) - ux * 3);
+                    if (!tail || !head || !left || !right) continue;
+
+                    ctx.moveTo(tail.x, tail.y);
+                    ctx.lineTo(head.x, head.y);
+                    ctx.moveTo(left.x, left.y);
+                    ctx.lineTo(head.x, head.y);
+                    ctx.lineTo(right.x, right.y);
+                }
+            }
+            ctx.strokeStyle = theme === 'neon' ? 'rgba(0, 255, 255, 0.35)' :
+                              theme === 'nature' ? 'rgba(124, 179, 66, 0.35)' :
+                              'rgba(139, 148, 158, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+
+            const center = params.windMode === 'vortex' && toScreen(this.wind.vortex.x, this.wind.vortex.y);
+            if (center) {
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, 5, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        // Route back to its start, with numbered waypoints
+        const route = this.waypoints.map(point => toScreen(point.x, point.y));
+        if (route.length > 0 && route.every(Boolean)) {
+            ctx.beginPath();
+            route.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            if (route.length > 2) ctx.closePath();
+            ctx.strokeStyle = 'rgba(245, 166, 35, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 6]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            route.forEach((point, i) => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 9, 0, Math.PI * 2);
+                ctx.fillStyle = '#f5a623';
+                ctx.fill();
+                ctx.fillStyle = '#0d1117';
+                ctx.fillText(i + 1, point.x, point.y);
+            });
+        }
+
+        // Goals as targets
+        for (const goal of this.goals) {
+            const point = toScreen(goal.x, goal.y);
+            if (!point) continue;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 14, 0, Math.PI * 2);
+            ctx.moveTo(point.x + 6, point.y);
+            ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(78, 204, 163, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+    }
+
+    setObstacleStyle(ctx, theme) {
+        if (theme === 'neon') {
+            ctx.fillStyle = '#1a1a2a';
+            ctx.strokeStyle = '#ff00ff';
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = '#ff00ff';
+        } else if (theme === 'nature') {
+            ctx.fillStyle = '#1a2f1a';
+            ctx.strokeStyle = '#4a7c4a';
+        } else {
+            ctx.fillStyle = '#1a1a2e';
+            ctx.strokeStyle = '#e94560';
+        }
+    }
+
+    boundaryColor(theme) {
+        return theme === 'neon' ? 'rgba(0, 255, 255, 0.2)' :
+               theme === 'nature' ? 'rgba(124, 179, 66, 0.2)' :
+               'rgba(233, 69, 96, 0.2)';
+    }
 }
 
 // Initialize simulation when DOM is ready
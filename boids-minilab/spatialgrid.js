@@ -0,0 +1,205 @@
+/**
+ * Spatial Grid for neighbor search
+ * Buckets boids into cells at least half a neighbor radius wide, so a
+ * boid's neighbors all lie within two cells of its own; the 5 × 5 block
+ * covers less area than 3 × 3 cells a full radius wide would. Given a
+ * depth the cells are stacked in layers too, for flocking in 3D. The grid is
+ * rebuilt every frame with a counting sort, which costs O(n) and allocates
+ * nothing once the arrays have grown to fit. Positions are copied out in
+ * cell order so a query scans contiguous memory.
+ */
+
+// Cells a query reaches either side of the boid's own
+const GRID_REACH = 2;
+
+class SpatialGrid {
+    constructor() {
+        this.cols = 1;
+        this.rows = 1;
+        this.layers = 1;
+        this.cellWidth = 1;
+        this.cellHeight = 1;
+        this.cellDepth = 1;
+        this.width = 0;
+        this.height = 0;
+        this.depth = 0; // Zero for a flat world, with a single layer
+        this.boids = [];
+
+        // cellStart[c]..cellStart[c + 1] indexes the boids of cell c in items
+        this.cellStart = new Int32Array(2);
+        this.items = new Int32Array(0);
+        this.cellOfBoid = new Int32Array(0);
+        this.cursor = new Int32Array(1);
+        this.px = new Float64Array(0); // Positions in cell order, parallel to items
+        this.py = new Float64Array(0);
+        this.pz = new Float64Array(0);
+
+        // Result of the last query, reused between queries: neighbor boids
+        // and their offsets from the querying boid
+        this.neighbors = {
+            boids: [],
+            dx: new Float64Array(64),
+            dy: new Float64Array(64),
+            dz: new Float64Array(64),
+            distance: new Float64Array(64),
+            count: 0
+        };
+
+        // Candidate boids examined since the last reset, for the metrics panel
+        this.checks = 0;
+    }
+
+    /**
+     * Bucket all boids for this frame
+     * @param {number} depth - Depth of the volume in 3D, zero in 2D
+     */
+    rebuild(boids, width, height, radius, depth = 0) {
+        this.boids = boids;
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+        this.cols = Math.max(1, Math.floor(width * GRID_REACH / radius));
+        this.rows = Math.max(1, Math.floor(height * GRID_REACH / radius));
+        this.layers = depth > 0 ? Math.max(1, Math.floor(depth * GRID_REACH / radius)) : 1;
+        this.cellWidth = width / this.cols;
+        this.cellHeight = height / this.rows;
+        this.cellDepth = depth > 0 ? depth / this.layers : 1;
+
+        const cellCount = this.cols * this.rows * this.layers;
+        if (this.cellStart.length < cellCount + 1) this.cellStart = new Int32Array(cellCount + 1);
+        if (this.items.length < boids.length) {
+            this.items = new Int32Array(boids.length);
+            this.cellOfBoid = new Int32Array(boids.length);
+            this.px = new Float64Array(boids.length);
+            this.py = new Float64Array(boids.length);
+            this.pz = new Float64Array(boids.length);
+        }
+
+        // Count boids per cell, then turn the counts into start offsets
+        const start = this.cellStart;
+        start.fill(0, 0, cellCount + 1);
+        for (let i = 0; i < boids.length; i++) {
+            const { x, y, z } = boids[i].position;
+            const cell = this.cellAt(x, y, z);
+            this.cellOfBoid[i] = cell;
+            start[cell + 1]++;
+        }
+        for (let c = 0; c < cellCount; c++) start[c + 1] += start[c];
+
+        // Fill each cell from its start offset
+        if (this.cursor.length < cellCount) this.cursor = new Int32Array(cellCount);
+        this.cursor.set(start.subarray(0, cellCount));
+        for (let i = 0; i < boids.length; i++) {
+            const k = this.cursor[this.cellOfBoid[i]]++;
+            this.items[k] = i;
+            this.px[k] = boids[i].position.x;
+            this.py[k] = boids[i].position.y;
+            this.pz[k] = boids[i].position.z;
+        }
+    }
+
+    cellAt(x, y, z) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellWidth)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellHeight)));
+        const layer = Math.min(this.layers - 1, Math.max(0, Math.floor(z / this.cellDepth)));
+        return (layer * this.rows + row) * this.cols + col;
+    }
+
+    /**
+     * Find every other boid within radius of a boid
+     * @param {Boid} boid
+     * @param {number} radius - At most the radius the grid was built with
+     * @param {boolean} wrap - Measure across the edges of a toroidal world
+     * @returns {Object} this.neighbors: {boids, dx, dy, dz, distance, count},
+     *   offsets pointing from the boid to each neighbor. Valid until the
+     *   next query.
+     */
+    query(boid, radius, wrap) {
+        const result = this.neighbors;
+        const { x, y, z } = boid.position;
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellWidth)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellHeight)));
+        const layer = Math.min(this.layers - 1, Math.max(0, Math.floor(z / this.cellDepth)));
+        const radiusSq = radius * radius;
+        result.count = 0;
+
+        // Neighboring columns, rows and layers, each visited once even on narrow grids
+        const [firstCol, colSpan] = this.spanAround(col, this.cols, wrap);
+        const [firstRow, rowSpan] = this.spanAround(row, this.rows, wrap);
+        const [firstLayer, layerSpan] = this.spanAround(layer, this.layers, wrap);
+
+        for (let l = 0; l < layerSpan; l++) {
+            const layerStart = ((firstLayer + l) % this.layers) * this.rows;
+            for (let j = 0; j < rowSpan; j++) {
+                const r = layerStart + (firstRow + j) % this.rows;
+                for (let i = 0; i < colSpan; i++) {
+                    this.scanCell(r * this.cols + (firstCol + i) % this.cols, x, y, z, radiusSq, wrap);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Add the boids of one cell that lie within the query radius
+     */
+    scanCell(cell, x, y, z, radiusSq, wrap) {
+        const end = this.cellStart[cell + 1];
+        this.checks += end - this.cellStart[cell];
+        for (let k = this.cellStart[cell]; k < end; k++) {
+            let dx = this.px[k] - x;
+            let dy = this.py[k] - y;
+            let dz = this.pz[k] - z;
+            if (wrap) {
+                // Shortest way around the torus
+                if (dx > this.width / 2) dx -= this.width;
+                else if (dx < -this.width / 2) dx += this.width;
+                if (dy > this.height / 2) dy -= this.height;
+                else if (dy < -this.height / 2) dy += this.height;
+                if (dz > this.depth / 2) dz -= this.depth;
+                else if (dz < -this.depth / 2) dz += this.depth;
+            }
+
+            // Zero distance skips the boid itself
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            if (distanceSq > radiusSq || distanceSq === 0) continue;
+            this.push(this.boids[this.items[k]], dx, dy, dz, Math.sqrt(distanceSq));
+        }
+    }
+
+    /**
+     * Cells within GRID_REACH of index, as [first, count] to be taken
+     * modulo the grid size: wrapped around or clipped at the edges
+     */
+    spanAround(index, count, wrap) {
+        if (!wrap) {
+            const first = Math.max(0, index - GRID_REACH);
+            return [first, Math.min(count - 1, index + GRID_REACH) - first + 1];
+        }
+        const span = 2 * GRID_REACH + 1;
+        return count < span ? [0, count] : [index - GRID_REACH + count, span];
+    }
+
+    push(boid, dx, dy, dz, distance) {
+        const result = this.neighbors;
+        if (result.count === result.dx.length) {
+            const grow = (array) => {
+                const larger = new Float64Array(array.length * 2);
+                larger.set(array);
+                return larger;
+            };
+            result.dx = grow(result.dx);
+            result.dy = grow(result.dy);
+            result.dz = grow(result.dz);
+            result.distance = grow(result.distance);
+        }
+
+        result.boids[result.count] = boid;
+        result.dx[result.count] = dx;
+        result.dy[result.count] = dy;
+        result.dz[result.count] = dz;
+        result.distance[result.count] = distance;
+        result.count++;
+    }
+}
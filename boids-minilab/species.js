@@ -0,0 +1,114 @@
+/**
+ * Species definitions for mixed flocks
+ * Each species carries its own flocking weights, speed, look and role.
+ * Boids flock only with their own species; prey flee predators inside
+ * their fear radius, and predators chase the nearest prey they can see.
+ */
+
+// Fields a species overrides; everything else comes from the shared params
+const SPECIES_FIELDS = ['separationWeight', 'alignmentWeight', 'cohesionWeight', 'maxSpeed'];
+
+const SPECIES_ROLES = {
+    prey: {
+        label: 'Prey',
+        defaults: {
+            separationWeight: 1.5,
+            alignmentWeight: 1.0,
+            cohesionWeight: 1.0,
+            maxSpeed: 4.0,
+            size: 8,
+            count: 150,
+            fearRadius: 120, // Distance at which predators are noticed
+            fleeWeight: 3.0
+        },
+        colors: ['#e6334f', '#4ecca3', '#f5d547', '#7b8cff']
+    },
+    predator: {
+        label: 'Predator',
+        defaults: {
+            separationWeight: 2.0,
+            alignmentWeight: 0.3,
+            cohesionWeight: 0.2,
+            maxSpeed: 4.5,
+            size: 14,
+            count: 3,
+            chaseRadius: 200, // Distance at which prey are noticed
+            chaseWeight: 1.0
+        },
+        colors: ['#ff9f1c', '#c77dff', '#ff6b6b']
+    }
+};
+
+let nextSpeciesId = 1;
+
+/**
+ * Create a species of a role with that role's defaults
+ * @param {string} role - 'prey' | 'predator'
+ * @param {number} index - How many species of this role exist already, to pick a color
+ */
+function createSpecies(role, index = 0, overrides = {}) {
+    const { label, defaults, colors } = SPECIES_ROLES[role];
+    const species = {
+        id: nextSpeciesId++,
+        name: index > 0 ? `${label} ${index + 1}` : label,
+        role,
+        color: colors[index % colors.length],
+        caught: 0, // Prey lost to predators since the last reset
+        ...defaults,
+        ...overrides
+    };
+    species.hsl = hexToHsl(species.color); // For drawing; refresh when color changes
+    return species;
+}
+
+/**
+ * Hue, saturation and lightness of a #rrggbb color, in degrees and percent
+ */
+function hexToHsl(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    const r = ((value >> 16) & 255) / 255;
+    const g = ((value >> 8) & 255) / 255;
+    const b = (value & 255) / 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l: lightness * 100 };
+
+    const d = max - min;
+    const saturation = lightness > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let hue;
+    if (max === r) hue = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) hue = (b - r) / d + 2;
+    else hue = (r - g) / d + 4;
+
+    return { h: hue * 60, s: saturation * 100, l: lightness * 100 };
+}
+
+/**
+ * Rebuild a species saved in a scene file, keeping its id
+ */
+function restoreSpecies(saved) {
+    if (!saved || !SPECIES_ROLES[saved.role] || !Number.isInteger(saved.id)) {
+        throw new Error('Scene has a species without a known role or id');
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(saved.color)) {
+        throw new Error(`Species "${saved.name}" has an invalid color`);
+    }
+
+    // Every number the role uses must be finite and not negative, and a
+    // species must move and be seen; a missing field takes the default
+    const { defaults } = SPECIES_ROLES[saved.role];
+    for (const key of [...Object.keys(defaults), 'caught']) {
+        const value = saved[key];
+        if (value === undefined) continue;
+        const positive = key === 'maxSpeed' || key === 'size';
+        if (!Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+            throw new Error(`Species "${saved.name}" has an invalid ${key}`);
+        }
+    }
+
+    const { hsl, ...fields } = saved;
+    nextSpeciesId = Math.max(nextSpeciesId, saved.id + 1);
+    return createSpecies(saved.role, 0, fields);
+}
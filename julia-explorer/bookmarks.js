@@ -0,0 +1,87 @@
+/**
+ * Bookmarks
+ * Named views kept in localStorage, each with a small thumbnail, and the
+ * JSON file format used to pass them between machines.
+ */
+
+const BOOKMARK_STORAGE_KEY = 'julia-explorer-bookmarks';
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_HEIGHT = 90;
+
+class BookmarkLibrary {
+    constructor() {
+        this.bookmarks = JSON.parse(localStorage.getItem(BOOKMARK_STORAGE_KEY) || '[]');
+    }
+
+    /**
+     * Add a bookmark, replacing any with the same name
+     * @param {string} name
+     * @param {Object} state - View state from JuliaExplorer.getViewState()
+     * @param {HTMLCanvasElement} canvas - Current render, shrunk to the thumbnail
+     */
+    add(name, state, canvas) {
+        const bookmark = { name, state, thumbnail: createThumbnail(canvas), created: Date.now() };
+        const index = this.bookmarks.findIndex(b => b.name === name);
+        if (index >= 0) {
+            this.bookmarks[index] = bookmark;
+        } else {
+            this.bookmarks.push(bookmark);
+        }
+        this.save();
+    }
+
+    remove(name) {
+        this.bookmarks = this.bookmarks.filter(b => b.name !== name);
+        this.save();
+    }
+
+    get(name) {
+        return this.bookmarks.find(b => b.name === name);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(this.bookmarks));
+        } catch (err) {
+            alert(`Could not store bookmarks: ${err.message}`);
+        }
+    }
+
+    toJSON() {
+        return { app: 'julia-explorer', version: 1, bookmarks: this.bookmarks };
+    }
+
+    /**
+     * Merge bookmarks from an exported file; same-named ones are replaced
+     * @returns {number} Bookmarks imported
+     */
+    import(data) {
+        if (data.app !== 'julia-explorer' || !Array.isArray(data.bookmarks)) {
+            throw new Error('not a Julia Explorer bookmark file');
+        }
+
+        const valid = data.bookmarks.filter(b =>
+            typeof b.name === 'string' && b.state && b.state.bounds && Array.isArray(b.state.c)
+        );
+        valid.forEach(bookmark => {
+            this.bookmarks = this.bookmarks.filter(b => b.name !== bookmark.name);
+            this.bookmarks.push(bookmark);
+        });
+        this.save();
+        return valid.length;
+    }
+}
+
+// JPEG data URL of a canvas scaled to cover the thumbnail
+function createThumbnail(canvas) {
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMBNAIL_WIDTH;
+    thumb.height = THUMBNAIL_HEIGHT;
+
+    const scale = Math.max(THUMBNAIL_WIDTH / canvas.width, THUMBNAIL_HEIGHT / canvas.height);
+    const width = canvas.width * scale;
+    const height = canvas.height * scale;
+    thumb.getContext('2d').drawImage(canvas,
+        (THUMBNAIL_WIDTH - width) / 2, (THUMBNAIL_HEIGHT - height) / 2, width, height);
+    return thumb.toDataURL('image/jpeg', 0.7);
+}
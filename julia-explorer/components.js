@@ -0,0 +1,310 @@
+/**
+ * Hyperbolic Components
+ * Attracting cycles of z ↦ zⁿ + c and the components of the parameter plane
+ * they belong to. Inside a component the cycle's multiplier λ maps it one
+ * to one onto the unit disk: λ = 0 at the nucleus (the cycle passes through
+ * the critical point 0), λ = 1 at the root, |λ| = 1 on the outline.
+ * Complex numbers are [re, im] pairs.
+ */
+
+// Iterations allowed for the critical orbit to settle on its cycle
+const SETTLE_ITERATIONS = 20000;
+
+// Longest cycle the inspector looks for
+const MAX_PERIOD = 256;
+
+// Outline points per turn of the multiplier around the unit circle
+const OUTLINE_POINTS = 240;
+
+// Angle of λ either side of a root where the outline is traced along a
+// chord to the root instead; crossing the root itself lets Newton slip onto
+// the parent cycle, which solves the same equations there
+const ROOT_GAP = 0.15;
+
+// Steps of approachMultiplier() toward a root
+const ROOT_STEPS = 40;
+
+function cmul(a, b) {
+    return [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+}
+
+function cdiv(a, b) {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+}
+
+function cpow(a, n) {
+    let r = [1, 0];
+    for (let k = 0; k < n; k++) r = cmul(r, a);
+    return r;
+}
+
+function cabs(a) {
+    return Math.hypot(a[0], a[1]);
+}
+
+/**
+ * Attracting cycle of c, found by following the critical orbit
+ * @returns {{period, cycle: number[][], multiplier: number[]}|{escaped: number}|null}
+ *   the cycle, the iteration the orbit escaped at, or null if it never settles
+ */
+function findAttractingCycle(c, degree) {
+    let z = [0, 0];
+    for (let i = 0; i < SETTLE_ITERATIONS; i++) {
+        z = cpow(z, degree);
+        z[0] += c[0];
+        z[1] += c[1];
+        if (z[0] * z[0] + z[1] * z[1] > 4) return { escaped: i + 1 };
+    }
+
+    // Smallest return to the settled point
+    const start = z;
+    let period = 0;
+    for (let k = 1; k <= MAX_PERIOD; k++) {
+        z = cpow(z, degree);
+        z[0] += c[0];
+        z[1] += c[1];
+        if (cabs([z[0] - start[0], z[1] - start[1]]) < 1e-9) {
+            period = k;
+            break;
+        }
+    }
+    if (!period) return null;
+
+    // Polish one cycle point with Newton on fᵖ(z) − z, then walk the cycle
+    z = start;
+    for (let i = 0; i < 20; i++) {
+        const { zp, a } = iterateCycle(z, c, degree, period);
+        const step = cdiv([zp[0] - z[0], zp[1] - z[1]], [a[0] - 1, a[1]]);
+        z = [z[0] - step[0], z[1] - step[1]];
+        if (cabs(step) < 1e-15) break;
+    }
+
+    const cycle = [z];
+    for (let k = 1; k < period; k++) {
+        const next = cpow(cycle[k - 1], degree);
+        cycle.push([next[0] + c[0], next[1] + c[1]]);
+    }
+    const { a: multiplier } = iterateCycle(z, c, degree, period);
+    return { period, cycle, multiplier };
+}
+
+/**
+ * p steps of z ↦ zⁿ + c from z with the derivatives Newton needs:
+ * a = ∂zₚ/∂z (the multiplier on a cycle), b = ∂zₚ/∂c, and the
+ * derivatives of a: az = ∂a/∂z, ac = ∂a/∂c
+ */
+function iterateCycle(z, c, degree, period) {
+    let a = [1, 0];
+    let b = [0, 0];
+    let az = [0, 0];
+    let ac = [0, 0];
+
+    for (let k = 0; k < period; k++) {
+        const zn2 = cpow(z, degree - 2);
+        const zn1 = cmul(zn2, z);
+        const d1 = [degree * zn1[0], degree * zn1[1]]; // n·zⁿ⁻¹
+        const d2 = [degree * (degree - 1) * zn2[0], degree * (degree - 1) * zn2[1]]; // n(n−1)·zⁿ⁻²
+
+        const azNext = cmul(d2, cmul(a, a));
+        const azTail = cmul(d1, az);
+        const acNext = cmul(d2, cmul(a, b));
+        const acTail = cmul(d1, ac);
+        az = [azNext[0] + azTail[0], azNext[1] + azTail[1]];
+        ac = [acNext[0] + acTail[0], acNext[1] + acTail[1]];
+
+        const bNext = cmul(d1, b);
+        b = [bNext[0] + 1, bNext[1]];
+        a = cmul(d1, a);
+
+        const zn = cmul(zn1, z);
+        z = [zn[0] + c[0], zn[1] + c[1]];
+    }
+    return { zp: z, a, b, az, ac };
+}
+
+/**
+ * Newton on fᵖ(z) = z, (fᵖ)'(z) = λ for a cycle point z and parameter c
+ * @returns {{z, c}|null} null if Newton didn't converge
+ */
+function solveMultiplier(z, c, lambda, degree, period) {
+    let previous = Infinity;
+    for (let i = 0; i < 40; i++) {
+        const { zp, a, b, az, ac } = iterateCycle(z, c, degree, period);
+        const f1 = [zp[0] - z[0], zp[1] - z[1]];
+        const f2 = [a[0] - lambda[0], a[1] - lambda[1]];
+
+        // [a − 1, b; az, ac] · [dz, dc] = −[f1, f2]
+        const j11 = [a[0] - 1, a[1]];
+        const det = [
+            j11[0] * ac[0] - j11[1] * ac[1] - (b[0] * az[0] - b[1] * az[1]),
+            j11[0] * ac[1] + j11[1] * ac[0] - (b[0] * az[1] + b[1] * az[0])
+        ];
+        if (cabs(det) === 0) return null;
+
+        const dzNum = [cmul(ac, f1)[0] - cmul(b, f2)[0], cmul(ac, f1)[1] - cmul(b, f2)[1]];
+        const dcNum = [cmul(j11, f2)[0] - cmul(az, f1)[0], cmul(j11, f2)[1] - cmul(az, f1)[1]];
+        const dz = cdiv(dzNum, det);
+        const dc = cdiv(dcNum, det);
+        z = [z[0] - dz[0], z[1] - dz[1]];
+        c = [c[0] - dc[0], c[1] - dc[1]];
+
+        if (!isFinite(z[0]) || !isFinite(c[0])) return null;
+
+        // Near a root rounding stops the steps short of 1e-14; take the
+        // point once they stop shrinking
+        const step = cabs(dz) + cabs(dc);
+        if (step < 1e-14 || (step < 1e-8 && step >= previous)) return { z, c };
+        previous = step;
+    }
+    return null;
+}
+
+/**
+ * Follow the cycle from multiplier `from` toward `to`, closing in on `to`
+ * by a fixed fraction each step. Roots are singular points of the Newton
+ * system, and its basin shrinks in proportion to the distance from them.
+ * @returns {Array<{z, c, lambda}>} points reached, in order
+ */
+function approachMultiplier(z, c, from, to, degree, period, steps) {
+    const points = [];
+    let point = { z, c };
+    for (let i = 1; i <= steps; i++) {
+        const remaining = Math.pow(0.75, i);
+        const lambda = [to[0] + (from[0] - to[0]) * remaining, to[1] + (from[1] - to[1]) * remaining];
+        point = solveMultiplier(point.z, point.c, lambda, degree, period);
+        if (!point) break;
+        points.push({ ...point, lambda });
+    }
+    return points;
+}
+
+/**
+ * Newton on fᵖ(0) = 0 in c: the center of the component, where the cycle
+ * passes through the critical point
+ */
+function findNucleus(c, degree, period) {
+    for (let i = 0; i < 60; i++) {
+        let z = [0, 0];
+        let dc = [0, 0];
+        for (let k = 0; k < period; k++) {
+            const zn1 = cpow(z, degree - 1);
+            const step = cmul([degree * zn1[0], degree * zn1[1]], dc);
+            dc = [step[0] + 1, step[1]];
+            const zn = cmul(zn1, z);
+            z = [zn[0] + c[0], zn[1] + c[1]];
+        }
+        const delta = cdiv(z, dc);
+        c = [c[0] - delta[0], c[1] - delta[1]];
+        if (!isFinite(c[0]) || !isFinite(c[1])) return null;
+        if (cabs(delta) < 1e-15 * Math.max(1, cabs(c))) break;
+    }
+
+    // Newton may land on the nucleus of another component
+    const cycle = findAttractingCycle(c, degree);
+    return cycle && cycle.period === period ? c : null;
+}
+
+/**
+ * The hyperbolic component of a parameter with an attracting cycle.
+ * For zⁿ + c the multiplier covers the unit disk n − 1 times over the
+ * component, so its outline takes n − 1 turns of λ and passes n − 1 roots;
+ * the root reported is the one closest to the given parameter.
+ * @param {number[]} c - Parameter inside the component
+ * @param {Object} cycle - From findAttractingCycle()
+ * @returns {{nucleus, root, outline: number[][]}} nucleus and root
+ *   parameters and the closed outline; null or empty where Newton failed
+ */
+function traceComponent(c, cycle, degree) {
+    const { outline, roots } = traceOutline(cycle.cycle[0], c, cycle.multiplier, degree, cycle.period);
+    const distance = (root) => Math.hypot(root[0] - c[0], root[1] - c[1]);
+
+    return {
+        nucleus: findNucleus(c, degree, cycle.period),
+        root: roots.reduce((best, root) => !best || distance(root) < distance(best) ? root : best, null),
+        outline
+    };
+}
+
+/**
+ * Walk λ around the unit circle, detouring into the disk past each root
+ * and reaching the root itself along a chord from either side
+ * @returns {{outline: number[][], roots: number[][]}} both empty on failure
+ */
+function traceOutline(z, c, multiplier, degree, period) {
+    const failed = { outline: [], roots: [] };
+    const step = 2 * Math.PI / OUTLINE_POINTS;
+    const count = OUTLINE_POINTS * (degree - 1);
+    const gapOf = (angle) => {
+        const offset = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        return Math.min(offset, 2 * Math.PI - offset);
+    };
+
+    // Near the nucleus c moves like λ^(1/(n−1)), so grow λ geometrically
+    // along its ray rather than stepping through that singular point
+    let point = { z, c };
+    let lambda = multiplier;
+    while (point && cabs(lambda) > 0 && cabs(lambda) < 0.5) {
+        lambda = [lambda[0] * 1.5, lambda[1] * 1.5];
+        point = solveMultiplier(point.z, point.c, lambda, degree, period);
+    }
+    if (!point) return failed;
+
+    // Out to the unit circle, clear of the roots
+    let angle = Math.atan2(lambda[1], lambda[0]);
+    if (angle < 0) angle += 2 * Math.PI;
+    angle = Math.max(ROOT_GAP, Math.min(2 * Math.PI - ROOT_GAP, angle));
+    const rim = approachMultiplier(point.z, point.c, lambda, [Math.cos(angle), Math.sin(angle)], degree, period, 48);
+    if (rim.length < 48) return failed;
+    point = solveMultiplier(rim[47].z, rim[47].c, [Math.cos(angle), Math.sin(angle)], degree, period);
+
+    const outline = [];
+    const roots = [];
+    let inGap = false;
+    for (let i = 0; point && i < count; i++) {
+        const next = angle + step;
+        const gap = gapOf(next);
+
+        if (!inGap && gap < ROOT_GAP) {
+            // Along the chord into the root
+            outline.push(point.c);
+            const path = approachMultiplier(point.z, point.c, [Math.cos(angle), Math.sin(angle)],
+                [1, 0], degree, period, ROOT_STEPS);
+            const root = extrapolateRoot(path);
+            if (!root) return failed;
+            outline.push(...path.map(p => p.c), root);
+            roots.push(root);
+            inGap = true;
+        } else if (inGap && gap >= ROOT_GAP) {
+            // Back out along the chord on the other side
+            const lambda = [Math.cos(next), Math.sin(next)];
+            const reached = solveMultiplier(point.z, point.c, lambda, degree, period);
+            if (!reached) return failed;
+            const path = approachMultiplier(reached.z, reached.c, lambda, [1, 0], degree, period, ROOT_STEPS);
+            if (path.length < ROOT_STEPS) return failed;
+            outline.push(...path.reverse().map(p => p.c));
+            point = reached;
+            angle = next;
+            inGap = false;
+            continue;
+        } else if (!inGap) {
+            outline.push(point.c);
+        }
+
+        // Inside the gap the path dips into the disk, away from the root
+        const radius = gap < ROOT_GAP ? 1 - (ROOT_GAP - gap) : 1;
+        point = solveMultiplier(point.z, point.c, [radius * Math.cos(next), radius * Math.sin(next)], degree, period);
+        angle = next;
+    }
+
+    return point ? { outline, roots } : failed;
+}
+
+// Parameter at λ = 1 from a full approachMultiplier() path toward it
+function extrapolateRoot(path) {
+    if (path.length < ROOT_STEPS) return null;
+
+    // Steps shrink by 3/4, so the rest of the way is three times the last step
+    const [a, b] = path.slice(-2);
+    return [b.c[0] + (b.c[0] - a.c[0]) * 3, b.c[1] + (b.c[1] - a.c[1]) * 3];
+}
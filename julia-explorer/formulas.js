@@ -0,0 +1,230 @@
+/**
+ * Fractal Formulas
+ * Iteration rules shared by the render workers and the orbit visualizer.
+ * Each formula moves an orbit state {x, y, px, py} (current and previous z)
+ * one step forward for a given c. Julia views start z at the pixel with a
+ * fixed c; parameter-plane views take c from the pixel and start z at 0,
+ * which doesn't move with c: a critical point of each map here, or for
+ * Magnet a critical value.
+ *
+ * Formulas of the form g(z) + c may also give derivative(z, dz), which
+ * multiplies dz by the Jacobian of g at z; distance estimation needs it.
+ * Formulas zⁿ + c of degree n set components, for the hyperbolic component
+ * inspector in components.js.
+ */
+
+const FORMULAS = {
+    quadratic: {
+        label: 'Julia z² + c',
+        bailout: 4,
+        degree: () => 2,
+        perturbation: true,
+        components: true,
+        defaultC: [-0.75, 0.11],
+        planeBounds: { xMin: -2.5, xMax: 1, yMin: -1.5, yMax: 1.5 },
+        step(z, cx, cy) {
+            const x = z.x * z.x - z.y * z.y + cx;
+            z.y = 2 * z.x * z.y + cy;
+            z.x = x;
+        },
+        // dz = 2z·dz
+        derivative(z, dz) {
+            const x = 2 * (z.x * dz.x - z.y * dz.y);
+            dz.y = 2 * (z.x * dz.y + z.y * dz.x);
+            dz.x = x;
+        }
+    },
+
+    'burning-ship': {
+        label: 'Burning Ship',
+        bailout: 4,
+        degree: () => 2,
+        perturbation: true,
+        defaultC: [-0.75, 0.11],
+        planeBounds: { xMin: -2.5, xMax: 1.5, yMin: -1, yMax: 2 },
+        // z = (|Re(z)| + i|Im(z)|)² + c
+        step(z, cx, cy) {
+            const ax = Math.abs(z.x);
+            const ay = Math.abs(z.y);
+            z.x = ax * ax - ay * ay + cx;
+            z.y = 2 * ax * ay + cy;
+        },
+        // The fold flips the signs of dz's components, then dz = 2w·dz with w = |x| + i|y|
+        derivative(z, dz) {
+            const ax = Math.abs(z.x);
+            const ay = Math.abs(z.y);
+            const fx = z.x < 0 ? -dz.x : dz.x;
+            const fy = z.y < 0 ? -dz.y : dz.y;
+            dz.x = 2 * (ax * fx - ay * fy);
+            dz.y = 2 * (ax * fy + ay * fx);
+        }
+    },
+
+    multibrot: {
+        label: 'Multibrot zⁿ + c',
+        bailout: 4,
+        degree: (options) => options.exponent,
+        options: ['exponent'],
+        components: true,
+        defaultC: [-0.5, 0.6],
+        planeBounds: { xMin: -1.6, xMax: 1.6, yMin: -1.6, yMax: 1.6 },
+        step(z, cx, cy, options) {
+            let x = z.x;
+            let y = z.y;
+            for (let k = 1; k < options.exponent; k++) {
+                const t = x * z.x - y * z.y;
+                y = x * z.y + y * z.x;
+                x = t;
+            }
+            z.x = x + cx;
+            z.y = y + cy;
+        },
+        // dz = n·zⁿ⁻¹·dz
+        derivative(z, dz, options) {
+            let x = options.exponent;
+            let y = 0;
+            for (let k = 1; k < options.exponent; k++) {
+                const t = x * z.x - y * z.y;
+                y = x * z.y + y * z.x;
+                x = t;
+            }
+            const t = x * dz.x - y * dz.y;
+            dz.y = x * dz.y + y * dz.x;
+            dz.x = t;
+        }
+    },
+
+    tricorn: {
+        label: 'Tricorn z̄² + c',
+        bailout: 4,
+        degree: () => 2,
+        defaultC: [-0.9, 0.05],
+        planeBounds: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 },
+        step(z, cx, cy) {
+            const x = z.x * z.x - z.y * z.y + cx;
+            z.y = -2 * z.x * z.y + cy;
+            z.x = x;
+        },
+        // dz = 2·conj(z)·conj(dz)
+        derivative(z, dz) {
+            const x = 2 * (z.x * dz.x - z.y * dz.y);
+            dz.y = -2 * (z.x * dz.y + z.y * dz.x);
+            dz.x = x;
+        }
+    },
+
+    // z(n+1) = z(n)² + c + p·z(n-1), with p real
+    phoenix: {
+        label: 'Phoenix',
+        bailout: 4,
+        degree: () => 2,
+        options: ['phoenixP'],
+        defaultC: [0.5667, 0],
+        planeBounds: { xMin: -2, xMax: 1.5, yMin: -1.5, yMax: 1.5 },
+        step(z, cx, cy, options) {
+            const x = z.x * z.x - z.y * z.y + cx + options.phoenixP * z.px;
+            z.y = 2 * z.x * z.y + cy + options.phoenixP * z.py;
+            z.x = x;
+        }
+    },
+
+    // Newton's method on p(z) = zⁿ + (c - 1)z - c, which always has the root
+    // z = 1; c = 1 gives zⁿ - 1. Points are colored by the root they reach.
+    newton: {
+        label: 'Newton zⁿ + (c−1)z − c',
+        bailout: Infinity,
+        degree: () => 1,
+        options: ['exponent'],
+        coloring: 'root',
+        defaultC: [1, 0],
+        planeBounds: { xMin: -3, xMax: 3, yMin: -3, yMax: 3 },
+        step(z, cx, cy, options) {
+            const n = options.exponent;
+
+            // zⁿ⁻¹
+            let ax = 1;
+            let ay = 0;
+            for (let k = 1; k < n; k++) {
+                const t = ax * z.x - ay * z.y;
+                ay = ax * z.y + ay * z.x;
+                ax = t;
+            }
+
+            // p = z·zⁿ⁻¹ + (c - 1)z - c,  p' = n·zⁿ⁻¹ + c - 1
+            const px = ax * z.x - ay * z.y + (cx - 1) * z.x - cy * z.y - cx;
+            const py = ax * z.y + ay * z.x + (cx - 1) * z.y + cy * z.x - cy;
+            const dx = n * ax + cx - 1;
+            const dy = n * ay + cy;
+            const d2 = dx * dx + dy * dy;
+            if (d2 === 0) return;
+
+            z.x -= (px * dx + py * dy) / d2;
+            z.y -= (py * dx - px * dy) / d2;
+        },
+        converged: (z) => (z.x - z.px) ** 2 + (z.y - z.py) ** 2 < 1e-12
+    },
+
+    // Magnet type I: z = ((z² + c - 1) / (2z + c - 2))²; bounded points
+    // settle on the fixed point z = 1
+    magnet: {
+        label: 'Magnet',
+        bailout: 100,
+        degree: () => 2,
+        defaultC: [1.5, 0.5],
+        planeBounds: { xMin: -2, xMax: 4.5, yMin: -3, yMax: 3 },
+        step(z, cx, cy) {
+            const nx = z.x * z.x - z.y * z.y + cx - 1;
+            const ny = 2 * z.x * z.y + cy;
+            const dx = 2 * z.x + cx - 2;
+            const dy = 2 * z.y + cy;
+            const d2 = dx * dx + dy * dy || 1e-300;
+            const qx = (nx * dx + ny * dy) / d2;
+            const qy = (ny * dx - nx * dy) / d2;
+            z.x = qx * qx - qy * qy;
+            z.y = 2 * qx * qy;
+        },
+        converged: (z) => (z.x - 1) ** 2 + z.y ** 2 < 1e-10
+    }
+};
+
+/**
+ * Advance an orbit one step, keeping the previous point for formulas
+ * (and convergence tests) that need it
+ */
+function advanceOrbit(formula, z, cx, cy, options) {
+    const x = z.x;
+    const y = z.y;
+    formula.step(z, cx, cy, options);
+    z.px = x;
+    z.py = y;
+}
+
+/**
+ * Iterate until the orbit escapes, converges or reaches maxIter
+ * @param {Object} formula - Entry of FORMULAS
+ * @param {Object} z - Orbit state {x, y, px, py}, updated in place
+ * @param {Object} options - exponent, phoenixP
+ * @returns {number} Iterations done
+ */
+function iterateFormula(formula, z, cx, cy, maxIter, options) {
+    let iter = 0;
+    while (iter < maxIter && z.x * z.x + z.y * z.y < formula.bailout) {
+        advanceOrbit(formula, z, cx, cy, options);
+        iter++;
+        if (formula.converged && formula.converged(z)) break;
+    }
+    return iter;
+}
+
+/**
+ * What a render computes and how main.js colors it, from the formula and
+ * the chosen render mode. Root-colored formulas ignore the mode, and
+ * distance estimation falls back to escape time without a derivative.
+ * @param {string} mode - 'escape' | 'distance' | 'period' | 'trap'
+ * @returns {string} 'root' | 'escape' | 'distance' | 'period' | 'trap'
+ */
+function renderKind(formula, mode) {
+    if (formula.coloring === 'root') return 'root';
+    if (mode === 'distance') return formula.derivative ? 'distance' : 'escape';
+    return ['period', 'trap'].includes(mode) ? mode : 'escape';
+}
@@ -9,18 +9,27 @@ class JuliaExplorer {
         this.juliaCtx = this.juliaCanvas.getContext('2d');
         this.mandelbrotCanvas = document.getElementById('mandelbrotCanvas');
         this.mandelbrotCtx = this.mandelbrotCanvas.getContext('2d');
+        this.juliaOverlay = document.getElementById('juliaOverlay');
+        this.mandelbrotOverlay = document.getElementById('mandelbrotOverlay');
 
         // Parameters
         this.params = {
             cReal: -0.75,
             cImag: 0.11,
             maxIter: 200,
-            colorScheme: 'classic',
-            fractalType: 'julia' // 'julia' or 'burning-julia'
+            colorScheme: 'classic', // Built-in palette key or 'saved:<name>'
+            renderMode: 'escape', // 'escape' | 'distance' | 'period' | 'trap'; see renderKind()
+            trapShape: 'point', // 'point' | 'line' | 'cross'
+            trapX: 0,
+            trapY: 0,
+            fractalType: 'quadratic', // Key of FORMULAS
+            exponent: 3, // Multibrot and Newton degree
+            phoenixP: -0.5
         };
 
-        // View state
-        this.juliaBounds = { xMin: -2, xMax: 2, yMin: -2, yMax: 2 };
+        // View state. Julia bounds are decimal strings so deep zooms keep
+        // every digit; see precision.js
+        this.juliaBounds = { xMin: '-2', xMax: '2', yMin: '-2', yMax: '2' };
         this.mandelbrotBounds = { xMin: -2.5, xMax: 1, yMin: -1.5, yMax: 1.5 };
         this.zoom = 1;
 
@@ -28,7 +37,6 @@ class JuliaExplorer {
         this.isDragging = false;
         this.dragStart = { x: 0, y: 0 };
         this.dragBoundsStart = null;
-        this.isSliderDragging = false;
         this.splitView = false;
 
         // Animation state
@@ -39,44 +47,150 @@ class JuliaExplorer {
             time: 0
         };
 
+        // Coloring, applied on this thread to the workers' iteration buffers
+        this.palette = {
+            stops: BUILTIN_PALETTES.classic.stops.map(s => ({ ...s })),
+            repeat: 1,
+            offset: 0,
+            mapping: 'linear', // 'linear' | 'histogram'
+            cycling: false,
+            cycleSpeed: 0.2, // Palette lengths per second
+            phase: 0
+        };
+        this.paletteLUT = buildPaletteLUT(this.palette.stops);
+        this.savedPalettes = JSON.parse(localStorage.getItem('julia-explorer-palettes') || '{}');
+
         // Workers
-        this.juliaWorker = null;
-        this.mandelbrotWorker = null;
-        this.pendingRender = false;
+        this.pool = null;
+        this.renderProgress = {}; // channel → fraction done
+        this.mandelbrotKey = null; // Parameters of the last Mandelbrot render
+        this.layers = {}; // channel → iteration buffer and pixels of its canvas
+
+        // Keyframed movies, rendered offline on the 'movie' channel
+        this.timeline = new Timeline();
+        this.movie = null; // {encoder, cancelled} while rendering
+
+        // Saved views; the current one also lives in the page URL
+        this.bookmarks = new BookmarkLibrary();
+        this.urlTimer = null;
+
+        // Attracting cycle and hyperbolic component of a clicked c; see components.js
+        this.inspection = null;
 
         // Initialize
         this.initWorkers();
         this.setupCanvas();
         this.setupEventListeners();
-        this.render();
+        this.renderKeyframeList();
+        this.renderBookmarks();
+        if (!this.loadFromURL()) this.render();
     }
 
     initWorkers() {
-        // Create workers from inline script
-        const workerCode = document.getElementById('workerScript')?.textContent;
+        this.pool = new RenderPool();
+    }
 
-        // Fallback: fetch worker.js
-        this.juliaWorker = new Worker('worker.js');
-        this.mandelbrotWorker = new Worker('worker.js');
+    /**
+     * Render into a canvas through the pool, replacing any render still
+     * running on the same channel
+     * @returns {Promise<HTMLCanvasElement|null>} The canvas once rendered,
+     *   or null if the render was cancelled or replaced first
+     */
+    renderToCanvas(channel, canvas, params, options = {}) {
+        const layer = this.getLayer(channel, canvas);
+        layer.maxIter = params.maxIter;
+        // The old equalization fits neither the new maxIter nor the new
+        // image; tiles color linearly until this render's CDF is ready
+        layer.cdf = null;
+        layer.kind = renderKind(FORMULAS[params.formula], params.renderMode);
+        layer.aux = ['root', 'distance', 'period'].includes(layer.kind)
+            ? layer.aux || new Float32Array(layer.values.length)
+            : null;
+
+        return new Promise(resolve => {
+            this.pool.render(channel, { ...params, width: canvas.width, height: canvas.height }, {
+                onTile: (tile, data) => {
+                    for (let row = 0; row < tile.height; row++) {
+                        const start = (tile.y + row) * layer.width + tile.x;
+                        layer.values.set(data.values.subarray(row * tile.width, (row + 1) * tile.width), start);
+                        if (layer.aux && data.aux) {
+                            layer.aux.set(data.aux.subarray(row * tile.width, (row + 1) * tile.width), start);
+                        }
+                    }
+                    this.colorLayer(layer, tile);
+                },
+                onProgress: (fraction) => {
+                    this.renderProgress[channel] = fraction;
+                    this.updateRenderStatus();
+                },
+                onComplete: () => {
+                    // Equalize over the finished image
+                    layer.cdf = iterationCDF(layer.values, layer.maxIter);
+                    if (this.palette.mapping === 'histogram') this.colorLayer(layer);
+
+                    delete this.renderProgress[channel];
+                    this.updateRenderStatus();
+                    resolve(canvas);
+                },
+                onCancel: () => resolve(null)
+            }, options);
+
+            // After render(), which cancels the previous job on this channel
+            this.renderProgress[channel] = 0;
+            this.updateRenderStatus();
+        });
+    }
 
-        this.juliaWorker.onmessage = (e) => this.handleWorkerMessage(e, 'julia');
-        this.mandelbrotWorker.onmessage = (e) => this.handleWorkerMessage(e, 'mandelbrot');
+    /**
+     * Iteration buffer and pixels for a canvas. The buffer survives renders
+     * of the same size, so recoloring mid-render keeps the old tiles.
+     */
+    getLayer(channel, canvas) {
+        let layer = this.layers[channel];
+        if (!layer || layer.canvas !== canvas || layer.width !== canvas.width || layer.height !== canvas.height) {
+            const ctx = canvas.getContext('2d');
+            layer = this.layers[channel] = {
+                canvas,
+                ctx,
+                width: canvas.width,
+                height: canvas.height,
+                values: new Float32Array(canvas.width * canvas.height).fill(-1),
+                aux: null,
+                kind: 'escape',
+                imageData: ctx.createImageData(canvas.width, canvas.height),
+                maxIter: this.params.maxIter,
+                cdf: null
+            };
+        }
+        return layer;
     }
 
-    handleWorkerMessage(e, type) {
-        if (e.data.type === 'progress') {
-            const pct = Math.round(e.data.progress * 100);
-            document.getElementById('renderStatus').textContent = `Rendering ${type}: ${pct}%`;
-        } else if (e.data.type === 'complete') {
-            const canvas = type === 'julia' ? this.juliaCanvas : this.mandelbrotCanvas;
-            const ctx = type === 'julia' ? this.juliaCtx : this.mandelbrotCtx;
+    // Color a rectangle of a layer (all of it by default) and draw it
+    colorLayer(layer, rect = { x: 0, y: 0, width: layer.width, height: layer.height }) {
+        colorizeRect(layer, rect, {
+            lut: this.paletteLUT,
+            mode: this.palette.mapping,
+            cdf: layer.cdf,
+            maxIter: layer.maxIter,
+            repeat: this.palette.repeat,
+            offset: this.palette.offset + this.palette.phase
+        });
+        layer.ctx.putImageData(layer.imageData, 0, 0, rect.x, rect.y, rect.width, rect.height);
+    }
 
-            const imageData = new ImageData(e.data.imageData, canvas.width, canvas.height);
-            ctx.putImageData(imageData, 0, 0);
+    // Recolor the on-screen canvases without recomputing them
+    recolor() {
+        ['julia', 'mandelbrot'].forEach(channel => {
+            if (this.layers[channel]) this.colorLayer(this.layers[channel]);
+        });
+    }
 
-            document.getElementById('renderStatus').textContent = '';
-            this.pendingRender = false;
-        }
+    updateRenderStatus() {
+        const labels = { julia: 'julia', mandelbrot: 'mandelbrot', export: 'HD', movie: 'movie frame' };
+        document.getElementById('renderStatus').textContent = Object.entries(this.renderProgress)
+            .filter(([channel]) => this.pool.isRunning(channel))
+            .map(([channel, fraction]) => `Rendering ${labels[channel]}: ${Math.round(fraction * 100)}%`)
+            .join(' · ');
     }
 
     setupCanvas() {
@@ -105,19 +219,67 @@ class JuliaExplorer {
         this.mandelbrotCanvas.style.width = width + 'px';
         this.mandelbrotCanvas.style.height = height + 'px';
 
-        // Adjust bounds to maintain aspect ratio
-        const aspect = width / height;
-        if (aspect > 1) {
-            this.juliaBounds.xMin = -2 * aspect / this.zoom;
-            this.juliaBounds.xMax = 2 * aspect / this.zoom;
-            this.juliaBounds.yMin = -2 / this.zoom;
-            this.juliaBounds.yMax = 2 / this.zoom;
-        } else {
-            this.juliaBounds.xMin = -2 / this.zoom;
-            this.juliaBounds.xMax = 2 / this.zoom;
-            this.juliaBounds.yMin = -2 / aspect / this.zoom;
-            this.juliaBounds.yMax = 2 / aspect / this.zoom;
+        // Overlays cover their canvas exactly
+        for (const [overlay, canvas] of [[this.juliaOverlay, this.juliaCanvas], [this.mandelbrotOverlay, this.mandelbrotCanvas]]) {
+            overlay.width = canvas.width;
+            overlay.height = canvas.height;
+            overlay.style.width = canvas.style.width;
+            overlay.style.height = canvas.style.height;
+            overlay.style.left = canvas.offsetLeft + 'px';
+            overlay.style.top = canvas.offsetTop + 'px';
         }
+
+        // Adjust bounds to maintain aspect ratio around the current center
+        const size = 4 / this.zoom;
+        const view = parseBounds(this.juliaBounds, precisionBits(size / Math.min(width, height)));
+        this.fitJuliaView(view.x, view.y, view.bits);
+    }
+
+    // Julia bounds around a fixed-point center at the current zoom, shaped to the canvas
+    fitJuliaView(x, y, bits) {
+        const aspect = this.juliaCanvas.width / this.juliaCanvas.height;
+        this.juliaBounds = fitBounds(x, y, 4 / this.zoom, aspect, bits);
+        this.updateViewInfo();
+    }
+
+    // Julia view center at full precision, with enough bits for its pixels
+    getJuliaView() {
+        const view = parseBounds(this.juliaBounds);
+        const pixelSize = view.width / this.juliaCanvas.width;
+        return precisionBits(pixelSize) > view.bits
+            ? parseBounds(this.juliaBounds, precisionBits(pixelSize))
+            : view;
+    }
+
+    // Complex coordinate under a point of the Julia canvas, in fixed point
+    juliaPointAt(x, y, rect) {
+        const view = this.getJuliaView();
+        return {
+            view,
+            re: view.x + numberToFixed((x / rect.width - 0.5) * view.width, view.bits),
+            im: view.y + numberToFixed((0.5 - y / rect.height) * view.height, view.bits)
+        };
+    }
+
+    // Decimals needed to tell pixels of the Julia view apart
+    juliaDigits(view) {
+        return Math.max(4, Math.ceil(-Math.log10(view.width / this.juliaCanvas.width)) + 1);
+    }
+
+    updateViewInfo() {
+        const view = parseBounds(this.juliaBounds);
+        const pixelSize = view.width / this.juliaCanvas.width;
+
+        document.getElementById('zoomLevel').textContent =
+            this.zoom < 1e6 ? this.zoom.toFixed(1) : this.zoom.toExponential(2);
+        document.getElementById('viewRe').textContent = `${this.juliaBounds.xMin} … ${this.juliaBounds.xMax}`;
+        document.getElementById('viewIm').textContent = `${this.juliaBounds.yMin} … ${this.juliaBounds.yMax}`;
+        document.getElementById('viewDepth').textContent = `10^${Math.round(Math.log10(view.width))}`;
+        const deep = usePerturbation(pixelSize);
+        document.getElementById('viewPrecision').textContent =
+            !deep ? 'Double'
+                : FORMULAS[this.params.fractalType].perturbation ? `Perturbation, ${precisionBits(pixelSize)} bits`
+                    : 'Double (no deep zoom for this formula)';
     }
 
     setupEventListeners() {
@@ -125,27 +287,16 @@ class JuliaExplorer {
         const realSlider = document.getElementById('realSlider');
         const imagSlider = document.getElementById('imagSlider');
 
+        // Each move restarts the render; the preview pass keeps up while dragging
         realSlider.addEventListener('input', (e) => {
             this.params.cReal = parseFloat(e.target.value);
             this.updateCDisplay();
-            if (!this.isSliderDragging) this.render();
-        });
-
-        realSlider.addEventListener('mousedown', () => this.isSliderDragging = true);
-        realSlider.addEventListener('mouseup', () => {
-            this.isSliderDragging = false;
             this.render();
         });
 
         imagSlider.addEventListener('input', (e) => {
             this.params.cImag = parseFloat(e.target.value);
             this.updateCDisplay();
-            if (!this.isSliderDragging) this.render();
-        });
-
-        imagSlider.addEventListener('mousedown', () => this.isSliderDragging = true);
-        imagSlider.addEventListener('mouseup', () => {
-            this.isSliderDragging = false;
             this.render();
         });
 
@@ -172,20 +323,97 @@ class JuliaExplorer {
             });
         });
 
-        // Color scheme
+        // Palette
+        this.paletteEditor = new PaletteEditor(
+            document.getElementById('paletteBar'),
+            document.getElementById('paletteStopColor'),
+            (stops) => this.setPaletteStops(stops)
+        );
+        this.populatePalettes();
+        this.paletteEditor.setStops(this.palette.stops);
+
         document.getElementById('colorScheme').addEventListener('change', (e) => {
-            this.params.colorScheme = e.target.value;
+            this.setColorScheme(e.target.value);
+        });
+
+        document.getElementById('renderMode').addEventListener('change', (e) => {
+            this.params.renderMode = e.target.value;
+            this.updateRenderModeControls();
+            this.render();
+        });
+
+        document.getElementById('trapShape').addEventListener('change', (e) => {
+            this.params.trapShape = e.target.value;
             this.render();
         });
 
+        document.getElementById('trapXSlider').addEventListener('input', (e) => {
+            this.params.trapX = parseFloat(e.target.value);
+            document.getElementById('trapXValue').textContent = this.params.trapX.toFixed(2);
+            this.render();
+        });
+
+        document.getElementById('trapYSlider').addEventListener('input', (e) => {
+            this.params.trapY = parseFloat(e.target.value);
+            document.getElementById('trapYValue').textContent = this.params.trapY.toFixed(2);
+            this.render();
+        });
+
+        document.getElementById('savePalette').addEventListener('click', () => this.savePalette());
+        document.getElementById('deletePalette').addEventListener('click', () => this.deletePalette());
+
+        document.getElementById('paletteMapping').addEventListener('change', (e) => {
+            this.palette.mapping = e.target.value;
+            this.recolor();
+            this.scheduleURLUpdate();
+        });
+
+        document.getElementById('paletteRepeat').addEventListener('input', (e) => {
+            this.palette.repeat = parseFloat(e.target.value);
+            document.getElementById('paletteRepeatValue').textContent = this.palette.repeat;
+            this.recolor();
+            this.scheduleURLUpdate();
+        });
+
+        document.getElementById('paletteOffset').addEventListener('input', (e) => {
+            this.palette.offset = parseFloat(e.target.value);
+            document.getElementById('paletteOffsetValue').textContent = this.palette.offset.toFixed(2);
+            this.recolor();
+            this.scheduleURLUpdate();
+        });
+
+        document.getElementById('cycleBtn').addEventListener('click', () => {
+            this.palette.cycling = !this.palette.cycling;
+            document.getElementById('cycleBtn').textContent = this.palette.cycling ? 'Stop Cycling' : 'Cycle Colors';
+            document.getElementById('cycleBtn').classList.toggle('active', this.palette.cycling);
+            if (this.palette.cycling) {
+                this.lastCycleTime = performance.now();
+                requestAnimationFrame((now) => this.cycleColors(now));
+            }
+        });
+
+        document.getElementById('cycleSpeed').addEventListener('input', (e) => {
+            this.palette.cycleSpeed = parseFloat(e.target.value);
+            document.getElementById('cycleSpeedValue').textContent = this.palette.cycleSpeed.toFixed(2);
+        });
+
         // Fractal type
-        document.querySelectorAll('[data-mode]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.params.fractalType = btn.dataset.mode === 'burning' ? 'burning-julia' : 'julia';
-                this.render();
-            });
+        const typeSelect = document.getElementById('fractalType');
+        Object.entries(FORMULAS).forEach(([key, formula]) => typeSelect.add(new Option(formula.label, key)));
+        typeSelect.addEventListener('change', (e) => {
+            this.setFractalType(e.target.value);
+        });
+
+        document.getElementById('exponentSlider').addEventListener('input', (e) => {
+            this.params.exponent = parseInt(e.target.value);
+            document.getElementById('exponentValue').textContent = this.params.exponent;
+            this.render();
+        });
+
+        document.getElementById('phoenixSlider').addEventListener('input', (e) => {
+            this.params.phoenixP = parseFloat(e.target.value);
+            document.getElementById('phoenixValue').textContent = this.params.phoenixP.toFixed(2);
+            this.render();
         });
 
         // View mode
@@ -217,8 +445,45 @@ class JuliaExplorer {
             document.getElementById('animSpeedVal').textContent = this.animation.speed.toFixed(1);
         });
 
+        // Timeline
+        document.getElementById('addKeyframe').addEventListener('click', () => this.addKeyframe());
+        document.getElementById('clearKeyframes').addEventListener('click', () => {
+            if (this.timeline.keyframes.length && !confirm('Remove all keyframes?')) return;
+            this.timeline.keyframes = [];
+            this.renderKeyframeList();
+        });
+        document.getElementById('timelineScrub').addEventListener('input', (e) => {
+            this.scrubTimeline(parseFloat(e.target.value) * this.timeline.duration);
+        });
+        document.getElementById('renderMovie').addEventListener('click', () => {
+            if (this.movie) {
+                this.cancelMovie();
+            } else {
+                this.renderMovie().catch(err => {
+                    if (this.movie) this.cancelMovie();
+                    document.getElementById('movieStatus').textContent = `Movie failed: ${err.message}`;
+                });
+            }
+        });
+
         // Export
         document.getElementById('downloadBtn').addEventListener('click', () => this.exportImage());
+
+        // Bookmarks and sharing
+        document.getElementById('shareBtn').addEventListener('click', () => this.copyShareURL());
+        document.getElementById('saveBookmark').addEventListener('click', () => this.saveBookmark());
+        document.getElementById('exportBookmarks').addEventListener('click', () => this.exportBookmarks());
+        document.getElementById('importBookmarks').addEventListener('click', () => document.getElementById('bookmarkFileInput').click());
+        document.getElementById('bookmarkFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importBookmarks(file);
+        });
+        document.getElementById('clearInspection').addEventListener('click', () => {
+            this.clearInspection();
+            this.drawInspection();
+        });
+
         document.getElementById('resetView').addEventListener('click', () => {
             this.resetView();
             this.render();
@@ -261,6 +526,119 @@ class JuliaExplorer {
         document.getElementById('imagValue').textContent = this.params.cImag.toFixed(3);
     }
 
+    populatePalettes() {
+        const select = document.getElementById('colorScheme');
+        select.innerHTML = '';
+        Object.entries(BUILTIN_PALETTES).forEach(([key, palette]) => select.add(new Option(palette.label, key)));
+
+        const names = Object.keys(this.savedPalettes);
+        if (names.length) {
+            const group = document.createElement('optgroup');
+            group.label = 'Saved';
+            names.forEach(name => group.appendChild(new Option(name, `saved:${name}`)));
+            select.appendChild(group);
+        }
+        select.value = this.params.colorScheme;
+    }
+
+    setColorScheme(name) {
+        const stops = name.startsWith('saved:')
+            ? this.savedPalettes[name.slice(6)]
+            : BUILTIN_PALETTES[name] && BUILTIN_PALETTES[name].stops;
+        if (!stops) return;
+
+        this.params.colorScheme = name;
+        document.getElementById('colorScheme').value = name;
+        this.paletteEditor.setStops(stops);
+        this.setPaletteStops(stops);
+    }
+
+    setPaletteStops(stops) {
+        this.palette.stops = stops.map(s => ({ ...s }));
+        this.paletteLUT = buildPaletteLUT(this.palette.stops);
+        this.recolor();
+        this.scheduleURLUpdate();
+    }
+
+    savePalette() {
+        const current = this.params.colorScheme.startsWith('saved:') ? this.params.colorScheme.slice(6) : '';
+        const name = prompt('Name for this palette:', current);
+        if (!name) return;
+
+        this.savedPalettes[name] = this.palette.stops.map(s => ({ ...s }));
+        localStorage.setItem('julia-explorer-palettes', JSON.stringify(this.savedPalettes));
+        this.params.colorScheme = `saved:${name}`;
+        this.populatePalettes();
+    }
+
+    deletePalette() {
+        const name = this.params.colorScheme;
+        if (!name.startsWith('saved:')) {
+            alert('Only saved palettes can be deleted.');
+            return;
+        }
+        if (!confirm(`Delete the palette "${name.slice(6)}"?`)) return;
+
+        delete this.savedPalettes[name.slice(6)];
+        localStorage.setItem('julia-explorer-palettes', JSON.stringify(this.savedPalettes));
+        this.params.colorScheme = 'classic';
+        this.populatePalettes();
+        this.setColorScheme('classic');
+    }
+
+    // Shift the palette along the stored iterations, one recolor per frame
+    cycleColors(now) {
+        if (!this.palette.cycling) return;
+
+        const elapsed = (now - this.lastCycleTime) / 1000;
+        this.lastCycleTime = now;
+        this.palette.phase = (this.palette.phase + elapsed * this.palette.cycleSpeed) % 1;
+        this.recolor();
+
+        requestAnimationFrame((time) => this.cycleColors(time));
+    }
+
+    /**
+     * Switch formula: c moves to the formula's default and the parameter
+     * plane to its bounds
+     */
+    setFractalType(type) {
+        const formula = FORMULAS[type];
+        this.params.fractalType = type;
+        [this.params.cReal, this.params.cImag] = formula.defaultC;
+        this.mandelbrotBounds = { ...formula.planeBounds };
+
+        document.getElementById('fractalType').value = type;
+        document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+        this.updateFormulaControls();
+        this.updateSliders();
+        this.updateCDisplay();
+        this.resetView();
+        this.render();
+    }
+
+    updateFormulaControls() {
+        const options = FORMULAS[this.params.fractalType].options || [];
+        document.getElementById('exponentControl').style.display = options.includes('exponent') ? 'block' : 'none';
+        document.getElementById('phoenixControl').style.display = options.includes('phoenixP') ? 'block' : 'none';
+        this.updateRenderModeControls();
+    }
+
+    updateRenderModeControls() {
+        const formula = FORMULAS[this.params.fractalType];
+        const kind = renderKind(formula, this.params.renderMode);
+        document.getElementById('trapControls').style.display = kind === 'trap' ? 'block' : 'none';
+
+        let hint = '';
+        if (kind === 'root') {
+            hint = `${formula.label} is colored by the root each point reaches.`;
+        } else if (kind !== this.params.renderMode) {
+            hint = `No distance estimate for ${formula.label}; showing escape time.`;
+        }
+        document.getElementById('renderModeHint').textContent = hint;
+        document.getElementById('renderModeHint').style.display = hint ? 'block' : 'none';
+    }
+
     updateSliders() {
         document.getElementById('realSlider').value = this.params.cReal;
         document.getElementById('imagSlider').value = this.params.cImag;
@@ -272,11 +650,13 @@ class JuliaExplorer {
         if (this.splitView) {
             container.classList.add('split');
             this.mandelbrotCanvas.style.display = 'block';
+            this.mandelbrotOverlay.style.display = 'block';
             document.getElementById('splitHint').style.display = 'block';
             document.getElementById('crosshair').style.display = 'block';
         } else {
             container.classList.remove('split');
             this.mandelbrotCanvas.style.display = 'none';
+            this.mandelbrotOverlay.style.display = 'none';
             document.getElementById('splitHint').style.display = 'none';
             document.getElementById('crosshair').style.display = 'none';
         }
@@ -287,40 +667,485 @@ class JuliaExplorer {
 
     resetView() {
         this.zoom = 1;
+        this.juliaBounds = { xMin: '-2', xMax: '2', yMin: '-2', yMax: '2' };
         this.setupCanvas();
-        document.getElementById('zoomLevel').textContent = '1.0';
     }
 
     render() {
-        if (this.pendingRender) return;
-        this.pendingRender = true;
+        this.scheduleURLUpdate();
+
+        // An inspection holds only for the c and formula it was made with
+        if (this.inspection && this.inspection.key !== this.inspectionKey()) this.clearInspection();
+        this.drawInspection();
 
         // Render Julia set
-        this.juliaWorker.postMessage({
-            type: this.params.fractalType,
-            width: this.juliaCanvas.width,
-            height: this.juliaCanvas.height,
+        this.renderToCanvas('julia', this.juliaCanvas, this.getJuliaParams());
+
+        // Render Mandelbrot if in split view; moving c alone doesn't change it
+        if (this.splitView) {
+            const params = {
+                ...this.getJuliaParams(),
+                plane: 'parameter',
+                cReal: 0,
+                cImag: 0,
+                bounds: this.mandelbrotBounds
+            };
+            const key = JSON.stringify([params, this.mandelbrotCanvas.width, this.mandelbrotCanvas.height]);
+            if (key !== this.mandelbrotKey) {
+                this.mandelbrotKey = key;
+                this.renderToCanvas('mandelbrot', this.mandelbrotCanvas, params);
+            }
+
+            this.updateCrosshair();
+        } else {
+            this.pool.cancel('mandelbrot');
+            this.mandelbrotKey = null;
+        }
+    }
+
+    // Worker parameters for the current Julia view, without the image size
+    getJuliaParams() {
+        return {
+            formula: this.params.fractalType,
+            plane: 'julia',
+            exponent: this.params.exponent,
+            phoenixP: this.params.phoenixP,
             cReal: this.params.cReal,
             cImag: this.params.cImag,
             maxIter: this.params.maxIter,
             bounds: this.juliaBounds,
-            colorScheme: this.params.colorScheme
+            renderMode: this.params.renderMode,
+            trapShape: this.params.trapShape,
+            trapX: this.params.trapX,
+            trapY: this.params.trapY
+        };
+    }
+
+    addKeyframe() {
+        this.timeline.add({
+            bounds: { ...this.juliaBounds },
+            c: [this.params.cReal, this.params.cImag],
+            maxIter: this.params.maxIter
         });
+        this.renderKeyframeList();
+    }
 
-        // Render Mandelbrot if in split view
-        if (this.splitView) {
-            this.mandelbrotWorker.postMessage({
-                type: this.params.fractalType === 'burning-julia' ? 'burning-mandelbrot' : 'mandelbrot',
-                width: this.mandelbrotCanvas.width,
-                height: this.mandelbrotCanvas.height,
-                cReal: 0,
-                cImag: 0,
-                maxIter: this.params.maxIter,
-                bounds: this.mandelbrotBounds,
-                colorScheme: this.params.colorScheme
+    renderKeyframeList() {
+        const list = document.getElementById('keyframeList');
+        list.innerHTML = '';
+        document.getElementById('timelineDuration').textContent = this.timeline.duration.toFixed(1);
+
+        if (this.timeline.keyframes.length === 0) {
+            list.innerHTML = '<p class="hint">No keyframes. Frame a view, then click "Add Keyframe".</p>';
+            return;
+        }
+
+        const last = this.timeline.keyframes.length - 1;
+        this.timeline.keyframes.forEach((keyframe, index) => {
+            const view = parseBounds(keyframe.bounds);
+            const row = document.createElement('div');
+            row.className = 'keyframe-row';
+            row.innerHTML = `
+                <span class="keyframe-index">${index + 1}</span>
+                <span class="keyframe-values" title="Go to this keyframe">c=${keyframe.c[0].toFixed(3)}, ${keyframe.c[1].toFixed(3)}<br>10^${Math.round(Math.log10(view.width))}</span>
+                <input type="number" min="0.1" step="0.5" value="${keyframe.duration}" title="Seconds to the next keyframe">
+                <select title="Easing to the next keyframe">
+                    <option value="linear">linear</option>
+                    <option value="in">ease in</option>
+                    <option value="out">ease out</option>
+                    <option value="inout">ease in-out</option>
+                </select>
+                <button class="keyframe-delete" title="Remove keyframe">×</button>
+            `;
+
+            // The last keyframe has no segment after it
+            const input = row.querySelector('input');
+            const select = row.querySelector('select');
+            input.disabled = select.disabled = index === last;
+            select.value = keyframe.easing;
+
+            row.querySelector('.keyframe-values').addEventListener('click', () => this.goToKeyframe(keyframe));
+            input.addEventListener('change', (e) => {
+                keyframe.duration = Math.max(0.1, parseFloat(e.target.value) || 1);
+                document.getElementById('timelineDuration').textContent = this.timeline.duration.toFixed(1);
+            });
+            select.addEventListener('change', (e) => keyframe.easing = e.target.value);
+            row.querySelector('.keyframe-delete').addEventListener('click', () => {
+                this.timeline.keyframes.splice(index, 1);
+                this.renderKeyframeList();
             });
 
-            this.updateCrosshair();
+            list.appendChild(row);
+        });
+    }
+
+    goToKeyframe(keyframe) {
+        const view = parseBounds(keyframe.bounds);
+        this.showFrame({ ...view, size: Math.min(view.width, view.height), c: keyframe.c, maxIter: keyframe.maxIter });
+    }
+
+    scrubTimeline(time) {
+        document.getElementById('timelineTime').textContent = time.toFixed(1);
+        if (this.timeline.keyframes.length) this.showFrame(this.timeline.frameAt(time));
+    }
+
+    // Show a timeline frame in the Julia canvas
+    showFrame(frame) {
+        this.zoom = 4 / frame.size;
+        this.fitJuliaView(frame.x, frame.y, frame.bits);
+        [this.params.cReal, this.params.cImag] = frame.c;
+        this.params.maxIter = frame.maxIter;
+        document.getElementById('iterSlider').value = this.params.maxIter;
+        document.getElementById('iterValue').textContent = this.params.maxIter;
+        this.updateSliders();
+        this.updateCDisplay();
+        this.render();
+    }
+
+    /**
+     * Render every frame of the timeline at the chosen size and frame rate,
+     * behind the interactive renders, and download the movie
+     */
+    async renderMovie() {
+        if (this.timeline.keyframes.length < 2) {
+            alert('Add at least two keyframes first.');
+            return;
+        }
+
+        const [width, height] = document.getElementById('movieRes').value.split('x').map(Number);
+        const fps = parseInt(document.getElementById('movieFps').value);
+        const format = document.getElementById('movieFormat').value;
+        const frameCount = Math.round(this.timeline.duration * fps) + 1;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const encoder = new MovieEncoder(canvas, { format, fps, filename: `julia-${this.params.fractalType}-${width}x${height}` });
+        try {
+            encoder.start();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+
+        // Later edits to the timeline or formula don't affect this movie
+        const timeline = new Timeline();
+        timeline.keyframes = this.timeline.keyframes.map(kf => ({ ...kf }));
+        const base = this.getJuliaParams();
+
+        const movie = this.movie = { encoder, cancelled: false };
+        this.setMovieButton(true);
+        const status = document.getElementById('movieStatus');
+
+        for (let i = 0; i < frameCount; i++) {
+            const frame = timeline.frameAt(i / fps);
+            const params = {
+                ...base,
+                cReal: frame.c[0],
+                cImag: frame.c[1],
+                maxIter: frame.maxIter,
+                bounds: fitBounds(frame.x, frame.y, frame.size, width / height, frame.bits)
+            };
+            status.textContent = `Rendering frame ${i + 1} / ${frameCount}`;
+            const rendered = await this.renderToCanvas('movie', canvas, params, { preview: false, priority: 1 });
+            if (movie.cancelled) return;
+            if (!rendered) {
+                this.cancelMovie();
+                status.textContent = `Frame ${i + 1} failed to render`;
+                return;
+            }
+            await encoder.addFrame();
+            if (movie.cancelled) return;
+        }
+
+        status.textContent = 'Encoding…';
+        await encoder.finish();
+        status.textContent = `Saved ${frameCount} frames`;
+        delete this.layers.movie;
+        this.movie = null;
+        this.setMovieButton(false);
+    }
+
+    cancelMovie() {
+        // The pending frame render settles with null once its job is cancelled
+        this.movie.cancelled = true;
+        this.movie.encoder.abort();
+        this.pool.cancel('movie');
+        delete this.renderProgress.movie;
+        delete this.layers.movie;
+        this.movie = null;
+        this.updateRenderStatus();
+        this.setMovieButton(false);
+        document.getElementById('movieStatus').textContent = 'Cancelled';
+    }
+
+    setMovieButton(rendering) {
+        const btn = document.getElementById('renderMovie');
+        btn.textContent = rendering ? 'Cancel' : 'Render Movie';
+        btn.classList.toggle('active', rendering);
+    }
+
+    // Everything needed to come back to the current view
+    getViewState() {
+        return {
+            c: [this.params.cReal, this.params.cImag],
+            bounds: { ...this.juliaBounds },
+            maxIter: this.params.maxIter,
+            fractalType: this.params.fractalType,
+            exponent: this.params.exponent,
+            phoenixP: this.params.phoenixP,
+            renderMode: this.params.renderMode,
+            trap: [this.params.trapShape, this.params.trapX, this.params.trapY],
+            palette: {
+                scheme: this.params.colorScheme,
+                stops: this.palette.stops.map(s => ({ ...s })),
+                repeat: this.palette.repeat,
+                offset: this.palette.offset,
+                mapping: this.palette.mapping
+            },
+            splitView: this.splitView
+        };
+    }
+
+    applyViewState(state) {
+        const type = FORMULAS[state.fractalType] ? state.fractalType : 'quadratic';
+        this.params.fractalType = type;
+        this.mandelbrotBounds = { ...FORMULAS[type].planeBounds };
+        [this.params.cReal, this.params.cImag] = state.c.map(v => parseFloat(v) || 0);
+        this.params.maxIter = Math.max(1, Math.min(100000, parseInt(state.maxIter) || 200));
+        this.params.exponent = Math.max(2, Math.min(8, parseInt(state.exponent) || 3));
+        this.params.phoenixP = Math.max(-1, Math.min(1, parseFloat(state.phoenixP) || 0));
+        this.params.renderMode = ['distance', 'period', 'trap'].includes(state.renderMode) ? state.renderMode : 'escape';
+        if (state.trap) {
+            const [shape, x, y] = state.trap;
+            this.params.trapShape = ['line', 'cross'].includes(shape) ? shape : 'point';
+            this.params.trapX = parseFloat(x) || 0;
+            this.params.trapY = parseFloat(y) || 0;
+        }
+
+        if (state.palette) {
+            const { scheme, stops, repeat, offset, mapping } = state.palette;
+            if (scheme) this.setColorScheme(scheme);
+            if (stops) {
+                this.paletteEditor.setStops(stops);
+                this.palette.stops = stops.map(s => ({ ...s }));
+                this.paletteLUT = buildPaletteLUT(this.palette.stops);
+            }
+            this.palette.repeat = parseFloat(repeat) || 1;
+            this.palette.offset = parseFloat(offset) || 0;
+            this.palette.mapping = mapping === 'histogram' ? 'histogram' : 'linear';
+        }
+
+        // Keep the view's center and scale; setupCanvas fits it to this window
+        const view = parseBounds(state.bounds);
+        if (view && view.width > 0 && view.height > 0) {
+            this.juliaBounds = { ...state.bounds };
+            this.zoom = 4 / Math.min(view.width, view.height);
+        } else {
+            this.resetView();
+        }
+
+        this.splitView = !!state.splitView;
+        this.updateControlsFromState();
+        this.updateSplitView();
+    }
+
+    // Sync the sidebar with params, palette and view mode
+    updateControlsFromState() {
+        document.getElementById('fractalType').value = this.params.fractalType;
+        document.getElementById('iterSlider').value = this.params.maxIter;
+        document.getElementById('iterValue').textContent = this.params.maxIter;
+        document.getElementById('exponentSlider').value = this.params.exponent;
+        document.getElementById('exponentValue').textContent = this.params.exponent;
+        document.getElementById('phoenixSlider').value = this.params.phoenixP;
+        document.getElementById('phoenixValue').textContent = this.params.phoenixP.toFixed(2);
+        document.getElementById('renderMode').value = this.params.renderMode;
+        document.getElementById('trapShape').value = this.params.trapShape;
+        document.getElementById('trapXSlider').value = this.params.trapX;
+        document.getElementById('trapXValue').textContent = this.params.trapX.toFixed(2);
+        document.getElementById('trapYSlider').value = this.params.trapY;
+        document.getElementById('trapYValue').textContent = this.params.trapY.toFixed(2);
+        this.updateFormulaControls();
+
+        document.getElementById('paletteMapping').value = this.palette.mapping;
+        document.getElementById('paletteRepeat').value = this.palette.repeat;
+        document.getElementById('paletteRepeatValue').textContent = this.palette.repeat;
+        document.getElementById('paletteOffset').value = this.palette.offset;
+        document.getElementById('paletteOffsetValue').textContent = this.palette.offset.toFixed(2);
+
+        document.querySelectorAll('[data-view]').forEach(b => {
+            b.classList.toggle('active', (b.dataset.view === 'split') === this.splitView);
+        });
+        document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+        this.updateSliders();
+        this.updateCDisplay();
+    }
+
+    /**
+     * Query string of a view state. Bounds keep all their digits; the
+     * palette stops are only written when they aren't a built-in palette.
+     */
+    encodeViewState(state) {
+        const params = new URLSearchParams({
+            c: state.c.join(','),
+            b: [state.bounds.xMin, state.bounds.xMax, state.bounds.yMin, state.bounds.yMax].join(','),
+            it: state.maxIter,
+            f: state.fractalType
+        });
+
+        const options = FORMULAS[state.fractalType].options || [];
+        if (options.includes('exponent')) params.set('n', state.exponent);
+        if (options.includes('phoenixP')) params.set('p', state.phoenixP);
+        if (state.renderMode !== 'escape') params.set('mode', state.renderMode);
+        if (state.renderMode === 'trap') params.set('trap', state.trap.join(','));
+
+        const { scheme, stops, repeat, offset, mapping } = state.palette;
+        params.set('pal', scheme);
+        const builtin = BUILTIN_PALETTES[scheme];
+        if (!builtin || encodePalette(builtin.stops) !== encodePalette(stops)) {
+            params.set('grad', encodePalette(stops));
+        }
+        if (repeat !== 1) params.set('rep', repeat);
+        if (offset !== 0) params.set('off', offset);
+        if (mapping !== 'linear') params.set('map', mapping);
+        if (state.splitView) params.set('split', 1);
+        return params.toString();
+    }
+
+    // View state from a query string, taking missing values from the current state
+    decodeViewState(query) {
+        const params = new URLSearchParams(query);
+        const state = this.getViewState();
+
+        if (params.has('c')) state.c = params.get('c').split(',');
+        if (params.has('b')) {
+            const [xMin, xMax, yMin, yMax] = params.get('b').split(',');
+            state.bounds = { xMin, xMax, yMin, yMax };
+        }
+        if (params.has('it')) state.maxIter = params.get('it');
+        if (params.has('f')) state.fractalType = params.get('f');
+        if (params.has('n')) state.exponent = params.get('n');
+        if (params.has('p')) state.phoenixP = params.get('p');
+        state.renderMode = params.get('mode') || 'escape';
+        if (params.has('trap')) state.trap = params.get('trap').split(',');
+
+        // A saved palette may not exist here, so its stops travel too
+        if (params.has('pal')) {
+            state.palette.scheme = params.get('pal');
+            const builtin = BUILTIN_PALETTES[state.palette.scheme];
+            state.palette.stops = builtin ? builtin.stops : null;
+        }
+        if (params.has('grad')) state.palette.stops = decodePalette(params.get('grad')) || state.palette.stops;
+        state.palette.repeat = params.get('rep') || 1;
+        state.palette.offset = params.get('off') || 0;
+        state.palette.mapping = params.get('map') || 'linear';
+        state.splitView = params.get('split') === '1';
+        return state;
+    }
+
+    /**
+     * Restore the view written in the page URL
+     * @returns {boolean} Whether the URL held a view
+     */
+    loadFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('c') && !params.has('b')) return false;
+
+        this.applyViewState(this.decodeViewState(window.location.search));
+        return true;
+    }
+
+    // Keep the URL on the current view without filling the history
+    scheduleURLUpdate() {
+        clearTimeout(this.urlTimer);
+        this.urlTimer = setTimeout(() => {
+            const url = window.location.pathname + '?' + this.encodeViewState(this.getViewState());
+            window.history.replaceState(null, '', url);
+        }, 300);
+    }
+
+    copyShareURL() {
+        const url = window.location.origin + window.location.pathname + '?' + this.encodeViewState(this.getViewState());
+
+        navigator.clipboard.writeText(url).then(() => {
+            const btn = document.getElementById('shareBtn');
+            btn.textContent = 'Copied!';
+            setTimeout(() => btn.textContent = 'Copy Share URL', 2000);
+        });
+    }
+
+    saveBookmark() {
+        const name = prompt('Name for this view:');
+        if (!name) return;
+
+        this.bookmarks.add(name, this.getViewState(), this.juliaCanvas);
+        this.renderBookmarks();
+    }
+
+    renderBookmarks() {
+        const list = document.getElementById('bookmarkList');
+        list.innerHTML = '';
+
+        if (!this.bookmarks.bookmarks.length) {
+            const hint = document.createElement('p');
+            hint.className = 'hint';
+            hint.textContent = 'No bookmarks yet';
+            list.appendChild(hint);
+            return;
+        }
+
+        this.bookmarks.bookmarks.forEach(bookmark => {
+            const item = document.createElement('div');
+            item.className = 'bookmark-item';
+            item.title = `c = ${bookmark.state.c.join(', ')}`;
+
+            const thumb = document.createElement('img');
+            thumb.src = bookmark.thumbnail;
+            thumb.alt = '';
+
+            const name = document.createElement('span');
+            name.textContent = bookmark.name;
+
+            const remove = document.createElement('button');
+            remove.className = 'bookmark-delete';
+            remove.title = 'Delete bookmark';
+            remove.innerHTML = '&times;';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!confirm(`Delete the bookmark "${bookmark.name}"?`)) return;
+                this.bookmarks.remove(bookmark.name);
+                this.renderBookmarks();
+            });
+
+            item.addEventListener('click', () => this.applyViewState(bookmark.state));
+            item.appendChild(thumb);
+            item.appendChild(name);
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    exportBookmarks() {
+        if (!this.bookmarks.bookmarks.length) {
+            alert('There are no bookmarks to export.');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.bookmarks.toJSON(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = 'julia-bookmarks.json';
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    async importBookmarks(file) {
+        try {
+            const count = this.bookmarks.import(JSON.parse(await file.text()));
+            this.renderBookmarks();
+            alert(`Imported ${count} bookmark${count === 1 ? '' : 's'}.`);
+        } catch (err) {
+            alert(`Could not import bookmarks: ${err.message}`);
         }
     }
 
@@ -335,8 +1160,9 @@ class JuliaExplorer {
         const px = ((this.params.cReal - this.mandelbrotBounds.xMin) / xRange) * rect.width;
         const py = ((this.mandelbrotBounds.yMax - this.params.cImag) / yRange) * rect.height;
 
-        crosshair.style.left = px + 'px';
-        crosshair.style.top = py + 'px';
+        // Centered on c, measured from the container like the canvas itself
+        crosshair.style.left = (this.mandelbrotCanvas.offsetLeft + px - 10) + 'px';
+        crosshair.style.top = (this.mandelbrotCanvas.offsetTop + py - 10) + 'px';
     }
 
     handleMouseDown(e, canvasType) {
@@ -348,34 +1174,42 @@ class JuliaExplorer {
 
     handleMouseMove(e, canvasType) {
         const canvas = canvasType === 'julia' ? this.juliaCanvas : this.mandelbrotCanvas;
-        const bounds = canvasType === 'julia' ? this.juliaBounds : this.mandelbrotBounds;
         const rect = canvas.getBoundingClientRect();
 
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
         // Update cursor coordinates
-        const xRange = bounds.xMax - bounds.xMin;
-        const yRange = bounds.yMax - bounds.yMin;
-        const realCoord = bounds.xMin + (x / rect.width) * xRange;
-        const imagCoord = bounds.yMax - (y / rect.height) * yRange;
+        if (canvasType === 'julia') {
+            const point = this.juliaPointAt(x, y, rect);
+            const digits = this.juliaDigits(point.view);
+            const sign = point.im >= 0n ? '+ ' : '- ';
+            document.getElementById('cursorCoords').textContent =
+                `${formatFixed(point.re, point.view.bits, digits)} ${sign}` +
+                `${formatFixed(point.im < 0n ? -point.im : point.im, point.view.bits, digits)}i`;
+        } else {
+            const bounds = this.mandelbrotBounds;
+            const realCoord = bounds.xMin + (x / rect.width) * (bounds.xMax - bounds.xMin);
+            const imagCoord = bounds.yMax - (y / rect.height) * (bounds.yMax - bounds.yMin);
 
-        const sign = imagCoord >= 0 ? '+' : '';
-        document.getElementById('cursorCoords').textContent =
-            `${realCoord.toFixed(4)} ${sign} ${imagCoord.toFixed(4)}i`;
+            const sign = imagCoord >= 0 ? '+' : '';
+            document.getElementById('cursorCoords').textContent =
+                `${realCoord.toFixed(4)} ${sign} ${imagCoord.toFixed(4)}i`;
+        }
 
         // Handle panning
         if (this.isDragging && canvasType === 'julia') {
             const dx = (e.clientX - this.dragStart.x) / rect.width;
             const dy = (e.clientY - this.dragStart.y) / rect.height;
 
-            const xShift = dx * xRange;
-            const yShift = dy * yRange;
-
-            this.juliaBounds.xMin = this.dragBoundsStart.xMin - xShift;
-            this.juliaBounds.xMax = this.dragBoundsStart.xMax - xShift;
-            this.juliaBounds.yMin = this.dragBoundsStart.yMin + yShift;
-            this.juliaBounds.yMax = this.dragBoundsStart.yMax + yShift;
+            const start = parseBounds(this.dragBoundsStart, this.getJuliaView().bits);
+            this.juliaBounds = formatBounds(
+                start.x - numberToFixed(dx * start.width, start.bits),
+                start.y + numberToFixed(dy * start.height, start.bits),
+                start.width, start.height, start.bits
+            );
+            this.updateViewInfo();
+            this.render();
         }
     }
 
@@ -383,7 +1217,6 @@ class JuliaExplorer {
         if (this.isDragging) {
             this.isDragging = false;
             this.juliaCanvas.style.cursor = 'crosshair';
-            this.render();
         }
     }
 
@@ -397,25 +1230,28 @@ class JuliaExplorer {
 
         // Calculate zoom factor
         const zoomFactor = e.deltaY > 0 ? 1.1 : 0.9;
-        this.zoom *= (1 / zoomFactor);
 
-        // Zoom centered on cursor
-        const xRange = this.juliaBounds.xMax - this.juliaBounds.xMin;
-        const yRange = this.juliaBounds.yMax - this.juliaBounds.yMin;
+        // Zoom centered on cursor, with the precision of the finer view
+        const view = parseBounds(this.juliaBounds,
+            precisionBits(parseBounds(this.juliaBounds).width * zoomFactor / canvas.width));
 
-        const mouseX = this.juliaBounds.xMin + (x / rect.width) * xRange;
-        const mouseY = this.juliaBounds.yMax - (y / rect.height) * yRange;
+        const newXRange = view.width * zoomFactor;
+        const newYRange = view.height * zoomFactor;
 
-        const newXRange = xRange * zoomFactor;
-        const newYRange = yRange * zoomFactor;
+        // Stop where the double-precision pixel deltas would underflow
+        if (newXRange / canvas.width < MIN_PIXEL_SIZE) return;
+        this.zoom *= (1 / zoomFactor);
 
-        this.juliaBounds.xMin = mouseX - (x / rect.width) * newXRange;
-        this.juliaBounds.xMax = mouseX + (1 - x / rect.width) * newXRange;
-        this.juliaBounds.yMin = mouseY - (1 - y / rect.height) * newYRange;
-        this.juliaBounds.yMax = mouseY + (y / rect.height) * newYRange;
+        const shiftX = (x / rect.width - 0.5) * (view.width - newXRange);
+        const shiftY = (0.5 - y / rect.height) * (view.height - newYRange);
 
-        document.getElementById('zoomLevel').textContent = this.zoom.toFixed(1);
+        this.juliaBounds = formatBounds(
+            view.x + numberToFixed(shiftX, view.bits),
+            view.y + numberToFixed(shiftY, view.bits),
+            newXRange, newYRange, view.bits
+        );
 
+        this.updateViewInfo();
         this.render();
     }
 
@@ -432,9 +1268,142 @@ class JuliaExplorer {
 
         this.updateSliders();
         this.updateCDisplay();
+        this.inspect();
         this.render();
     }
 
+    // What an inspection depends on
+    inspectionKey() {
+        const { fractalType, exponent, cReal, cImag } = this.params;
+        return JSON.stringify([fractalType, exponent, cReal, cImag]);
+    }
+
+    /**
+     * Find the attracting cycle of the current c and trace its hyperbolic
+     * component, for formulas zⁿ + c
+     */
+    inspect() {
+        const formula = FORMULAS[this.params.fractalType];
+        const c = [this.params.cReal, this.params.cImag];
+        this.inspection = { key: this.inspectionKey(), c, supported: !!formula.components };
+
+        if (formula.components) {
+            const degree = formula.degree(this.params);
+            const cycle = findAttractingCycle(c, degree);
+            this.inspection.cycle = cycle;
+            if (cycle && cycle.period) this.inspection.component = traceComponent(c, cycle, degree);
+        }
+        this.updateInspector();
+    }
+
+    clearInspection() {
+        this.inspection = null;
+        this.updateInspector();
+    }
+
+    updateInspector() {
+        const inspection = this.inspection;
+        const found = inspection && inspection.cycle && inspection.cycle.period;
+        const formatComplex = (z) => {
+            if (!z) return 'not found';
+            const im = +z[1].toFixed(6);
+            return `${(+z[0].toFixed(6)).toFixed(6)} ${im < 0 ? '-' : '+'} ${Math.abs(im).toFixed(6)}i`;
+        };
+
+        let hint = 'Click the parameter plane in split view to find the attracting cycle of c.';
+        if (inspection && !inspection.supported) {
+            hint = `The inspector covers z² + c and zⁿ + c, not ${FORMULAS[this.params.fractalType].label}.`;
+        } else if (inspection && !inspection.cycle) {
+            hint = `The orbit of 0 doesn't settle on a cycle of period ${MAX_PERIOD} or less; c may be on the boundary.`;
+        } else if (inspection && inspection.cycle.escaped) {
+            hint = `c is outside the set: the orbit of 0 escapes after ${inspection.cycle.escaped} iterations.`;
+        } else if (found && !inspection.component.outline.length) {
+            hint = 'The component outline could not be traced from here.';
+        } else if (found) {
+            hint = '';
+        }
+        document.getElementById('inspectorHint').textContent = hint;
+        document.getElementById('inspectorHint').style.display = hint ? 'block' : 'none';
+        document.getElementById('inspectorInfo').style.display = found ? 'block' : 'none';
+        document.getElementById('clearInspection').style.display = inspection ? 'block' : 'none';
+        if (!found) return;
+
+        const { period, multiplier } = inspection.cycle;
+        document.getElementById('inspectPeriod').textContent = period;
+        document.getElementById('inspectMultiplier').textContent = formatComplex(multiplier);
+        document.getElementById('inspectModulus').textContent = Math.hypot(multiplier[0], multiplier[1]).toFixed(6);
+        document.getElementById('inspectNucleus').textContent = formatComplex(inspection.component.nucleus);
+        document.getElementById('inspectRoot').textContent = formatComplex(inspection.component.root);
+    }
+
+    /**
+     * Overlay the cycle on the Julia canvas, and the component outline,
+     * nucleus and root on the parameter plane
+     */
+    drawInspection() {
+        const juliaCtx = this.juliaOverlay.getContext('2d');
+        const planeCtx = this.mandelbrotOverlay.getContext('2d');
+        juliaCtx.clearRect(0, 0, this.juliaOverlay.width, this.juliaOverlay.height);
+        planeCtx.clearRect(0, 0, this.mandelbrotOverlay.width, this.mandelbrotOverlay.height);
+
+        const inspection = this.inspection;
+        if (!inspection || !inspection.cycle || !inspection.cycle.period) return;
+        const dpr = window.devicePixelRatio || 1;
+
+        // Cycle points, offsets from the view center taken in fixed point
+        const view = this.getJuliaView();
+        const toJulia = ([re, im]) => [
+            (fixedToNumber(numberToFixed(re, view.bits) - view.x, view.bits) / view.width + 0.5) * this.juliaOverlay.width,
+            (0.5 - fixedToNumber(numberToFixed(im, view.bits) - view.y, view.bits) / view.height) * this.juliaOverlay.height
+        ];
+        const points = inspection.cycle.cycle.map(toJulia);
+
+        juliaCtx.beginPath();
+        points.forEach(([x, y], i) => i === 0 ? juliaCtx.moveTo(x, y) : juliaCtx.lineTo(x, y));
+        juliaCtx.closePath();
+        juliaCtx.strokeStyle = 'rgba(0, 217, 255, 0.8)';
+        juliaCtx.lineWidth = 1.5 * dpr;
+        juliaCtx.stroke();
+
+        for (const [x, y] of points) {
+            juliaCtx.beginPath();
+            juliaCtx.arc(x, y, 4 * dpr, 0, Math.PI * 2);
+            juliaCtx.fillStyle = '#fff';
+            juliaCtx.fill();
+            juliaCtx.strokeStyle = '#000';
+            juliaCtx.lineWidth = dpr;
+            juliaCtx.stroke();
+        }
+
+        // Component on the parameter plane
+        const bounds = this.mandelbrotBounds;
+        const toPlane = ([re, im]) => [
+            (re - bounds.xMin) / (bounds.xMax - bounds.xMin) * this.mandelbrotOverlay.width,
+            (bounds.yMax - im) / (bounds.yMax - bounds.yMin) * this.mandelbrotOverlay.height
+        ];
+        const { outline, nucleus, root } = inspection.component;
+
+        if (outline.length) {
+            planeCtx.beginPath();
+            outline.map(toPlane).forEach(([x, y], i) => i === 0 ? planeCtx.moveTo(x, y) : planeCtx.lineTo(x, y));
+            planeCtx.closePath();
+            planeCtx.strokeStyle = '#00d9ff';
+            planeCtx.lineWidth = 2 * dpr;
+            planeCtx.stroke();
+        }
+
+        planeCtx.font = `${11 * dpr}px sans-serif`;
+        for (const [point, label, color] of [[nucleus, 'nucleus', '#fff'], [root, 'root', '#ffb000']]) {
+            if (!point) continue;
+            const [x, y] = toPlane(point);
+            planeCtx.beginPath();
+            planeCtx.arc(x, y, 4 * dpr, 0, Math.PI * 2);
+            planeCtx.fillStyle = color;
+            planeCtx.fill();
+            planeCtx.fillText(label, x + 6 * dpr, y - 6 * dpr);
+        }
+    }
+
     animate() {
         if (!this.animation.active || this.animation.type === 'none') return;
 
@@ -483,11 +1452,10 @@ class JuliaExplorer {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        const xRange = this.juliaBounds.xMax - this.juliaBounds.xMin;
-        const yRange = this.juliaBounds.yMax - this.juliaBounds.yMin;
-
-        const z0Real = this.juliaBounds.xMin + (x / rect.width) * xRange;
-        const z0Imag = this.juliaBounds.yMax - (y / rect.height) * yRange;
+        // The orbit plot spans ±2, so doubles are enough here
+        const point = this.juliaPointAt(x, y, rect);
+        const z0Real = fixedToNumber(point.re, point.view.bits);
+        const z0Imag = fixedToNumber(point.im, point.view.bits);
 
         // Calculate orbit
         this.currentOrbit = this.calculateOrbit(z0Real, z0Imag);
@@ -496,9 +1464,9 @@ class JuliaExplorer {
         const sign = z0Imag >= 0 ? '+' : '';
         document.getElementById('orbitPoint').textContent =
             `${z0Real.toFixed(4)} ${sign} ${z0Imag.toFixed(4)}i`;
-        document.getElementById('orbitIters').textContent = this.currentOrbit.length;
+        document.getElementById('orbitIters').textContent = this.currentOrbit.points.length - 1;
         document.getElementById('orbitStatus').textContent =
-            this.currentOrbit.escaped ? 'Escaped' : 'Bounded';
+            this.currentOrbit.escaped ? 'Escaped' : this.currentOrbit.converged ? 'Converged' : 'Bounded';
         document.getElementById('orbitStatus').style.color =
             this.currentOrbit.escaped ? '#ff4444' : '#44ff44';
 
@@ -509,32 +1477,30 @@ class JuliaExplorer {
         document.getElementById('orbitModal').style.display = 'flex';
     }
 
+    // Same iteration as the workers, one step at a time
     calculateOrbit(z0Real, z0Imag) {
-        const points = [{ real: z0Real, imag: z0Imag }];
-        let zReal = z0Real;
-        let zImag = z0Imag;
+        const formula = FORMULAS[this.params.fractalType];
+        const z = { x: z0Real, y: z0Imag, px: 0, py: 0 };
+        const points = [{ real: z.x, imag: z.y }];
         let escaped = false;
+        let converged = false;
 
         for (let i = 0; i < this.params.maxIter; i++) {
-            // z = z² + c
-            const zReal2 = zReal * zReal;
-            const zImag2 = zImag * zImag;
-
-            if (zReal2 + zImag2 > 4) {
+            if (z.x * z.x + z.y * z.y > formula.bailout) {
                 escaped = true;
                 break;
             }
 
-            const newReal = zReal2 - zImag2 + this.params.cReal;
-            const newImag = 2 * zReal * zImag + this.params.cImag;
+            advanceOrbit(formula, z, this.params.cReal, this.params.cImag, this.params);
+            points.push({ real: z.x, imag: z.y });
 
-            zReal = newReal;
-            zImag = newImag;
-
-            points.push({ real: zReal, imag: zImag });
+            if (formula.converged && formula.converged(z)) {
+                converged = true;
+                break;
+            }
         }
 
-        return { points, escaped };
+        return { points, escaped, converged };
     }
 
     drawOrbit(points, animated) {
@@ -634,45 +1600,21 @@ class JuliaExplorer {
             link.href = this.juliaCanvas.toDataURL('image/png');
             link.click();
         } else {
-            // High-res render
-            document.getElementById('renderStatus').textContent = 'Rendering HD...';
-
+            // High-res render on the shared pool, behind interactive renders
             const exportCanvas = document.createElement('canvas');
             exportCanvas.width = this.juliaCanvas.width * multiplier;
             exportCanvas.height = this.juliaCanvas.height * multiplier;
 
-            // Create temporary worker for HD render
-            const hdWorker = new Worker('worker.js');
-
-            hdWorker.onmessage = (e) => {
-                if (e.data.type === 'progress') {
-                    const pct = Math.round(e.data.progress * 100);
-                    document.getElementById('renderStatus').textContent = `Rendering HD: ${pct}%`;
-                } else if (e.data.type === 'complete') {
-                    const ctx = exportCanvas.getContext('2d');
-                    const imageData = new ImageData(e.data.imageData, exportCanvas.width, exportCanvas.height);
-                    ctx.putImageData(imageData, 0, 0);
-
+            this.renderToCanvas('export', exportCanvas, this.getJuliaParams(), { preview: false, priority: 1 })
+                .then(rendered => {
+                    // Replaced by a newer export
+                    if (!rendered) return;
+                    delete this.layers.export;
                     const link = document.createElement('a');
                     link.download = `julia-${this.params.cReal.toFixed(3)}_${this.params.cImag.toFixed(3)}-${multiplier}x.png`;
                     link.href = exportCanvas.toDataURL('image/png');
                     link.click();
-
-                    document.getElementById('renderStatus').textContent = '';
-                    hdWorker.terminate();
-                }
-            };
-
-            hdWorker.postMessage({
-                type: this.params.fractalType,
-                width: exportCanvas.width,
-                height: exportCanvas.height,
-                cReal: this.params.cReal,
-                cImag: this.params.cImag,
-                maxIter: this.params.maxIter,
-                bounds: this.juliaBounds,
-                colorScheme: this.params.colorScheme
-            });
+                });
         }
     }
 }
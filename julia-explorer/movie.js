@@ -0,0 +1,173 @@
+/**
+ * Movie Encoder
+ * Collects frames rendered offline into a WebM video or a zip of PNG frames.
+ * Frames take as long as they take to render, so the video is recorded
+ * with the MediaRecorder paused between frames and resumed for exactly one
+ * frame interval each.
+ */
+
+class MovieEncoder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas each frame is drawn into
+     * @param {Object} options
+     *   format: 'webm' | 'png'
+     *   fps: output frame rate
+     *   filename: base name for the download
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.options = options;
+        this.frames = [];
+        this.frameCount = 0;
+    }
+
+    start() {
+        if (this.options.format !== 'webm') return;
+
+        const mimeType = MovieEncoder.getWebMType();
+        if (!mimeType) {
+            throw new Error('WebM recording is not supported in this browser. Try the PNG sequence instead.');
+        }
+
+        // Frames are pushed explicitly with requestFrame() where supported
+        this.stream = this.canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        if (!this.track.requestFrame) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = this.canvas.captureStream(this.options.fps);
+            this.track = this.stream.getVideoTracks()[0];
+        }
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: 12000000 });
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.mediaRecorder.start();
+        this.mediaRecorder.pause();
+    }
+
+    // Add the canvas as it is now as the next frame
+    async addFrame() {
+        if (this.options.format === 'png') {
+            this.frames.push(await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png')));
+        } else {
+            this.mediaRecorder.resume();
+            if (this.track.requestFrame) this.track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, 1000 / this.options.fps));
+
+            // abort() may have stopped the recorder while the frame was showing
+            if (this.mediaRecorder.state === 'recording') this.mediaRecorder.pause();
+        }
+        this.frameCount++;
+    }
+
+    // Stop recording without downloading anything
+    abort() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.frames = [];
+    }
+
+    async finish() {
+        let blob, extension;
+        if (this.options.format === 'webm') {
+            blob = await new Promise(resolve => {
+                this.mediaRecorder.onstop = () => resolve(new Blob(this.chunks, { type: 'video/webm' }));
+                this.mediaRecorder.stop();
+            });
+            this.stream.getTracks().forEach(track => track.stop());
+            extension = 'webm';
+        } else {
+            const files = [];
+            for (let i = 0; i < this.frames.length; i++) {
+                files.push({
+                    name: `frame_${String(i + 1).padStart(5, '0')}.png`,
+                    data: new Uint8Array(await this.frames[i].arrayBuffer())
+                });
+            }
+            blob = createZip(files);
+            extension = 'zip';
+        }
+
+        const link = document.createElement('a');
+        link.download = `${this.options.filename}.${extension}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    static getWebMType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+}
+
+/**
+ * Build an uncompressed zip archive (PNG data is already compressed)
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = new TextEncoder().encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed
+        local.setUint16(8, 0, true);            // Method: store
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local.buffer, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);   // Central directory signature
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);           // Version needed
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+function crc32(data) {
+    let table = crc32.table;
+    if (!table) {
+        table = crc32.table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,295 @@
+/**
+ * Palettes
+ * Color stops, lookup tables and the mapping from the workers' iteration
+ * buffers to pixels. Coloring runs on the main thread so palette edits,
+ * histogram equalization and color cycling never recompute the fractal.
+ */
+
+const PALETTE_SIZE = 1024;
+
+const BUILTIN_PALETTES = {
+    classic: {
+        label: 'Classic (Blue)',
+        stops: [
+            { position: 0, color: '#000032' }, { position: 0.03, color: '#0d165e' },
+            { position: 0.125, color: '#1b2d8c' }, { position: 0.25, color: '#2640b1' },
+            { position: 0.375, color: '#2f4ece' }, { position: 0.5, color: '#365ae6' },
+            { position: 0.625, color: '#3c65fb' }, { position: 0.75, color: '#426eff' },
+            { position: 1, color: '#4d80ff' }
+        ]
+    },
+    fire: {
+        label: 'Fire',
+        stops: [
+            { position: 0, color: '#000000' }, { position: 0.25, color: '#ff0000' },
+            { position: 0.5, color: '#ff8000' }, { position: 0.75, color: '#ffff40' },
+            { position: 1, color: '#ffffff' }
+        ]
+    },
+    ocean: {
+        label: 'Ocean',
+        stops: [{ position: 0, color: '#0f5078' }, { position: 1, color: '#4dffff' }]
+    },
+    neon: {
+        label: 'Neon',
+        stops: [
+            { position: 0, color: '#000000' }, { position: 0.083, color: '#2a001a' },
+            { position: 0.167, color: '#540015' }, { position: 0.25, color: '#7f0f00' },
+            { position: 0.333, color: '#a95400' }, { position: 0.417, color: '#d4b900' },
+            { position: 0.5, color: '#bfff00' }, { position: 0.583, color: '#5fff00' },
+            { position: 0.667, color: '#00ff00' }, { position: 0.75, color: '#00ff5f' },
+            { position: 0.833, color: '#00ffbf' }, { position: 0.917, color: '#00dfff' },
+            { position: 1, color: '#007fff' }
+        ]
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: [{ position: 0, color: '#000000' }, { position: 1, color: '#ffffff' }]
+    },
+    rainbow: {
+        label: 'HSL Rainbow',
+        stops: [
+            { position: 0, color: '#ff0000' }, { position: 0.167, color: '#ffff00' },
+            { position: 0.333, color: '#00ff00' }, { position: 0.5, color: '#00ffff' },
+            { position: 0.667, color: '#0000ff' }, { position: 0.833, color: '#ff00ff' },
+            { position: 1, color: '#ff0000' }
+        ]
+    }
+};
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+// Color at t in [0, 1] of stops sorted by position
+function samplePalette(stops, t) {
+    let i = 1;
+    while (i < stops.length - 1 && stops[i].position < t) i++;
+
+    const a = stops[i - 1];
+    const b = stops[i] || a;
+    const span = b.position - a.position;
+    const f = span > 0 ? Math.max(0, Math.min(1, (t - a.position) / span)) : 0;
+    const ca = hexToRgb(a.color);
+    const cb = hexToRgb(b.color);
+    return ca.map((c, j) => c + (cb[j] - c) * f);
+}
+
+// Compact text form for URLs: "0:000032,0.5:365ae6,1:4d80ff"
+function encodePalette(stops) {
+    return stops.map(s => `${+s.position.toFixed(3)}:${s.color.slice(1)}`).join(',');
+}
+
+function decodePalette(text) {
+    const stops = text.split(',').map(part => {
+        const [position, color] = part.split(':');
+        return { position: Math.max(0, Math.min(1, parseFloat(position))), color: `#${color}` };
+    });
+    const valid = stops.every(s => !isNaN(s.position) && /^#[0-9a-f]{6}$/i.test(s.color));
+    return valid && stops.length >= 2 ? stops.sort((a, b) => a.position - b.position) : null;
+}
+
+/**
+ * RGB lookup table of a palette
+ * @returns {Uint8Array} size × 3 bytes
+ */
+function buildPaletteLUT(stops, size = PALETTE_SIZE) {
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+    const lut = new Uint8Array(size * 3);
+    for (let i = 0; i < size; i++) {
+        lut.set(samplePalette(sorted, i / (size - 1)).map(Math.round), i * 3);
+    }
+    return lut;
+}
+
+/**
+ * Cumulative distribution of escape times, for histogram-equalized coloring
+ * @param {Float32Array} values - Smooth iteration counts, negative inside
+ * @returns {Float32Array} Fraction of escaped pixels below each whole count
+ */
+function iterationCDF(values, maxIter) {
+    const counts = new Float32Array(maxIter + 2);
+    let total = 0;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] < 0) continue;
+        counts[Math.min(maxIter, Math.floor(values[i])) + 1]++;
+        total++;
+    }
+
+    for (let k = 1; k < counts.length; k++) counts[k] += counts[k - 1];
+    if (total > 0) {
+        for (let k = 0; k < counts.length; k++) counts[k] /= total;
+    }
+    return counts;
+}
+
+/**
+ * Color a rectangle of an iteration buffer into RGBA pixels
+ * @param {Object} layer - {values, aux, kind, width, imageData}: buffers of
+ *   the whole image and the render kind from renderKind() that made them.
+ *   aux holds root angles in [0, 1) ('root'), distances to the set in
+ *   pixels ('distance') or interior periods ('period')
+ * @param {Object} rect - {x, y, width, height}
+ * @param {Object} coloring
+ *   lut: palette from buildPaletteLUT
+ *   mode: 'linear' (t = iterations / maxIter) | 'histogram'
+ *   cdf: from iterationCDF, for histogram mode
+ *   maxIter, repeat (palette cycles over the range), offset (0–1 shift)
+ */
+function colorizeRect(layer, rect, coloring) {
+    const { values, aux, kind, width } = layer;
+    const pixels = layer.imageData.data;
+    const { lut, mode, cdf, maxIter, repeat, offset } = coloring;
+    const size = lut.length / 3;
+    const histogram = mode === 'histogram' && cdf;
+
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const i = y * width + x;
+            const value = values[i];
+            const idx = i * 4;
+            pixels[idx + 3] = 255;
+
+            let t, shade = 1;
+            if (kind === 'trap') {
+                // Close to the trap at the start of the palette
+                t = 1 - Math.exp(-3 * value);
+            } else if (value < 0) {
+                // Interior: black, or a color per period
+                if (kind !== 'period' || !aux[i]) {
+                    pixels[idx] = pixels[idx + 1] = pixels[idx + 2] = 0;
+                    continue;
+                }
+                t = (aux[i] * 0.618034) % 1;
+                shade = 0.7;
+            } else if (kind === 'root') {
+                // Hue from the root reached, darker the longer it took
+                t = aux[i];
+                shade = Math.max(0.2, 1 - value / 60);
+            } else {
+                if (histogram) {
+                    const k = Math.min(maxIter, Math.floor(value));
+                    t = cdf[k] + (cdf[k + 1] - cdf[k]) * (value - Math.floor(value));
+                } else {
+                    t = value / maxIter;
+                }
+                // Darken toward the set so filaments stay sharp and unbroken
+                if (kind === 'distance') shade = Math.tanh(aux[i] / 2);
+            }
+
+            const u = t * repeat + offset;
+            const j = Math.min(size - 1, Math.floor((u - Math.floor(u)) * size)) * 3;
+            pixels[idx] = lut[j] * shade;
+            pixels[idx + 1] = lut[j + 1] * shade;
+            pixels[idx + 2] = lut[j + 2] * shade;
+        }
+    }
+}
+
+class PaletteEditor {
+    /**
+     * @param {HTMLElement} bar - Element showing the palette; stop handles go inside it
+     * @param {HTMLInputElement} colorInput - Color of the selected stop
+     * @param {Function} onChange - Called with the sorted stops after each edit
+     */
+    constructor(bar, colorInput, onChange) {
+        this.bar = bar;
+        this.colorInput = colorInput;
+        this.onChange = onChange;
+        this.stops = [];
+        this.selected = 0;
+        this.dragging = null;
+
+        // Clicking the bar adds a stop in the color already there
+        bar.addEventListener('mousedown', (e) => {
+            if (e.target !== bar) return;
+            const position = this.positionAt(e);
+            const color = rgbToHex(samplePalette(this.sorted(), position));
+            this.stops.push({ position, color });
+            this.selected = this.dragging = this.stops.length - 1;
+            this.changed();
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragging === null) return;
+            this.stops[this.dragging].position = this.positionAt(e);
+            this.changed();
+        });
+
+        window.addEventListener('mouseup', () => this.dragging = null);
+
+        colorInput.addEventListener('input', () => {
+            if (!this.stops[this.selected]) return;
+            this.stops[this.selected].color = colorInput.value;
+            this.changed();
+        });
+    }
+
+    setStops(stops) {
+        this.stops = stops.map(s => ({ ...s }));
+        this.selected = Math.min(this.selected, this.stops.length - 1);
+        this.draw();
+    }
+
+    sorted() {
+        return [...this.stops].sort((a, b) => a.position - b.position);
+    }
+
+    positionAt(e) {
+        const rect = this.bar.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    }
+
+    changed() {
+        this.draw();
+        this.onChange(this.sorted().map(s => ({ ...s })));
+    }
+
+    draw() {
+        const sorted = this.sorted();
+        this.bar.style.background =
+            `linear-gradient(to right, ${sorted.map(s => `${s.color} ${s.position * 100}%`).join(', ')})`;
+
+        // Rebuild handles only when the count changes, so a drag keeps its element
+        let handles = this.bar.querySelectorAll('.palette-stop');
+        if (handles.length !== this.stops.length) {
+            handles.forEach(handle => handle.remove());
+            this.stops.forEach((stop, index) => this.bar.appendChild(this.createHandle(index)));
+            handles = this.bar.querySelectorAll('.palette-stop');
+        }
+
+        handles.forEach((handle, index) => {
+            handle.classList.toggle('selected', index === this.selected);
+            handle.style.left = `${this.stops[index].position * 100}%`;
+            handle.style.background = this.stops[index].color;
+        });
+
+        if (this.stops[this.selected]) this.colorInput.value = this.stops[this.selected].color;
+    }
+
+    createHandle(index) {
+        const handle = document.createElement('div');
+        handle.className = 'palette-stop';
+        handle.title = 'Drag to move, double-click to remove';
+
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            this.selected = this.dragging = index;
+            this.draw();
+        });
+
+        handle.addEventListener('dblclick', () => {
+            if (this.stops.length <= 2) return;
+            this.stops.splice(index, 1);
+            this.selected = 0;
+            this.changed();
+        });
+
+        return handle;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * High-Precision Coordinates
+ * Fixed-point BigInt numbers for deep-zoom view bounds and reference orbits.
+ * A fixed-point value v with `bits` fractional bits stands for v / 2^bits.
+ * Shared by main.js and worker.js.
+ */
+
+// Below this pixel size plain doubles can no longer tell pixels apart
+const PERTURBATION_PIXEL_SIZE = 1e-12;
+
+// Per-pixel deltas are doubles, so they run out of exponent range here
+const MIN_PIXEL_SIZE = 1e-290;
+
+function usePerturbation(pixelSize) {
+    return pixelSize < PERTURBATION_PIXEL_SIZE;
+}
+
+// Fractional bits needed to address pixels of the given size, with headroom
+// for rounding along the reference orbit
+function precisionBits(pixelSize) {
+    return Math.max(64, Math.ceil(-Math.log2(pixelSize)) + 64);
+}
+
+// x · 2^exponent without overflowing or underflowing the intermediate power
+function ldexp(x, exponent) {
+    while (exponent > 1000) {
+        x *= 2 ** 1000;
+        exponent -= 1000;
+    }
+    while (exponent < -1000) {
+        x *= 2 ** -1000;
+        exponent += 1000;
+    }
+    return x * 2 ** exponent;
+}
+
+function bitLength(value) {
+    return (value < 0n ? -value : value).toString(2).length;
+}
+
+/**
+ * Parse a decimal string such as "-1.25e-40" (or a number) to fixed point
+ * @returns {bigint|null} null if the text is not a finite number
+ */
+function parseFixed(text, bits) {
+    const match = String(text).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!match || !(match[2] || match[3])) return null;
+
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const digits = BigInt(whole + fraction || '0');
+    const power = parseInt(exponent) - fraction.length;
+
+    let value;
+    if (power >= 0) {
+        value = (digits * 10n ** BigInt(power)) << BigInt(bits);
+    } else {
+        const divisor = 10n ** BigInt(-power);
+        value = ((digits << BigInt(bits)) + divisor / 2n) / divisor;
+    }
+    return sign === '-' ? -value : value;
+}
+
+/**
+ * Decimal string of a fixed-point value, rounded to `digits` decimals with
+ * trailing zeros removed
+ */
+function formatFixed(value, bits, digits) {
+    const negative = value < 0n;
+    const scale = 10n ** BigInt(digits);
+    const scaled = ((negative ? -value : value) * scale + (1n << BigInt(bits - 1))) >> BigInt(bits);
+
+    const whole = scaled / scale;
+    const fraction = (scaled % scale).toString().padStart(digits, '0').replace(/0+$/, '');
+    const text = fraction ? `${whole}.${fraction}` : `${whole}`;
+    return negative && scaled !== 0n ? '-' + text : text;
+}
+
+function fixedToNumber(value, bits) {
+    // Keep the top 64 bits so the conversion to a double cannot overflow
+    const shift = Math.max(0, bitLength(value) - 64);
+    return ldexp(Number(value >> BigInt(shift)), shift - bits);
+}
+
+function numberToFixed(x, bits) {
+    if (x === 0 || !isFinite(x)) return 0n;
+
+    // x = mantissa · 2^exponent with an integer mantissa of about 53 bits
+    const exponent = Math.floor(Math.log2(Math.abs(x))) - 52;
+    const mantissa = BigInt(Math.round(ldexp(x, -exponent)));
+    const shift = exponent + bits;
+    return shift >= 0 ? mantissa << BigInt(shift) : mantissa >> BigInt(-shift);
+}
+
+// Decimal places written in a number string, counting its exponent
+function decimalPlaces(text) {
+    const match = String(text).match(/(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    return Math.max(0, (match[1] || '').length - parseInt(match[2] || '0'));
+}
+
+/**
+ * Center and size of a view from its decimal bounds
+ * @param {{xMin, xMax, yMin, yMax}} bounds - Decimal strings or numbers
+ * @param {number} minBits - Precision the caller needs at least
+ * @returns {{x: bigint, y: bigint, bits: number, width: number, height: number}|null}
+ *   center in fixed point, width and height as doubles
+ */
+function parseBounds(bounds, minBits = 64) {
+    const places = Math.max(...['xMin', 'xMax', 'yMin', 'yMax'].map(key => decimalPlaces(bounds[key])));
+    const bits = Math.max(minBits, Math.ceil(places * Math.log2(10)) + 16);
+
+    const [xMin, xMax, yMin, yMax] = ['xMin', 'xMax', 'yMin', 'yMax'].map(key => parseFixed(bounds[key], bits));
+    if ([xMin, xMax, yMin, yMax].includes(null)) return null;
+
+    return {
+        x: (xMin + xMax) / 2n,
+        y: (yMin + yMax) / 2n,
+        bits,
+        width: fixedToNumber(xMax - xMin, bits),
+        height: fixedToNumber(yMax - yMin, bits)
+    };
+}
+
+/**
+ * Decimal bounds of a view around a fixed-point center, written with
+ * 20 more digits than the view size needs
+ */
+function formatBounds(x, y, width, height, bits) {
+    // Raise the precision if the view has become finer than the center
+    const needed = precisionBits(Math.min(width, height) / 65536);
+    if (needed > bits) {
+        x <<= BigInt(needed - bits);
+        y <<= BigInt(needed - bits);
+        bits = needed;
+    }
+
+    const digits = Math.max(20, Math.ceil(-Math.log10(Math.min(width, height))) + 20);
+    const halfWidth = numberToFixed(width / 2, bits);
+    const halfHeight = numberToFixed(height / 2, bits);
+    return {
+        xMin: formatFixed(x - halfWidth, bits, digits),
+        xMax: formatFixed(x + halfWidth, bits, digits),
+        yMin: formatFixed(y - halfHeight, bits, digits),
+        yMax: formatFixed(y + halfHeight, bits, digits)
+    };
+}
+
+/**
+ * Decimal bounds around a fixed-point center whose shorter side is `size`,
+ * shaped to an image of the given aspect ratio (width / height)
+ */
+function fitBounds(x, y, size, aspect, bits) {
+    return aspect > 1
+        ? formatBounds(x, y, size * aspect, size, bits)
+        : formatBounds(x, y, size, size / aspect, bits);
+}
@@ -0,0 +1,164 @@
+/**
+ * Render Pool
+ * Splits fractal renders into tiles and spreads them over a pool of workers.
+ * A coarse preview pass runs before the full-resolution pass, and starting a
+ * new render on a channel cancels the one still running there.
+ */
+
+const TILE_SIZE = 128;
+const PREVIEW_STEP = 4;
+
+class RenderPool {
+    constructor(size = navigator.hardwareConcurrency || 4) {
+        this.workers = [];
+        this.queue = [];
+        this.jobs = new Map(); // channel → running job
+        this.nextJobId = 1;
+
+        for (let i = 0; i < size; i++) this.workers.push(this.createWorker());
+    }
+
+    createWorker() {
+        const worker = new Worker('worker.js');
+        worker.task = null;
+        worker.onmessage = (e) => this.handleMessage(worker, e.data);
+        worker.onerror = () => this.handleError(worker);
+        return worker;
+    }
+
+    /**
+     * Render an image tile by tile
+     * @param {string} channel - A new render replaces the running one on the same channel
+     * @param {Object} params - Worker parameters; width and height are the full image
+     * @param {Object} callbacks
+     *   onTile(tile, {values, roots}): iteration buffers of a finished tile,
+     *     preview tiles included
+     *   onProgress(fraction)
+     *   onComplete()
+     *   onCancel(): the job was cancelled or replaced before completing
+     * @param {Object} options
+     *   preview: render a coarse pass first (default true)
+     *   priority: jobs with lower values take workers first (default 0)
+     * @returns {number} Job id
+     */
+    render(channel, params, callbacks, options = {}) {
+        this.cancel(channel);
+
+        const tiles = this.createTiles(params.width, params.height);
+        const steps = options.preview === false ? [1] : [PREVIEW_STEP, 1];
+        const job = {
+            id: this.nextJobId++,
+            channel,
+            params,
+            callbacks,
+            priority: options.priority || 0,
+            total: tiles.length * steps.length,
+            done: 0
+        };
+
+        for (const step of steps) {
+            for (const tile of tiles) this.queue.push({ job, tile, step });
+        }
+        this.jobs.set(channel, job);
+        this.dispatch();
+        return job.id;
+    }
+
+    /**
+     * Drop the queued tiles of a channel's job, and stop the workers still
+     * computing its tiles: a deep tile can take seconds, and the next view
+     * shouldn't wait behind it. Each stopped worker is replaced by a fresh
+     * one, which starts without the old one's cached reference orbits.
+     */
+    cancel(channel) {
+        const job = this.jobs.get(channel);
+        if (!job) return;
+
+        job.cancelled = true;
+        this.jobs.delete(channel);
+        this.queue = this.queue.filter(task => task.job !== job);
+        this.workers = this.workers.map(worker => {
+            if (!worker.task || worker.task.job !== job) return worker;
+            worker.terminate();
+            return this.createWorker();
+        });
+        if (job.callbacks.onCancel) job.callbacks.onCancel();
+    }
+
+    isRunning(channel) {
+        return this.jobs.has(channel);
+    }
+
+    // Tiles ordered from the center out, so the middle of the view shows first
+    createTiles(width, height) {
+        const tiles = [];
+        for (let y = 0; y < height; y += TILE_SIZE) {
+            for (let x = 0; x < width; x += TILE_SIZE) {
+                tiles.push({
+                    x,
+                    y,
+                    width: Math.min(TILE_SIZE, width - x),
+                    height: Math.min(TILE_SIZE, height - y),
+                    drawnStep: Infinity // Finest step drawn so far
+                });
+            }
+        }
+
+        const distance = (tile) => Math.hypot(
+            tile.x + tile.width / 2 - width / 2,
+            tile.y + tile.height / 2 - height / 2
+        );
+        return tiles.sort((a, b) => distance(a) - distance(b));
+    }
+
+    dispatch() {
+        for (const worker of this.workers) {
+            if (worker.task || !this.queue.length) continue;
+
+            // First queued task of the most urgent job
+            let index = 0;
+            for (let i = 1; i < this.queue.length; i++) {
+                if (this.queue[i].job.priority < this.queue[index].job.priority) index = i;
+            }
+            const task = this.queue.splice(index, 1)[0];
+
+            worker.task = task;
+            worker.postMessage({ ...task.job.params, tile: task.tile, step: task.step });
+        }
+    }
+
+    handleMessage(worker, data) {
+        const { job, tile, step } = worker.task;
+        worker.task = null;
+
+        if (!job.cancelled) {
+            job.done++;
+
+            // A preview arriving after the full tile must not cover it
+            if (step <= tile.drawnStep) {
+                tile.drawnStep = step;
+                if (job.callbacks.onTile) job.callbacks.onTile(tile, data);
+            }
+            if (job.callbacks.onProgress) job.callbacks.onProgress(job.done / job.total);
+
+            if (job.done === job.total) {
+                this.jobs.delete(job.channel);
+                if (job.callbacks.onComplete) job.callbacks.onComplete();
+            }
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * A tile threw in the worker. Its job can't complete, so cancel it, and
+     * free the worker for other jobs.
+     */
+    handleError(worker) {
+        const task = worker.task;
+        worker.task = null;
+
+        if (task && this.jobs.get(task.job.channel) === task.job) this.cancel(task.job.channel);
+        this.dispatch();
+    }
+}
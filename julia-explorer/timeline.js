@@ -0,0 +1,106 @@
+/**
+ * Timeline
+ * Keyframes of Julia views and c, and the path between them. Zoom changes
+ * at a constant exponential rate and the center moves so that the point
+ * being zoomed into stays put on screen, as in a real zoom.
+ */
+
+const EASINGS = {
+    linear: t => t,
+    in: t => t * t * t,
+    out: t => 1 - Math.pow(1 - t, 3),
+    inout: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+class Timeline {
+    constructor() {
+        // {bounds, c: [re, im], maxIter, duration (s to the next keyframe), easing}
+        this.keyframes = [];
+    }
+
+    // Seconds from the first keyframe to the last
+    get duration() {
+        return this.keyframes.slice(0, -1).reduce((sum, kf) => sum + kf.duration, 0);
+    }
+
+    add(keyframe) {
+        const previous = this.keyframes[this.keyframes.length - 1];
+        this.keyframes.push({
+            duration: previous ? previous.duration : 4,
+            easing: previous ? previous.easing : 'linear',
+            ...keyframe
+        });
+    }
+
+    /**
+     * View at a time along the timeline
+     * @returns {{x: bigint, y: bigint, bits: number, size: number, c: number[], maxIter: number}}
+     *   fixed-point center, shorter side of the view, c and iteration limit
+     */
+    frameAt(time) {
+        const keyframes = this.keyframes;
+        let index = 0;
+        while (index < keyframes.length - 2 && time >= keyframes[index].duration) {
+            time -= keyframes[index].duration;
+            index++;
+        }
+
+        const a = keyframes[index];
+        const b = keyframes[index + 1] || a;
+        const ease = EASINGS[a.easing] || EASINGS.linear;
+        const progress = Math.max(0, Math.min(1, time / Math.max(0.01, a.duration)));
+        return interpolateKeyframes(a, b, ease(progress));
+    }
+}
+
+/**
+ * Point a fraction s of the way between two keyframes. The view size
+ * follows sizeA · r^s with r = sizeB / sizeA. Zooming about the fixed point
+ * P of that motion gives the center P + (A − P) · r^s, written here
+ * relative to the smaller view's center so deep keyframes keep their
+ * precision.
+ */
+function interpolateKeyframes(a, b, s) {
+    const coarseA = parseBounds(a.bounds);
+    const coarseB = parseBounds(b.bounds);
+    const sizeA = Math.min(coarseA.width, coarseA.height);
+    const sizeB = Math.min(coarseB.width, coarseB.height);
+
+    // Common precision for both centers, fine enough for large output frames
+    const bits = Math.max(coarseA.bits, coarseB.bits, precisionBits(Math.min(sizeA, sizeB) / 4096));
+    const viewA = parseBounds(a.bounds, bits);
+    const viewB = parseBounds(b.bounds, bits);
+
+    const logRatio = Math.log(sizeB / sizeA);
+    const ratio = sizeB / sizeA;
+    let x, y;
+    if (Math.abs(logRatio) < 1e-9) {
+        // Same size: a straight pan
+        x = viewA.x + scaleFixed(viewB.x - viewA.x, s, bits);
+        y = viewA.y + scaleFixed(viewB.y - viewA.y, s, bits);
+    } else if (ratio < 1) {
+        // Zooming in: (r^s − r) / (1 − r) of the way back from B toward A
+        const g = ratio * Math.expm1((s - 1) * logRatio) / (1 - ratio);
+        x = viewB.x + scaleFixed(viewA.x - viewB.x, g, bits);
+        y = viewB.y + scaleFixed(viewA.y - viewB.y, g, bits);
+    } else {
+        // Zooming out: (1 − r^s) / (1 − r) of the way from A toward B
+        const h = -Math.expm1(s * logRatio) / (1 - ratio);
+        x = viewA.x + scaleFixed(viewB.x - viewA.x, h, bits);
+        y = viewA.y + scaleFixed(viewB.y - viewA.y, h, bits);
+    }
+
+    return {
+        x,
+        y,
+        bits,
+        size: sizeA * Math.exp(logRatio * s),
+        c: [a.c[0] + (b.c[0] - a.c[0]) * s, a.c[1] + (b.c[1] - a.c[1]) * s],
+        maxIter: Math.round(a.maxIter + (b.maxIter - a.maxIter) * s)
+    };
+}
+
+// Fixed-point value times a double
+function scaleFixed(value, factor, bits) {
+    return (value * numberToFixed(factor, bits)) >> BigInt(bits);
+}
@@ -1,165 +1,375 @@
 /**
- * Web Worker for Julia Set / Mandelbrot / Burning Ship computation
+ * Web Worker for Julia set and parameter-plane computation of the formulas
+ * in formulas.js
  */
 
+importScripts('precision.js', 'formulas.js');
+
+// Reference orbits of the last deep view, reused by the following tiles
+let referenceCache = null;
+
+// Escape radius² for distance estimation, which needs |z| well past 2
+const DISTANCE_BAILOUT = 1e6;
+
+// Squared distance at which an orbit counts as back where it was
+const CYCLE_EPSILON2 = 1e-20;
+
+/**
+ * Compute one tile of a width × height image. With step > 1 only every
+ * step-th pixel is computed and copied over its block, for quick previews.
+ * Replies with `values`, smooth iteration counts (negative inside the set)
+ * or trap distances, which main.js colors, and for some render kinds
+ * `aux`: the root reached, the distance to the set in pixels or the
+ * period of an interior point. See renderKind() in formulas.js.
+ */
 self.onmessage = function(e) {
-    const { type, width, height, cReal, cImag, maxIter, bounds, colorScheme, fractalType } = e.data;
+    const { width, height, bounds, tile, step } = e.data;
+    const formula = FORMULAS[e.data.formula];
+    const kind = renderKind(formula, e.data.renderMode);
+
+    // Bounds arrive as decimal strings; deep views switch to perturbation
+    // where the formula has one
+    let view = parseBounds(bounds);
+    const pixelSize = Math.min(view.width / width, view.height / height);
+
+    let sampler;
+    if (formula.perturbation && usePerturbation(pixelSize)) {
+        view = parseBounds(bounds, precisionBits(pixelSize));
+        sampler = perturbedSampler(e.data, view, kind, pixelSize);
+    } else {
+        sampler = directSampler(e.data, formula, kind, pixelSize);
+    }
+
+    const values = new Float32Array(tile.width * tile.height);
+    const aux = ['root', 'distance', 'period'].includes(kind) ? new Float32Array(values.length) : null;
+    const sample = { value: 0, aux: 0 };
+
+    for (let ty = 0; ty < tile.height; ty += step) {
+        for (let tx = 0; tx < tile.width; tx += step) {
+            sampler(tile.x + tx, tile.y + ty, sample);
+
+            for (let by = ty; by < Math.min(ty + step, tile.height); by++) {
+                for (let bx = tx; bx < Math.min(tx + step, tile.width); bx++) {
+                    values[by * tile.width + bx] = sample.value;
+                    if (aux) aux[by * tile.width + bx] = sample.aux;
+                }
+            }
+        }
+    }
+
+    const transfer = aux ? [values.buffer, aux.buffer] : [values.buffer];
+    self.postMessage({ type: 'tile', values, aux }, transfer);
+};
 
-    const imageData = new Uint8ClampedArray(width * height * 4);
+// Smooth coloring using normalized iteration count; -1 for bounded points
+function smoothIteration(iter, magnitude2, maxIter, bailout = 4, degree = 2) {
+    if (iter >= maxIter) return -1;
+    const log_zn = Math.log(magnitude2) / 2;
+    const nu = Math.log(log_zn / Math.log(Math.sqrt(bailout))) / Math.log(degree);
+    return Math.max(0, iter + 1 - nu);
+}
 
-    const xMin = bounds.xMin;
-    const xMax = bounds.xMax;
-    const yMin = bounds.yMin;
-    const yMax = bounds.yMax;
+// Distance to the set in pixels, from |z|² and |dz|² at escape
+function distanceEstimate(magnitude2, derivative2, pixelSize) {
+    // |z| ln|z| / |dz|
+    const distance = Math.sqrt(magnitude2 / derivative2) * Math.log(magnitude2) / 2;
+    return isFinite(distance) ? distance / pixelSize : 0;
+}
+
+// Distance from a point to the orbit trap
+function orbitTrap(params) {
+    const { trapShape, trapX, trapY } = params;
+    switch (trapShape) {
+        case 'line':
+            return (x, y) => Math.abs(y - trapY);
+        case 'cross':
+            return (x, y) => Math.min(Math.abs(x - trapX), Math.abs(y - trapY));
+        default:
+            return (x, y) => Math.hypot(x - trapX, y - trapY);
+    }
+}
+
+/**
+ * Plain double-precision iteration of any formula, for views down to about
+ * 1e-12 per pixel. Orbits are checked for cycles (Brent's method: compare
+ * with a point saved at each power of two), so interior points stop as soon
+ * as they settle instead of running to maxIter.
+ * @returns {Function} (px, py, sample) → fills sample.value and sample.aux
+ */
+function directSampler(params, formula, kind, pixelSize) {
+    const { plane, width, height, cReal, cImag, maxIter, bounds } = params;
+
+    const xMin = parseFloat(bounds.xMin);
+    const xMax = parseFloat(bounds.xMax);
+    const yMin = parseFloat(bounds.yMin);
+    const yMax = parseFloat(bounds.yMax);
 
     const xScale = (xMax - xMin) / width;
     const yScale = (yMax - yMin) / height;
+    const degree = formula.degree(params);
+    const bailout = kind === 'distance' ? DISTANCE_BAILOUT : formula.bailout;
+    const parameter = plane !== 'julia';
+    const trap = kind === 'trap' ? orbitTrap(params) : null;
+    const z = { x: 0, y: 0, px: 0, py: 0 };
+    const dz = { x: 0, y: 0 };
 
-    for (let py = 0; py < height; py++) {
-        for (let px = 0; px < width; px++) {
-            const x0 = xMin + px * xScale;
-            const y0 = yMax - py * yScale; // Flip y for canvas coordinates
-
-            let zx, zy, cx, cy;
-            let iter = 0;
-
-            if (type === 'julia' || type === 'burning-julia') {
-                // Julia set: z starts at the point, c is fixed
-                zx = x0;
-                zy = y0;
-                cx = cReal;
-                cy = cImag;
-            } else {
-                // Mandelbrot: z starts at 0, c is the point
-                zx = 0;
-                zy = 0;
-                cx = x0;
-                cy = y0;
-            }
+    return (px, py, sample) => {
+        const x0 = xMin + px * xScale;
+        const y0 = yMax - py * yScale; // Flip y for canvas coordinates
+
+        let cx, cy;
+        if (!parameter) {
+            // Julia set: z starts at the point, c is fixed
+            z.x = x0;
+            z.y = y0;
+            cx = cReal;
+            cy = cImag;
+        } else {
+            // Parameter plane: z starts at 0, c is the point
+            z.x = 0;
+            z.y = 0;
+            cx = x0;
+            cy = y0;
+        }
+        z.px = 0;
+        z.py = 0;
+
+        // Root-colored formulas report the iterations to converge and the
+        // angle of the root as a fraction of a turn
+        if (kind === 'root') {
+            const iter = iterateFormula(formula, z, cx, cy, maxIter, params);
+            const converged = formula.converged(z);
+            sample.value = converged ? iter : -1;
+            sample.aux = converged ? (Math.atan2(z.y, z.x) / (2 * Math.PI) + 1) % 1 : 0;
+            return;
+        }
 
-            let zx2 = zx * zx;
-            let zy2 = zy * zy;
+        // dz/dz₀ starts at 1 for Julia sets, dz/dc at 0 for the parameter plane
+        dz.x = parameter ? 0 : 1;
+        dz.y = 0;
 
-            // Iteration loop
-            while (zx2 + zy2 < 4 && iter < maxIter) {
-                if (type === 'burning-julia' || type === 'burning-mandelbrot') {
-                    // Burning Ship: z = (|Re(z)| + i|Im(z)|)² + c
-                    zx = Math.abs(zx);
-                    zy = Math.abs(zy);
-                }
+        let iter = 0;
+        let trapDistance = Infinity;
+        let cycle = false;
+        let savedX = z.x;
+        let savedY = z.y;
+        let savedIter = 0;
 
-                // z = z² + c
-                const xtemp = zx2 - zy2 + cx;
-                zy = 2 * zx * zy + cy;
-                zx = xtemp;
+        while (iter < maxIter && z.x * z.x + z.y * z.y < bailout) {
+            if (kind === 'distance') {
+                formula.derivative(z, dz, params);
+                if (parameter) dz.x += 1;
+            }
+            advanceOrbit(formula, z, cx, cy, params);
+            iter++;
+
+            if (trap) trapDistance = Math.min(trapDistance, trap(z.x, z.y));
 
-                zx2 = zx * zx;
-                zy2 = zy * zy;
-                iter++;
+            // Settling on an attracting fixed point is a cycle of period 1
+            if (formula.converged && formula.converged(z)) {
+                cycle = true;
+                break;
             }
 
-            // Smooth coloring using normalized iteration count
-            let smoothIter = iter;
-            if (iter < maxIter) {
-                const log_zn = Math.log(zx2 + zy2) / 2;
-                const nu = Math.log(log_zn / Math.log(2)) / Math.log(2);
-                smoothIter = iter + 1 - nu;
+            const ex = z.x - savedX;
+            const ey = z.y - savedY;
+            if (ex * ex + ey * ey < CYCLE_EPSILON2) {
+                cycle = true;
+                break;
+            }
+            if (iter === savedIter * 2 || savedIter === 0) {
+                savedX = z.x;
+                savedY = z.y;
+                savedIter = iter;
             }
+        }
 
-            // Get color
-            const idx = (py * width + px) * 4;
-            const color = getColor(smoothIter, maxIter, iter === maxIter, colorScheme);
-            imageData[idx] = color[0];
-            imageData[idx + 1] = color[1];
-            imageData[idx + 2] = color[2];
-            imageData[idx + 3] = 255;
+        if (trap) {
+            // Every point has an orbit, so traps color the interior too
+            sample.value = Math.min(trapDistance, 1e3);
+            return;
         }
 
-        // Report progress every 50 rows
-        if (py % 50 === 0) {
-            self.postMessage({ type: 'progress', progress: py / height });
+        const magnitude2 = z.x * z.x + z.y * z.y;
+        const escaped = !cycle && magnitude2 >= bailout;
+        sample.value = escaped ? smoothIteration(iter, magnitude2, maxIter, bailout, degree) : -1;
+        sample.aux = 0;
+
+        if (kind === 'distance' && escaped) {
+            sample.aux = distanceEstimate(magnitude2, dz.x * dz.x + dz.y * dz.y, pixelSize);
+        } else if (kind === 'period' && cycle) {
+            sample.aux = cyclePeriod(formula, z, cx, cy, params, iter - savedIter, CYCLE_EPSILON2 * 4) || iter - savedIter;
+        } else if (kind === 'period' && !escaped) {
+            // Slowly converging orbits: look for a looser return
+            sample.aux = cyclePeriod(formula, z, cx, cy, params, Math.min(maxIter, 1024), 1e-12);
         }
+    };
+}
+
+/**
+ * Smallest period, up to `bound`, of the cycle an orbit has settled on.
+ * Cycle detection may have found a multiple of it.
+ * @returns {number} 0 if the orbit doesn't come back within epsilon
+ */
+function cyclePeriod(formula, z, cx, cy, options, bound, epsilon2) {
+    const x0 = z.x;
+    const y0 = z.y;
+    for (let k = 1; k <= bound; k++) {
+        advanceOrbit(formula, z, cx, cy, options);
+        const ex = z.x - x0;
+        const ey = z.y - y0;
+        if (ex * ex + ey * ey < epsilon2) return k;
     }
+    return 0;
+}
 
-    self.postMessage({ type: 'complete', imageData: imageData });
-};
+/**
+ * Deep zoom: one reference orbit at full precision, and per pixel only the
+ * difference δ from it, in doubles. For z → z² + c:
+ *     δ' = 2Zδ + δ² + δc
+ * where Z is the reference and δc the pixel's offset in c (parameter plane
+ * only). Available for z² + c and Burning Ship. Distance estimation and
+ * traps work on the full z = Z + δ; periods can't be told apart at this
+ * scale, so the interior stays black.
+ * @returns {Function} (px, py, sample) → fills sample.value and sample.aux
+ */
+function perturbedSampler(params, view, kind, pixelSize) {
+    const { width, height, maxIter } = params;
+    const julia = params.plane === 'julia';
+    const burning = params.formula === 'burning-ship';
+    const formula = FORMULAS[params.formula];
+    const { center, critical } = referenceOrbits(params, view, julia, burning);
 
-function getColor(iter, maxIter, bounded, scheme) {
-    // Interior points are black
-    if (bounded) {
-        return [0, 0, 0];
-    }
+    const xScale = view.width / width;
+    const yScale = view.height / height;
+    const bailout = kind === 'distance' ? DISTANCE_BAILOUT : 4;
+    const trap = kind === 'trap' ? orbitTrap(params) : null;
+    const z = { x: 0, y: 0 };
+    const dz = { x: 0, y: 0 };
+
+    return (px, py, sample) => {
+        const offsetX = (px - width / 2) * xScale;
+        const offsetY = (height / 2 - py) * yScale;
+
+        let dx = julia ? offsetX : 0;
+        let dy = julia ? offsetY : 0;
+        const dcx = julia ? 0 : offsetX;
+        const dcy = julia ? 0 : offsetY;
+
+        dz.x = julia ? 1 : 0;
+        dz.y = 0;
 
-    const t = iter / maxIter;
-
-    switch (scheme) {
-        case 'classic':
-            // Blue to white
-            const b = Math.floor(255 * Math.pow(t, 0.5));
-            return [b * 0.3, b * 0.5, Math.min(255, b + 50)];
-
-        case 'fire':
-            // Black → red → orange → yellow → white
-            if (t < 0.25) {
-                const s = t * 4;
-                return [Math.floor(255 * s), 0, 0];
-            } else if (t < 0.5) {
-                const s = (t - 0.25) * 4;
-                return [255, Math.floor(128 * s), 0];
-            } else if (t < 0.75) {
-                const s = (t - 0.5) * 4;
-                return [255, 128 + Math.floor(127 * s), Math.floor(64 * s)];
-            } else {
-                const s = (t - 0.75) * 4;
-                return [255, 255, 64 + Math.floor(191 * s)];
+        let ref = center;
+        let m = 0;
+        let iter = 0;
+        let magnitude2 = 0;
+        let trapDistance = Infinity;
+
+        while (iter < maxIter) {
+            z.x = ref.x[m] + dx;
+            z.y = ref.y[m] + dy;
+            magnitude2 = z.x * z.x + z.y * z.y;
+            if (trap && iter > 0) trapDistance = Math.min(trapDistance, trap(z.x, z.y));
+            if (magnitude2 >= bailout) break;
+
+            // Glitch: the pixel is closer to zero than to the reference,
+            // so δ no longer carries its precision. Rebase onto the
+            // critical orbit; also when the reference itself escaped.
+            if (magnitude2 < dx * dx + dy * dy || m === ref.length - 1) {
+                dx = z.x;
+                dy = z.y;
+                ref = critical;
+                m = 0;
             }
 
-        case 'ocean':
-            // Dark blue → cyan → white
-            const o1 = Math.floor(50 + 205 * t);
-            const o2 = Math.floor(80 + 175 * t);
-            const o3 = Math.floor(120 + 135 * t);
-            return [o1 * 0.3, o2, o3];
+            if (kind === 'distance') {
+                formula.derivative(z, dz);
+                if (!julia) dz.x += 1;
+            }
 
-        case 'neon':
-            // Black → magenta → cyan → green
-            const h = (t * 270 + 300) % 360;
-            return hslToRgb(h, 100, 50 * Math.min(1, t * 2));
+            // The squares don't see the Burning Ship fold; the cross term does
+            const X = ref.x[m];
+            const Y = ref.y[m];
+            const nx = 2 * (X * dx - Y * dy) + dx * dx - dy * dy + dcx;
+            dy = burning
+                ? 2 * (diffabs(X, dx) * Math.abs(Y + dy) + Math.abs(X) * diffabs(Y, dy)) + dcy
+                : 2 * (X * dy + Y * dx) + 2 * dx * dy + dcy;
+            dx = nx;
+            m++;
+            iter++;
+        }
 
-        case 'grayscale':
-            const g = Math.floor(255 * t);
-            return [g, g, g];
+        if (trap) {
+            sample.value = Math.min(trapDistance, 1e3);
+            return;
+        }
 
-        case 'rainbow':
-            // HSL rainbow
-            const hue = t * 360;
-            return hslToRgb(hue, 100, 50);
+        sample.value = smoothIteration(iter, magnitude2, maxIter, bailout);
+        sample.aux = kind === 'distance' && sample.value >= 0
+            ? distanceEstimate(magnitude2, dz.x * dz.x + dz.y * dz.y, pixelSize)
+            : 0;
+    };
+}
 
-        default:
-            return [Math.floor(255 * t), Math.floor(255 * t), Math.floor(255 * t)];
+/**
+ * The view-center orbit and the critical orbit (from z = 0) for a deep view.
+ * A pixel can always rebase onto the critical orbit with δ = z; for
+ * Mandelbrot it is also the view-center orbit.
+ */
+function referenceOrbits(params, view, julia, burning) {
+    const { cReal, cImag, maxIter } = params;
+    const { bits } = view;
+    const key = [params.formula, params.plane, cReal, cImag, maxIter, bits, view.x, view.y].join('|');
+    if (referenceCache && referenceCache.key === key) return referenceCache;
+
+    let center, critical;
+    if (julia) {
+        const cx = numberToFixed(cReal, bits);
+        const cy = numberToFixed(cImag, bits);
+        center = referenceOrbit(view.x, view.y, cx, cy, bits, maxIter, burning);
+        critical = referenceOrbit(0n, 0n, cx, cy, bits, maxIter, burning);
+    } else {
+        center = critical = referenceOrbit(0n, 0n, view.x, view.y, bits, maxIter, burning);
     }
+
+    referenceCache = { key, center, critical };
+    return referenceCache;
 }
 
-function hslToRgb(h, s, l) {
-    s /= 100;
-    l /= 100;
+/**
+ * Orbit of one point computed in fixed point, rounded to doubles.
+ * Stops after the first point outside the bailout radius.
+ */
+function referenceOrbit(zx, zy, cx, cy, bits, maxIter, burning) {
+    const x = new Float64Array(maxIter + 1);
+    const y = new Float64Array(maxIter + 1);
+    const shift = BigInt(bits);
+    const bailout = 4n << shift;
+    let length = 0;
+
+    while (length <= maxIter) {
+        x[length] = fixedToNumber(zx, bits);
+        y[length] = fixedToNumber(zy, bits);
+        length++;
 
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-    const m = l - c / 2;
+        const zx2 = (zx * zx) >> shift;
+        const zy2 = (zy * zy) >> shift;
+        if (zx2 + zy2 > bailout) break;
 
-    let r, g, b;
+        if (burning) {
+            if (zx < 0n) zx = -zx;
+            if (zy < 0n) zy = -zy;
+        }
+        const zxy = (zx * zy) >> shift;
+        zx = zx2 - zy2 + cx;
+        zy = 2n * zxy + cy;
+    }
 
-    if (h < 60) { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
+    return { x, y, length };
+}
 
-    return [
-        Math.floor((r + m) * 255),
-        Math.floor((g + m) * 255),
-        Math.floor((b + m) * 255)
-    ];
+// |c + d| - |c| without cancellation when d is tiny
+function diffabs(c, d) {
+    if (c >= 0) return c + d >= 0 ? d : -(2 * c + d);
+    return c + d > 0 ? 2 * c + d : -d;
 }
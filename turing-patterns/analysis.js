@@ -0,0 +1,358 @@
+/**
+ * Pattern Analysis
+ * Statistics, connected components and pattern classification for
+ * reaction-diffusion fields read back from the GPU
+ */
+
+/**
+ * Label 4-connected regions of a binary mask
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} wrap - Treat the domain as periodic
+ * @returns {{labels: Int32Array, count: number, areas: number[], boundaries: number[]}}
+ */
+function labelComponents(mask, width, height, wrap) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const areas = [];
+    const boundaries = [];
+    const stack = new Int32Array(width * height);
+
+    const neighbor = (x, y, dx, dy) => {
+        let nx = x + dx;
+        let ny = y + dy;
+        if (wrap) {
+            nx = (nx + width) % width;
+            ny = (ny + height) % height;
+        } else if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+            return -1;
+        }
+        return ny * width + nx;
+    };
+    const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start] !== -1) continue;
+
+        const label = areas.length;
+        let area = 0;
+        let boundary = 0;
+        let top = 0;
+        stack[top++] = start;
+        labels[start] = label;
+
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            const y = (i - x) / width;
+            let edge = false;
+            area++;
+
+            for (const [dx, dy] of offsets) {
+                const j = neighbor(x, y, dx, dy);
+                if (j < 0 || !mask[j]) {
+                    edge = true;
+                } else if (labels[j] === -1) {
+                    labels[j] = label;
+                    stack[top++] = j;
+                }
+            }
+            if (edge) boundary++;
+        }
+
+        areas.push(area);
+        boundaries.push(boundary);
+    }
+
+    return { labels, count: areas.length, areas, boundaries };
+}
+
+/**
+ * Boundary²/(4π·area): ~1 for discs, large for long stripes
+ */
+function compactness(area, boundary) {
+    return (boundary * boundary) / (4 * Math.PI * area);
+}
+
+/**
+ * Mean and variance of a scalar field
+ */
+function fieldStats(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[i];
+    const mean = sum / values.length;
+
+    let variance = 0;
+    for (let i = 0; i < values.length; i++) variance += (values[i] - mean) ** 2;
+    variance /= values.length;
+
+    return { mean, variance, std: Math.sqrt(variance) };
+}
+
+/**
+ * Classify a small periodic simulation from two snapshots of chemical B
+ * taken some steps apart. A rough heuristic, not a rigorous phase analysis:
+ * - uniform: no spatial structure and no change
+ * - spots / stripes: static structures, split by how compact they are
+ * - waves / chaotic: still changing, split by how fragmented they are
+ * @param {Float32Array} current - B values, size × size
+ * @param {Float32Array} previous - B values from an earlier step
+ * @param {number} size
+ * @returns {string} 'uniform' | 'spots' | 'stripes' | 'waves' | 'chaotic'
+ */
+function classifyPattern(current, previous, size) {
+    const { mean, std } = fieldStats(current);
+
+    let change = 0;
+    for (let i = 0; i < current.length; i++) change += Math.abs(current[i] - previous[i]);
+    change /= current.length;
+
+    const dynamic = change > 0.005 && change > 0.05 * std;
+    if (std < 0.01) return dynamic ? 'waves' : 'uniform';
+
+    // Analyze the minority phase so holes count like spots
+    const mask = new Uint8Array(current.length);
+    let foreground = 0;
+    for (let i = 0; i < current.length; i++) {
+        mask[i] = current[i] > mean ? 1 : 0;
+        foreground += mask[i];
+    }
+    if (foreground > current.length / 2) {
+        for (let i = 0; i < mask.length; i++) mask[i] = 1 - mask[i];
+    }
+
+    const { count, areas, boundaries } = labelComponents(mask, size, size, true);
+
+    // Area-weighted compactness
+    let weighted = 0;
+    let totalArea = 0;
+    for (let c = 0; c < count; c++) {
+        weighted += compactness(areas[c], boundaries[c]) * areas[c];
+        totalArea += areas[c];
+    }
+    weighted = totalArea > 0 ? weighted / totalArea : 0;
+
+    if (dynamic) {
+        return count > (size * size) / 300 ? 'chaotic' : 'waves';
+    }
+    return weighted < 1.8 ? 'spots' : 'stripes';
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts, length a power of two
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        const wr = Math.cos(angle);
+        const wi = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let cr = 1;
+            let ci = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const a = i + k;
+                const b = a + len / 2;
+                const tr = re[b] * cr - im[b] * ci;
+                const ti = re[b] * ci + im[b] * cr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+                const next = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = next;
+            }
+        }
+    }
+}
+
+/**
+ * Power spectrum of a size × size field (size a power of two), mean removed
+ * @returns {Float64Array} |F(kx, ky)|², indexed [ky * size + kx]
+ */
+function powerSpectrum(values, size) {
+    const { mean } = fieldStats(values);
+    const re = new Float64Array(size * size);
+    const im = new Float64Array(size * size);
+    for (let i = 0; i < values.length; i++) re[i] = values[i] - mean;
+
+    const rowRe = new Float64Array(size);
+    const rowIm = new Float64Array(size);
+    for (let pass = 0; pass < 2; pass++) {
+        // Rows on the first pass, columns on the second
+        for (let line = 0; line < size; line++) {
+            for (let t = 0; t < size; t++) {
+                const i = pass === 0 ? line * size + t : t * size + line;
+                rowRe[t] = re[i];
+                rowIm[t] = im[i];
+            }
+            fft(rowRe, rowIm);
+            for (let t = 0; t < size; t++) {
+                const i = pass === 0 ? line * size + t : t * size + line;
+                re[i] = rowRe[t];
+                im[i] = rowIm[t];
+            }
+        }
+    }
+
+    const power = new Float64Array(size * size);
+    for (let i = 0; i < power.length; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+    return power;
+}
+
+/**
+ * Dominant wavelength from the peak of the radially averaged power spectrum,
+ * and orientation from the power on that ring (doubled-angle average, so
+ * opposite wave vectors agree)
+ * @param {Float32Array} values - size × size field
+ * @param {number} size - Power of two
+ * @param {number} pixelSize - Simulation texels per field sample
+ * @returns {{wavelength: number, orientation: number, coherence: number}}
+ *   wavelength in texels, orientation of the wave vector in degrees [0, 180),
+ *   coherence from 0 (isotropic) to 1 (all power along one direction)
+ */
+function dominantWavelength(values, size, pixelSize = 1) {
+    const power = powerSpectrum(values, size);
+    const half = size / 2;
+    const radial = new Float64Array(half + 1);
+    const counts = new Uint32Array(half + 1);
+
+    const forEachMode = (callback) => {
+        for (let y = 0; y < size; y++) {
+            const ky = y < half ? y : y - size;
+            for (let x = 0; x < size; x++) {
+                const kx = x < half ? x : x - size;
+                const k = Math.round(Math.hypot(kx, ky));
+                if (k >= 1 && k <= half) callback(kx, ky, k, power[y * size + x]);
+            }
+        }
+    };
+
+    forEachMode((kx, ky, k, p) => {
+        radial[k] += p;
+        counts[k]++;
+    });
+
+    // Skip k = 1 (domain-scale variation) when looking for the peak
+    let peak = 0;
+    let peakPower = 0;
+    for (let k = 2; k <= half; k++) {
+        const average = counts[k] ? radial[k] / counts[k] : 0;
+        if (average > peakPower) {
+            peakPower = average;
+            peak = k;
+        }
+    }
+    if (!peak) return { wavelength: 0, orientation: 0, coherence: 0 };
+
+    let sumCos = 0;
+    let sumSin = 0;
+    let total = 0;
+    forEachMode((kx, ky, k, p) => {
+        if (Math.abs(k - peak) > 1) return;
+        const angle = 2 * Math.atan2(ky, kx);
+        sumCos += p * Math.cos(angle);
+        sumSin += p * Math.sin(angle);
+        total += p;
+    });
+
+    let orientation = Math.atan2(sumSin, sumCos) / 2 * 180 / Math.PI;
+    if (orientation < 0) orientation += 180;
+
+    return {
+        wavelength: (size / peak) * pixelSize,
+        orientation,
+        coherence: total > 0 ? Math.hypot(sumCos, sumSin) / total : 0
+    };
+}
+
+/**
+ * Box-average a size × size field down by an integer factor
+ */
+function downsampleField(values, size, factor) {
+    const small = size / factor;
+    const result = new Float32Array(small * small);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            result[Math.floor(y / factor) * small + Math.floor(x / factor)] += values[y * size + x];
+        }
+    }
+    for (let i = 0; i < result.length; i++) result[i] /= factor * factor;
+    return result;
+}
+
+/**
+ * Measurements of chemical B for the live analysis panel
+ * @param {Float32Array} values - B values, size × size
+ * @param {number} size
+ * @param {Object} options
+ *   wrap: periodic domain for connected components
+ *   mask: optional Uint8Array, 1 for wall texels to leave out
+ * @returns {{mean, variance, coverage, spots, blobs, wavelength, orientation, coherence}}
+ */
+function analyzeField(values, size, options = {}) {
+    const mask = options.mask;
+
+    // Statistics over open texels only; walls are filled with the mean
+    // so they don't add structure to the spectrum
+    const open = mask ? values.filter((v, i) => !mask[i]) : values;
+    const { mean, variance } = open.length ? fieldStats(open) : { mean: 0, variance: 0 };
+    const filled = mask ? values.map((v, i) => mask[i] ? mean : v) : values;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < open.length; i++) {
+        min = Math.min(min, open[i]);
+        max = Math.max(max, open[i]);
+    }
+
+    // Regions above the midpoint of the B range
+    const threshold = (min + max) / 2;
+    const foreground = new Uint8Array(values.length);
+    let covered = 0;
+    if (max - min > 0.01) {
+        for (let i = 0; i < values.length; i++) {
+            if ((!mask || !mask[i]) && values[i] > threshold) {
+                foreground[i] = 1;
+                covered++;
+            }
+        }
+    }
+
+    const { count, areas, boundaries } = labelComponents(foreground, size, size, options.wrap);
+    let spots = 0;
+    for (let c = 0; c < count; c++) {
+        if (compactness(areas[c], boundaries[c]) < 1.8) spots++;
+    }
+
+    // Spectrum on a field of at most 128 × 128
+    const factor = Math.max(1, size / 128);
+    const spectral = factor > 1 ? downsampleField(filled, size, factor) : filled;
+    const { wavelength, orientation, coherence } = dominantWavelength(spectral, size / factor, factor);
+
+    return {
+        mean,
+        variance,
+        coverage: open.length ? covered / open.length : 0,
+        spots,
+        blobs: count - spots,
+        wavelength,
+        orientation,
+        coherence
+    };
+}
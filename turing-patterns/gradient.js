@@ -0,0 +1,172 @@
+/**
+ * Gradient Editor
+ * Multi-stop color ramps and an editable gradient bar with draggable stops
+ */
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Color of a gradient at a position in [0, 1]
+ * @param {Array<{position: number, color: string}>} stops - Sorted by position
+ * @returns {number[]} [r, g, b] in 0–255
+ */
+function sampleGradient(stops, t) {
+    if (t <= stops[0].position) return hexToRgb(stops[0].color);
+
+    for (let i = 1; i < stops.length; i++) {
+        if (t <= stops[i].position) {
+            const a = stops[i - 1];
+            const b = stops[i];
+            const span = b.position - a.position;
+            const f = span > 0 ? (t - a.position) / span : 0;
+            const ca = hexToRgb(a.color);
+            const cb = hexToRgb(b.color);
+            return ca.map((c, j) => c + (cb[j] - c) * f);
+        }
+    }
+    return hexToRgb(stops[stops.length - 1].color);
+}
+
+/**
+ * Lookup table of RGBA bytes for uploading as a 1D texture
+ */
+function buildGradientLUT(stops, size = 256) {
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+    const data = new Uint8Array(size * 4);
+    for (let i = 0; i < size; i++) {
+        const [r, g, b] = sampleGradient(sorted, i / (size - 1));
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+        data[i * 4 + 3] = 255;
+    }
+    return data;
+}
+
+// Compact text form for share URLs: "0:000000,0.5:ff8800,1:ffffff"
+function encodeGradient(stops) {
+    return stops.map(s => `${+s.position.toFixed(3)}:${s.color.slice(1)}`).join(',');
+}
+
+function decodeGradient(text) {
+    const stops = text.split(',').map(part => {
+        const [position, color] = part.split(':');
+        return { position: Math.max(0, Math.min(1, parseFloat(position))), color: `#${color}` };
+    });
+    const valid = stops.every(s => !isNaN(s.position) && /^#[0-9a-f]{6}$/i.test(s.color));
+    return valid && stops.length >= 2 ? stops.sort((a, b) => a.position - b.position) : null;
+}
+
+class GradientEditor {
+    /**
+     * @param {HTMLElement} bar - Element showing the gradient; stops are placed inside it
+     * @param {HTMLInputElement} colorInput - Color picker for the selected stop
+     * @param {Function} onChange - Called with the new stops after every edit
+     */
+    constructor(bar, colorInput, onChange) {
+        this.bar = bar;
+        this.colorInput = colorInput;
+        this.onChange = onChange;
+        this.stops = [];
+        this.selected = 0;
+        this.dragging = null;
+
+        // Click on the bar adds a stop with the color already there
+        bar.addEventListener('mousedown', (e) => {
+            if (e.target !== bar) return;
+            const position = this.positionFromEvent(e);
+            const color = rgbToHex(sampleGradient(this.sortedStops(), position));
+            this.stops.push({ position, color });
+            this.selected = this.stops.length - 1;
+            this.dragging = this.selected;
+            this.update();
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragging === null) return;
+            this.stops[this.dragging].position = this.positionFromEvent(e);
+            this.update();
+        });
+
+        window.addEventListener('mouseup', () => this.dragging = null);
+
+        colorInput.addEventListener('input', () => {
+            if (!this.stops[this.selected]) return;
+            this.stops[this.selected].color = colorInput.value;
+            this.update();
+        });
+    }
+
+    setStops(stops) {
+        this.stops = stops.map(s => ({ ...s }));
+        this.selected = Math.min(this.selected, this.stops.length - 1);
+        this.draw();
+    }
+
+    sortedStops() {
+        return [...this.stops].sort((a, b) => a.position - b.position);
+    }
+
+    positionFromEvent(e) {
+        const rect = this.bar.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    }
+
+    update() {
+        this.draw();
+        this.onChange(this.sortedStops().map(s => ({ ...s })));
+    }
+
+    draw() {
+        const sorted = this.sortedStops();
+        this.bar.style.background = `linear-gradient(to right, ${sorted.map(s => `${s.color} ${s.position * 100}%`).join(', ')})`;
+
+        // Handles are only rebuilt when stops are added or removed, so a
+        // double-click lands on the same element as its mousedowns
+        let handles = this.bar.querySelectorAll('.gradient-stop');
+        if (handles.length !== this.stops.length) {
+            handles.forEach(el => el.remove());
+            this.stops.forEach((stop, index) => this.bar.appendChild(this.createHandle(index)));
+            handles = this.bar.querySelectorAll('.gradient-stop');
+        }
+
+        handles.forEach((handle, index) => {
+            const stop = this.stops[index];
+            handle.classList.toggle('selected', index === this.selected);
+            handle.style.left = `${stop.position * 100}%`;
+            handle.style.background = stop.color;
+        });
+
+        if (this.stops[this.selected]) this.colorInput.value = this.stops[this.selected].color;
+    }
+
+    createHandle(index) {
+        const handle = document.createElement('div');
+        handle.className = 'gradient-stop';
+        handle.title = 'Drag to move, double-click to remove';
+
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            this.selected = index;
+            this.dragging = index;
+            this.draw();
+        });
+
+        // Keep at least two stops
+        handle.addEventListener('dblclick', () => {
+            if (this.stops.length <= 2) return;
+            this.stops.splice(index, 1);
+            this.selected = 0;
+            this.update();
+        });
+
+        return handle;
+    }
+}
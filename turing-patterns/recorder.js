@@ -0,0 +1,237 @@
+/**
+ * Simulation Recorder
+ * Captures the simulation canvas as a WebM video or a zip of PNG frames
+ */
+
+class SimulationRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to capture
+     * @param {Object} options
+     *   format: 'webm' | 'png'
+     *   timing: 'realtime' (capture as it runs) | 'fixed' (N simulation steps per frame)
+     *   fps: output frame rate
+     *   stepsPerFrame: simulation steps per frame in fixed timing
+     *   limitType: 'seconds' | 'steps'
+     *   limit: recording length in seconds of video or simulation steps
+     *   filename: base name for the download
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.options = options;
+        this.active = false;
+        this.frames = [];
+        this.frameCount = 0;
+        this.onProgress = null;
+        this.onComplete = null;
+        this.onError = null; // Called with the error if the recording can't be saved
+    }
+
+    get fixedTiming() {
+        return this.options.timing === 'fixed';
+    }
+
+    get stepsPerFrame() {
+        return this.options.stepsPerFrame;
+    }
+
+    // Milliseconds of video time covered by one frame
+    get frameInterval() {
+        return 1000 / this.options.fps;
+    }
+
+    start(now, stepCount) {
+        if (this.options.format === 'webm') {
+            const mimeType = SimulationRecorder.getWebMType();
+            if (!mimeType) {
+                throw new Error('WebM recording is not supported in this browser. Try the PNG sequence instead.');
+            }
+
+            // In fixed timing frames are pushed explicitly with requestFrame()
+            this.stream = this.canvas.captureStream(this.fixedTiming ? 0 : this.options.fps);
+            this.track = this.stream.getVideoTracks()[0];
+            if (this.fixedTiming && !this.track.requestFrame) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = this.canvas.captureStream(this.options.fps);
+                this.track = this.stream.getVideoTracks()[0];
+            }
+            this.chunks = [];
+            this.mediaRecorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: 8000000 });
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.start(1000);
+        }
+
+        this.active = true;
+        this.startTime = now;
+        this.startStep = stepCount;
+        this.lastCapture = -Infinity;
+    }
+
+    // In fixed timing, whether the next frame is due at the output frame rate
+    frameDue(now) {
+        return this.active && now - this.lastCapture >= this.frameInterval;
+    }
+
+    /**
+     * Called after each rendered frame of the simulation
+     */
+    captureFrame(now, stepCount) {
+        if (!this.active) return;
+
+        const due = this.fixedTiming || now - this.lastCapture >= this.frameInterval;
+        if (due) {
+            this.lastCapture = now;
+
+            if (this.options.format === 'png') {
+                // toBlob snapshots the canvas synchronously, before the WebGL
+                // drawing buffer is cleared
+                this.frames.push(new Promise(resolve => this.canvas.toBlob(resolve, 'image/png')));
+            } else if (this.fixedTiming && this.track.requestFrame) {
+                this.track.requestFrame();
+            }
+            this.frameCount++;
+        }
+
+        const seconds = this.fixedTiming
+            ? this.frameCount / this.options.fps
+            : (now - this.startTime) / 1000;
+        const steps = stepCount - this.startStep;
+        const done = this.options.limitType === 'steps'
+            ? steps >= this.options.limit
+            : seconds >= this.options.limit;
+
+        if (this.onProgress) {
+            this.onProgress({ frames: this.frameCount, seconds, steps });
+        }
+
+        if (done) this.stop();
+    }
+
+    /**
+     * Finish recording and download the result. Never rejects: a failure
+     * goes to onError instead of onComplete.
+     */
+    async stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        let blob, extension;
+        try {
+            if (this.options.format === 'webm') {
+                blob = await this.finishVideo();
+                extension = 'webm';
+            } else {
+                blob = await this.finishFrames();
+                extension = 'zip';
+            }
+        } catch (err) {
+            if (this.onError) this.onError(err);
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.download = `${this.options.filename}.${extension}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+
+        if (this.onComplete) this.onComplete();
+    }
+
+    finishVideo() {
+        return new Promise((resolve, reject) => {
+            this.mediaRecorder.onstop = () => resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            this.mediaRecorder.onerror = (e) => reject(e.error || new Error('Video recording failed'));
+            this.mediaRecorder.stop();
+        }).finally(() => this.stream.getTracks().forEach(track => track.stop()));
+    }
+
+    async finishFrames() {
+        const blobs = await Promise.all(this.frames);
+        const files = [];
+        for (let i = 0; i < blobs.length; i++) {
+            if (!blobs[i]) throw new Error(`Frame ${i + 1} could not be captured`);
+            files.push({
+                name: `frame_${String(i + 1).padStart(5, '0')}.png`,
+                data: new Uint8Array(await blobs[i].arrayBuffer())
+            });
+        }
+        return createZip(files);
+    }
+
+    static getWebMType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+}
+
+/**
+ * Build an uncompressed zip archive (PNG data is already compressed)
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = new TextEncoder().encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed
+        local.setUint16(8, 0, true);            // Method: store
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local.buffer, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);   // Central directory signature
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);           // Version needed
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+function crc32(data) {
+    let table = crc32.table;
+    if (!table) {
+        table = crc32.table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
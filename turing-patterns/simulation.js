@@ -3,6 +3,82 @@
  * WebGL-based Reaction-Diffusion Simulation
  */
 
+// Convert a float to IEEE 754 half precision bits (for WebGL1 half-float uploads)
+function toHalfFloat(value) {
+    const floatView = toHalfFloat.floatView || (toHalfFloat.floatView = new Float32Array(1));
+    const intView = toHalfFloat.intView || (toHalfFloat.intView = new Uint32Array(floatView.buffer));
+
+    floatView[0] = value;
+    const bits = intView[0];
+    const sign = (bits >> 16) & 0x8000;
+    const exponent = ((bits >> 23) & 0xff) - 127 + 15;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent <= 0) {
+        // Subnormal or zero
+        if (exponent < -10) return sign;
+        return sign | ((mantissa | 0x800000) >> (1 - exponent + 13));
+    }
+    if (exponent >= 31) return sign | 0x7c00;
+    return sign | (exponent << 10) | (mantissa >> 13);
+}
+
+// Small seeded PRNG (mulberry32) so initial patterns can be reproduced
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Base64 helpers for storing typed arrays in state files
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Render text (one or more lines) white on black, sized to its content
+function renderTextCanvas(text) {
+    const lines = text.split('\n');
+    const fontSize = 160;
+    const font = `bold ${fontSize}px "Helvetica Neue", Arial, sans-serif`;
+    const padding = fontSize * 0.3;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+
+    canvas.width = Math.ceil(width + padding * 2);
+    canvas.height = Math.ceil(lines.length * fontSize * 1.2 + padding * 2);
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = font;
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, canvas.width / 2, padding + (i + 0.5) * fontSize * 1.2);
+    });
+    return canvas;
+}
+
 class TuringSimulation {
     constructor() {
         this.canvas = document.getElementById('simulationCanvas');
@@ -20,14 +96,21 @@ class TuringSimulation {
             diffusionA: 0.21,
             diffusionB: 0.105,
             simSpeed: 1.0,
-            system: 'gray-scott'
+            system: 'gray-scott',
+            boundary: 'periodic'
         };
 
         // Visual parameters
         this.visual = {
             colorScheme: 'classic',
+            gradient: null,
+            mapping: 'B',
             contrast: 1.0,
-            brightness: 1.0
+            brightness: 1.0,
+            relief: false,
+            reliefHeight: 12,
+            lightAzimuth: 135,
+            lightElevation: 45
         };
 
         // Tool state
@@ -35,9 +118,66 @@ class TuringSimulation {
             type: 'brush',
             chemical: 'B',
             size: 30,
-            strength: 1.0
+            strength: 1.0,
+            stampShape: 'disc',
+            stampRotation: 0
+        };
+
+        // Initial pattern: the default disk and clusters, or an uploaded
+        // image / typed text whose luminance sets B
+        this.seedSource = {
+            type: 'default',
+            image: null,
+            text: '',
+            mode: 'threshold',
+            threshold: 0.5,
+            invert: false
+        };
+
+        // Spatial parameter map: per-texel (F, K) stored as normalized
+        // parameter-space coordinates in a second texture
+        this.paramMap = {
+            mode: 'off',
+            region: null,
+            field: null,
+            cursor: null
+        };
+
+        // Anisotropic diffusion and advection. Diffusion is faster along the
+        // angle by `ratio`; the angle map holds a painted angle per texel.
+        this.transport = {
+            anisotropy: 'off',
+            angle: 0,
+            ratio: 2,
+            angleField: null,
+            flow: 'none',
+            flowSpeed: 0.2,
+            flowAngle: 0,
+            lastPaint: null
+        };
+
+        // Domain mask: 1 marks a wall texel where reaction and diffusion stop
+        this.domain = {
+            mask: null,
+            hasWalls: false,
+            shape: 'none'
+        };
+
+        // Live analysis: periodic readback of the state into a time series
+        this.analysis = {
+            enabled: false,
+            interval: 1000,
+            lastTime: 0,
+            metric: 'variance',
+            samples: [],
+            previous: null
         };
 
+        // Computed phase diagram (batch sweep results) and any sweep in progress
+        this.phaseMap = null;
+        this.phaseSweep = null;
+        this.phaseMapHover = -1;
+
         // Journey state
         this.journey = {
             type: 'none',
@@ -45,7 +185,19 @@ class TuringSimulation {
             speed: 1.0,
             time: 0,
             startF: 0,
-            startK: 0
+            startK: 0,
+            // User path: keyframes in normalized parameter-space coordinates,
+            // each with the duration (s) and easing of the segment that follows
+            keyframes: [],
+            playback: 'loop',
+            editing: false
+        };
+
+        this.easings = {
+            linear: t => t,
+            in: t => t * t * t,
+            out: t => 1 - Math.pow(1 - t, 3),
+            inout: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
         };
 
         // Simulation state
@@ -53,10 +205,86 @@ class TuringSimulation {
         this.resolution = 512;
         this.mousePos = { x: 0, y: 0 };
         this.isMouseDown = false;
+        this.stepCount = 0;
+        this.seed = Math.floor(Math.random() * 4294967296);
+        this.recorder = null;
         this.frameCount = 0;
         this.lastTime = performance.now();
         this.fps = 60;
 
+        // Reaction systems. Each model exposes two parameters which are stored in
+        // params.feedRate / params.killRate (the F and K sliders are relabelled).
+        // Channel A holds the fast-diffusing substrate/inhibitor and channel B the
+        // activator, stored as value / scale so they fit in [0, 1].
+        this.systems = {
+            'gray-scott': {
+                id: 0,
+                name: 'Gray-Scott Model',
+                description: 'Classic reaction-diffusion system with feed (F) and kill (K) parameters.',
+                params: [
+                    { key: 'f', label: 'Feed Rate (F)', symbol: 'F', min: 0, max: 0.1, step: 0.001 },
+                    { key: 'k', label: 'Kill Rate (K)', symbol: 'K', min: 0, max: 0.08, step: 0.001 }
+                ],
+                diffusionA: { min: 0.1, max: 0.3, step: 0.01, value: 0.21 },
+                diffusionB: { min: 0.05, max: 0.2, step: 0.01, value: 0.105 },
+                space: { x: [0, 0.08], y: [0, 0.08] },
+                mapRegion: { x: [0.01, 0.07], y: [0.045, 0.07] },
+                sweepSteps: 4000,
+                defaults: { f: 0.055, k: 0.062 },
+                rate: 1.0,
+                scale: [1, 1],
+                // Trivial state A = 1, B = 0 seeded with patches of B
+                seed: () => ({ base: [1, 0], patch: [1, 1] })
+            },
+            'brusselator': {
+                id: 1,
+                name: 'Brusselator Model',
+                description: 'Two-variable autocatalytic system producing oscillations and patterns. Turing patterns appear once B exceeds (1 + A·√(Db/Da))², oscillations once B > 1 + A².',
+                params: [
+                    { key: 'a', label: 'Parameter A', symbol: 'A', min: 0.5, max: 5, step: 0.05 },
+                    { key: 'b', label: 'Parameter B', symbol: 'B', min: 0, max: 14, step: 0.1 }
+                ],
+                diffusionA: { min: 0.2, max: 1.0, step: 0.01, value: 0.8 },
+                diffusionB: { min: 0.02, max: 0.3, step: 0.01, value: 0.1 },
+                space: { x: [0.5, 5], y: [0, 14] },
+                mapRegion: { x: [1, 5], y: [2, 12] },
+                sweepSteps: 8000,
+                defaults: { a: 3.0, b: 6.0 },
+                rate: 0.009,
+                scale: [10, 12],
+                // Homogeneous steady state u = a, v = b / a
+                jacobian: (a, b) => [b - 1, a * a, -b, -a * a],
+                seed: (a, b) => ({ base: [b / a, a], patch: [b / a, a * 1.5] })
+            },
+            'schnakenberg': {
+                id: 2,
+                name: 'Schnakenberg Model',
+                description: 'Simplified activator-inhibitor model for pattern formation. Patterns need the inhibitor to diffuse much faster than the activator.',
+                params: [
+                    { key: 'a', label: 'Parameter A', symbol: 'A', min: 0, max: 0.3, step: 0.005 },
+                    { key: 'b', label: 'Parameter B', symbol: 'B', min: 0, max: 2, step: 0.01 }
+                ],
+                diffusionA: { min: 0.2, max: 1.0, step: 0.01, value: 0.8 },
+                diffusionB: { min: 0.01, max: 0.2, step: 0.005, value: 0.04 },
+                space: { x: [0, 0.3], y: [0, 2] },
+                mapRegion: { x: [0, 0.25], y: [0.2, 1.8] },
+                sweepSteps: 8000,
+                defaults: { a: 0.1, b: 0.9 },
+                rate: 0.012,
+                scale: [3, 4],
+                // Homogeneous steady state u = a + b, v = b / (a + b)²
+                jacobian: (a, b) => {
+                    const u = a + b;
+                    const uv = 2 * b / u;
+                    return [-1 + uv, u * u, -uv, -u * u];
+                },
+                seed: (a, b) => {
+                    const u = Math.max(a + b, 0.001);
+                    return { base: [b / (u * u), u], patch: [b / (u * u), u * 1.5] };
+                }
+            }
+        };
+
         // Presets
         this.presets = {
             'gray-scott': [
@@ -74,38 +302,65 @@ class TuringSimulation {
                 { name: 'Chaos', f: 0.0260, k: 0.0590 }
             ],
             'brusselator': [
-                { name: 'Spots', f: 0.04, k: 0.06 },
-                { name: 'Stripes', f: 0.035, k: 0.065 },
-                { name: 'Spirals', f: 0.02, k: 0.055 },
-                { name: 'Waves', f: 0.025, k: 0.058 },
-                { name: 'Mixed', f: 0.03, k: 0.062 },
-                { name: 'Chaos', f: 0.045, k: 0.052 }
+                { name: 'Spots', a: 3.0, b: 4.6 },
+                { name: 'Stripes', a: 3.0, b: 6.0 },
+                { name: 'Labyrinth', a: 4.0, b: 9.0 },
+                { name: 'Turing-Hopf', a: 2.5, b: 7.5 },
+                { name: 'Waves', a: 1.5, b: 6.0 },
+                { name: 'Uniform', a: 3.0, b: 3.5 }
             ],
             'schnakenberg': [
-                { name: 'Dots', f: 0.04, k: 0.06 },
-                { name: 'Lines', f: 0.03, k: 0.065 },
-                { name: 'Mixed', f: 0.035, k: 0.058 },
-                { name: 'Sparse', f: 0.02, k: 0.07 },
-                { name: 'Dense', f: 0.05, k: 0.055 },
-                { name: 'Waves', f: 0.025, k: 0.062 }
+                { name: 'Spots', a: 0.05, b: 1.4 },
+                { name: 'Stripes', a: 0.1, b: 0.9 },
+                { name: 'Labyrinth', a: 0.15, b: 0.8 },
+                { name: 'Sparse', a: 0.2, b: 0.9 },
+                { name: 'Oscillating', a: 0.1, b: 0.4 },
+                { name: 'Uniform', a: 0.3, b: 1.0 }
             ]
         };
 
+        // Outline colors for classified phase-map cells
+        this.phaseColors = {
+            uniform: '#6b7280',
+            spots: '#fbbf24',
+            stripes: '#f97316',
+            waves: '#a855f7',
+            chaotic: '#ef4444'
+        };
+
         // Color schemes
         this.colorSchemes = {
-            classic: [[0, 0, 0], [255, 255, 255]],
-            thermal: [[0, 0, 128], [255, 0, 0]],
-            ocean: [[0, 30, 60], [0, 200, 255]],
-            forest: [[10, 30, 10], [100, 200, 80]],
-            sunset: [[60, 20, 80], [255, 150, 50]],
-            neon: [[10, 0, 30], [0, 255, 200]]
+            classic: [{ position: 0, color: '#000000' }, { position: 1, color: '#ffffff' }],
+            thermal: [{ position: 0, color: '#000080' }, { position: 1, color: '#ff0000' }],
+            ocean: [{ position: 0, color: '#001e3c' }, { position: 1, color: '#00c8ff' }],
+            forest: [{ position: 0, color: '#0a1e0a' }, { position: 1, color: '#64c850' }],
+            sunset: [{ position: 0, color: '#3c1450' }, { position: 1, color: '#ff9632' }],
+            neon: [{ position: 0, color: '#0a001e' }, { position: 1, color: '#00ffc8' }],
+            viridis: [
+                { position: 0, color: '#440154' },
+                { position: 0.25, color: '#3b528b' },
+                { position: 0.5, color: '#21918c' },
+                { position: 0.75, color: '#5ec962' },
+                { position: 1, color: '#fde725' }
+            ],
+            leopard: [
+                { position: 0, color: '#f2d7a0' },
+                { position: 0.45, color: '#d99a4e' },
+                { position: 0.6, color: '#5a3418' },
+                { position: 1, color: '#140b05' }
+            ]
         };
+        this.visual.gradient = this.colorSchemes.classic.map(stop => ({ ...stop }));
+
+        // User-saved gradients, keyed by name
+        this.customSchemes = this.loadCustomSchemes();
 
         this.init();
     }
 
     init() {
         this.setupCanvas();
+        this.stateFormat = this.detectStateFormat();
         this.createShaders();
         this.createTextures();
         this.setupUI();
@@ -139,9 +394,78 @@ class TuringSimulation {
             }
         `;
 
-        // Simulation fragment shader (Gray-Scott)
-        const simulationSource = `
+        // State encoding shared by every shader that touches the A/B field.
+        // Float targets store A and B directly in r/g; the 8-bit fallback packs
+        // each value into two bytes (A in r/g, B in b/a) for 16-bit precision.
+        const stateCodec = `
+            ${this.stateFormat.packed ? '#define PACKED_STATE' : ''}
             precision highp float;
+
+            vec2 packBytes(float value) {
+                float q = floor(clamp(value, 0.0, 1.0) * 65535.0 + 0.5);
+                float hi = floor(q / 256.0);
+                return vec2(hi, q - hi * 256.0) / 255.0;
+            }
+
+            vec4 packState(vec2 state) {
+                return vec4(packBytes(state.x), packBytes(state.y));
+            }
+
+            vec2 unpackState(vec4 texel) {
+                return vec2(dot(texel.rg, vec2(65280.0, 255.0)),
+                            dot(texel.ba, vec2(65280.0, 255.0))) / 65535.0;
+            }
+
+            vec2 decodeState(vec4 texel) {
+            #ifdef PACKED_STATE
+                return unpackState(texel);
+            #else
+                return texel.rg;
+            #endif
+            }
+
+            vec4 encodeState(vec2 state) {
+            #ifdef PACKED_STATE
+                return packState(state);
+            #else
+                return vec4(state, 0.0, 1.0);
+            #endif
+            }
+        `;
+
+        // Reaction terms (dA, dB) in model units, shared by the simulation
+        // and the reaction-rate coloring
+        const reactionCode = `
+            uniform int u_system;
+
+            vec2 reaction(float a, float b, float feed, float kill) {
+                float reactA, reactB;
+
+                if (u_system == 1) {
+                    // Brusselator: activator u = b, substrate v = a
+                    // du = alpha - (beta + 1) u + u^2 v,  dv = beta u - u^2 v
+                    float uuv = b * b * a;
+                    reactB = feed - (kill + 1.0) * b + uuv;
+                    reactA = kill * b - uuv;
+                } else if (u_system == 2) {
+                    // Schnakenberg: activator u = b, inhibitor v = a
+                    // du = alpha - u + u^2 v,  dv = beta - u^2 v
+                    float uuv = b * b * a;
+                    reactB = feed - b + uuv;
+                    reactA = kill - uuv;
+                } else {
+                    // Gray-Scott model
+                    float abb = a * b * b;
+                    reactA = -abb + feed * (1.0 - a);
+                    reactB = abb - (kill + feed) * b;
+                }
+
+                return vec2(reactA, reactB);
+            }
+        `;
+
+        // Simulation fragment shader (Gray-Scott, Brusselator, Schnakenberg)
+        const simulationSource = stateCodec + reactionCode + `
             varying vec2 v_texCoord;
             uniform sampler2D u_state;
             uniform vec2 u_resolution;
@@ -150,77 +474,231 @@ class TuringSimulation {
             uniform float u_diffusionA;
             uniform float u_diffusionB;
             uniform float u_dt;
-            uniform int u_system;
+            uniform float u_rate;
+            uniform vec2 u_scale;
+            uniform sampler2D u_paramMap;
+            uniform bool u_useParamMap;
+            uniform vec4 u_space;
+            uniform float u_tile;
+            uniform int u_boundary;
+            uniform vec2 u_boundaryValue;
+            uniform sampler2D u_mask;
+            uniform bool u_useMask;
+            uniform float u_anisotropy;
+            uniform float u_angle;
+            uniform sampler2D u_angleMap;
+            uniform bool u_useAngleMap;
+            uniform int u_flow;
+            uniform vec2 u_flowVector;
+            uniform float u_flowSpeed;
+
+            // Texture coordinate of a neighbor, wrapping inside the current
+            // cell when the domain is tiled into independent simulations
+            vec2 neighbor(vec2 offset) {
+                if (u_tile > 0.0) {
+                    vec2 pixel = v_texCoord * u_resolution;
+                    vec2 origin = floor(pixel / u_tile) * u_tile;
+                    return (origin + mod(pixel - origin + offset, u_tile)) / u_resolution;
+                }
+                return v_texCoord + offset / u_resolution;
+            }
+
+            bool isWall(vec2 coord) {
+                return u_useMask && texture2D(u_mask, coord).r > 0.5;
+            }
+
+            // Neighbor state, or the ghost value behind an edge or wall:
+            // the center itself for zero flux, the fixed value for Dirichlet.
+            // Walls are zero-flux when the edges are periodic.
+            vec2 sampleState(vec2 offset, vec2 center) {
+                vec2 coord = neighbor(offset);
+                bool outside = u_tile == 0.0 && u_boundary != 0 &&
+                    (any(lessThan(coord, vec2(0.0))) || any(greaterThan(coord, vec2(1.0))));
+
+                if (outside || isWall(coord)) {
+                    return u_boundary == 2 ? u_boundaryValue : center;
+                }
+                return decodeState(texture2D(u_state, coord));
+            }
+
+            // Flow velocity in texels per step: uniform drift, a vortex around
+            // the center, or horizontal shear
+            vec2 velocity() {
+                vec2 r = v_texCoord * u_resolution - 0.5 * u_resolution;
+                float radius = 0.5 * u_resolution.x;
+                if (u_flow == 1) return u_flowVector;
+                if (u_flow == 2) return u_flowSpeed * vec2(-r.y, r.x) / radius;
+                return vec2(u_flowSpeed * r.y / radius, 0.0);
+            }
+
+            vec2 texelState(vec2 cell, vec2 center) {
+                vec2 coord = (cell + 0.5) / u_resolution;
+                if (u_boundary != 0) coord = clamp(coord, 0.5 / u_resolution, 1.0 - 0.5 / u_resolution);
+                if (isWall(coord)) return center;
+                return decodeState(texture2D(u_state, coord));
+            }
+
+            // Semi-Lagrangian advection: bilinear lookup one step upstream
+            // (done by hand since state textures may not be filterable)
+            vec2 sampleUpstream(vec2 center) {
+                vec2 pixel = v_texCoord * u_resolution - velocity() - 0.5;
+                vec2 cell = floor(pixel);
+                vec2 f = pixel - cell;
+                vec2 s00 = texelState(cell, center);
+                vec2 s10 = texelState(cell + vec2(1.0, 0.0), center);
+                vec2 s01 = texelState(cell + vec2(0.0, 1.0), center);
+                vec2 s11 = texelState(cell + vec2(1.0, 1.0), center);
+                return mix(mix(s00, s10, f.x), mix(s01, s11, f.x), f.y);
+            }
 
             void main() {
-                vec2 texel = 1.0 / u_resolution;
+                vec2 center = decodeState(texture2D(u_state, v_texCoord));
+
+                // Walls keep their state and take no part in the simulation
+                if (isWall(v_texCoord)) {
+                    gl_FragColor = encodeState(center);
+                    return;
+                }
+
+                // Model parameters, optionally varying across the domain
+                float feed = u_feed;
+                float kill = u_kill;
+                if (u_useParamMap) {
+                    vec2 mapped = unpackState(texture2D(u_paramMap, v_texCoord));
+                    feed = mix(u_space.x, u_space.y, mapped.x);
+                    kill = mix(u_space.z, u_space.w, mapped.y);
+                }
 
                 // Sample neighbors for Laplacian
-                vec4 center = texture2D(u_state, v_texCoord);
-                vec4 left = texture2D(u_state, v_texCoord + vec2(-texel.x, 0.0));
-                vec4 right = texture2D(u_state, v_texCoord + vec2(texel.x, 0.0));
-                vec4 up = texture2D(u_state, v_texCoord + vec2(0.0, texel.y));
-                vec4 down = texture2D(u_state, v_texCoord + vec2(0.0, -texel.y));
+                vec2 left = sampleState(vec2(-1.0, 0.0), center);
+                vec2 right = sampleState(vec2(1.0, 0.0), center);
+                vec2 up = sampleState(vec2(0.0, 1.0), center);
+                vec2 down = sampleState(vec2(0.0, -1.0), center);
 
                 // Diagonal neighbors for better Laplacian
-                vec4 ul = texture2D(u_state, v_texCoord + vec2(-texel.x, texel.y));
-                vec4 ur = texture2D(u_state, v_texCoord + vec2(texel.x, texel.y));
-                vec4 dl = texture2D(u_state, v_texCoord + vec2(-texel.x, -texel.y));
-                vec4 dr = texture2D(u_state, v_texCoord + vec2(texel.x, -texel.y));
+                vec2 ul = sampleState(vec2(-1.0, 1.0), center);
+                vec2 ur = sampleState(vec2(1.0, 1.0), center);
+                vec2 dl = sampleState(vec2(-1.0, -1.0), center);
+                vec2 dr = sampleState(vec2(1.0, -1.0), center);
 
                 // 9-point Laplacian stencil
-                vec4 laplacian = (left + right + up + down) * 0.2
+                vec2 laplacian = (left + right + up + down) * 0.2
                                + (ul + ur + dl + dr) * 0.05
                                - center;
 
-                float a = center.r;
-                float b = center.g;
-                float lapA = laplacian.r;
-                float lapB = laplacian.g;
+                // Anisotropic diffusion: D = I + s Q(angle), where Q is traceless
+                // with its principal axis along the angle, so the eigenvalues
+                // are 1 ± s. Adds s (cos 2θ (uxx - uyy) + 2 sin 2θ uxy).
+                if (u_anisotropy > 0.0) {
+                    float angle = u_angle;
+                    if (u_useAngleMap) {
+                        angle = unpackState(texture2D(u_angleMap, v_texCoord)).x * 3.14159265;
+                    }
+                    vec2 q = vec2(cos(2.0 * angle), sin(2.0 * angle));
+                    vec2 uxxMinusUyy = left + right - up - down;
+                    vec2 uxy = (ur - ul - dr + dl) * 0.25;
+                    laplacian += 0.3 * u_anisotropy * (q.x * uxxMinusUyy + 2.0 * q.y * uxy);
+                }
+
+                // Chemicals carried by the flow react where they arrive
+                vec2 current = u_flow > 0 ? sampleUpstream(center) : center;
+
+                // Work in model units; the textures store value / scale
+                float a = current.x * u_scale.x;
+                float b = current.y * u_scale.y;
+                float lapA = laplacian.x * u_scale.x;
+                float lapB = laplacian.y * u_scale.y;
 
-                float newA, newB;
+                vec2 react = reaction(a, b, feed, kill);
 
-                // Gray-Scott model
-                float reaction = a * b * b;
-                newA = a + (u_diffusionA * lapA - reaction + u_feed * (1.0 - a)) * u_dt;
-                newB = b + (u_diffusionB * lapB + reaction - (u_kill + u_feed) * b) * u_dt;
+                float newA = a + (u_diffusionA * lapA + u_rate * react.x) * u_dt;
+                float newB = b + (u_diffusionB * lapB + u_rate * react.y) * u_dt;
 
                 // Clamp values
-                newA = clamp(newA, 0.0, 1.0);
-                newB = clamp(newB, 0.0, 1.0);
+                newA = clamp(newA / u_scale.x, 0.0, 1.0);
+                newB = clamp(newB / u_scale.y, 0.0, 1.0);
 
-                gl_FragColor = vec4(newA, newB, 0.0, 1.0);
+                gl_FragColor = encodeState(vec2(newA, newB));
             }
         `;
 
-        // Render fragment shader
-        const renderSource = `
-            precision highp float;
+        // Render fragment shader: maps A, B, A−B or the reaction rate through a
+        // gradient lookup texture, optionally lit as a height field
+        const renderSource = stateCodec + reactionCode + `
             varying vec2 v_texCoord;
             uniform sampler2D u_state;
-            uniform vec3 u_color1;
-            uniform vec3 u_color2;
+            uniform sampler2D u_gradient;
             uniform float u_contrast;
             uniform float u_brightness;
+            uniform int u_mapping;
+            uniform sampler2D u_mask;
+            uniform bool u_useMask;
+            uniform vec2 u_resolution;
+
+            // Parameters for the reaction-rate mapping
+            uniform float u_feed;
+            uniform float u_kill;
+            uniform float u_rate;
+            uniform vec2 u_scale;
+            uniform sampler2D u_paramMap;
+            uniform bool u_useParamMap;
+            uniform vec4 u_space;
+
+            uniform bool u_relief;
+            uniform float u_reliefHeight;
+            uniform vec3 u_lightDir;
+
+            float fieldValue(vec2 coord) {
+                vec2 state = decodeState(texture2D(u_state, coord));
+
+                if (u_mapping == 1) return state.x;
+                if (u_mapping == 2) return 0.5 + 0.5 * (state.x - state.y);
+                if (u_mapping == 3) {
+                    float feed = u_feed;
+                    float kill = u_kill;
+                    if (u_useParamMap) {
+                        vec2 mapped = unpackState(texture2D(u_paramMap, coord));
+                        feed = mix(u_space.x, u_space.y, mapped.x);
+                        kill = mix(u_space.z, u_space.w, mapped.y);
+                    }
+                    // Net production of B per step, squashed into [0, 1]
+                    float rate = 200.0 * u_rate * reaction(state.x * u_scale.x, state.y * u_scale.y, feed, kill).y / u_scale.y;
+                    return 0.5 + 0.5 * rate / (1.0 + abs(rate));
+                }
+                return state.y; // Chemical B concentration
+            }
 
             void main() {
-                vec4 state = texture2D(u_state, v_texCoord);
-                float value = state.g; // Chemical B concentration
+                float value = fieldValue(v_texCoord);
 
                 // Apply contrast and brightness
                 value = (value - 0.5) * u_contrast + 0.5;
                 value = value * u_brightness;
                 value = clamp(value, 0.0, 1.0);
 
-                // Interpolate colors
-                vec3 color = mix(u_color1, u_color2, value);
+                vec3 color = texture2D(u_gradient, vec2(value, 0.5)).rgb;
+
+                // Relief: treat the mapped value as height and shade it
+                if (u_relief) {
+                    vec2 texel = 1.0 / u_resolution;
+                    float dx = fieldValue(v_texCoord + vec2(texel.x, 0.0)) - fieldValue(v_texCoord - vec2(texel.x, 0.0));
+                    float dy = fieldValue(v_texCoord + vec2(0.0, texel.y)) - fieldValue(v_texCoord - vec2(0.0, texel.y));
+                    vec3 normal = normalize(vec3(-dx * u_reliefHeight, -dy * u_reliefHeight, 1.0));
+                    float diffuse = max(dot(normal, u_lightDir), 0.0);
+                    float specular = pow(max(dot(normal, normalize(u_lightDir + vec3(0.0, 0.0, 1.0))), 0.0), 32.0);
+                    color = color * (0.3 + 0.7 * diffuse) + 0.25 * specular;
+                }
+
+                // Walls are drawn as a flat gray
+                if (u_useMask && texture2D(u_mask, v_texCoord).r > 0.5) {
+                    color = vec3(0.22, 0.24, 0.29);
+                }
                 gl_FragColor = vec4(color, 1.0);
             }
         `;
 
         // Brush fragment shader
-        const brushSource = `
-            precision highp float;
+        const brushSource = stateCodec + `
             varying vec2 v_texCoord;
             uniform sampler2D u_state;
             uniform vec2 u_brushPos;
@@ -230,7 +708,7 @@ class TuringSimulation {
             uniform vec2 u_resolution;
 
             void main() {
-                vec4 current = texture2D(u_state, v_texCoord);
+                vec2 current = decodeState(texture2D(u_state, v_texCoord));
                 vec2 pos = v_texCoord * u_resolution;
                 float dist = distance(pos, u_brushPos);
 
@@ -240,14 +718,25 @@ class TuringSimulation {
 
                     if (u_chemical == 0) {
                         // Chemical A (inhibitor) - usually means erasing B
-                        current.g = max(0.0, current.g - falloff);
+                        current.y = max(0.0, current.y - falloff);
                     } else {
                         // Chemical B (activator)
-                        current.g = min(1.0, current.g + falloff);
+                        current.y = min(1.0, current.y + falloff);
                     }
                 }
 
-                gl_FragColor = current;
+                gl_FragColor = encodeState(current);
+            }
+        `;
+
+        // Readback fragment shader: re-encodes the state as 16-bit packed
+        // bytes so it can be read with readPixels on any device
+        const readbackSource = stateCodec + `
+            varying vec2 v_texCoord;
+            uniform sampler2D u_state;
+
+            void main() {
+                gl_FragColor = packState(decodeState(texture2D(u_state, v_texCoord)));
             }
         `;
 
@@ -255,6 +744,7 @@ class TuringSimulation {
         this.simulationProgram = this.createProgram(vertexSource, simulationSource);
         this.renderProgram = this.createProgram(vertexSource, renderSource);
         this.brushProgram = this.createProgram(vertexSource, brushSource);
+        this.readbackProgram = this.createProgram(vertexSource, readbackSource);
 
         // Create vertex buffer
         const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
@@ -294,6 +784,82 @@ class TuringSimulation {
         return program;
     }
 
+    detectStateFormat() {
+        const gl = this.gl;
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        const candidates = [];
+
+        if (isWebGL2) {
+            const colorFloat = gl.getExtension('EXT_color_buffer_float');
+            const colorHalf = gl.getExtension('EXT_color_buffer_half_float');
+            const floatLinear = gl.getExtension('OES_texture_float_linear');
+            if (colorFloat) {
+                candidates.push({ name: 'float32', internalFormat: gl.RGBA32F, type: gl.FLOAT, linear: !!floatLinear });
+            }
+            if (colorFloat || colorHalf) {
+                candidates.push({ name: 'float16', internalFormat: gl.RGBA16F, type: gl.HALF_FLOAT, linear: true });
+            }
+        } else {
+            const textureFloat = gl.getExtension('OES_texture_float');
+            const textureHalf = gl.getExtension('OES_texture_half_float');
+            gl.getExtension('WEBGL_color_buffer_float');
+            gl.getExtension('EXT_color_buffer_half_float');
+            if (textureFloat) {
+                candidates.push({
+                    name: 'float32', internalFormat: gl.RGBA, type: gl.FLOAT,
+                    linear: !!gl.getExtension('OES_texture_float_linear')
+                });
+            }
+            if (textureHalf) {
+                candidates.push({
+                    name: 'float16', internalFormat: gl.RGBA, type: textureHalf.HALF_FLOAT_OES,
+                    linear: !!gl.getExtension('OES_texture_half_float_linear'), halfUpload: true
+                });
+            }
+        }
+
+        // Use the first format that can actually be rendered to
+        for (const format of candidates) {
+            const { renderable, readFloat } = this.probeFormat(format);
+            if (renderable) {
+                return { ...format, packed: false, readFloat };
+            }
+        }
+
+        // 8-bit fallback: values are packed across two channels
+        return {
+            name: 'packed8', internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE,
+            linear: false, packed: true, readFloat: false
+        };
+    }
+
+    // Check that a format can be rendered to and whether readPixels can
+    // return floats from it directly
+    probeFormat(format) {
+        const gl = this.gl;
+        gl.getError();
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, 1, 1, 0, gl.RGBA, format.type, null);
+        const fb = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+        const renderable = gl.getError() === gl.NO_ERROR &&
+            gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        let readFloat = false;
+        if (renderable) {
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, new Float32Array(4));
+            readFloat = gl.getError() === gl.NO_ERROR;
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fb);
+        gl.deleteTexture(texture);
+        return { renderable, readFloat };
+    }
+
     createTextures() {
         const gl = this.gl;
 
@@ -309,18 +875,48 @@ class TuringSimulation {
             this.createFramebuffer(this.textures[1])
         ];
 
+        // 8-bit target used to read back packed state
+        if (!this.stateFormat.readFloat && !this.stateFormat.packed) {
+            this.readbackTexture = this.createTexture({ internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: false });
+            this.readbackFramebuffer = this.createFramebuffer(this.readbackTexture);
+        }
+
+        // Spatial parameter map (always 16-bit packed)
+        this.paramMapTexture = this.createTexture({ internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: false });
+
+        // Domain mask (walls in the red channel)
+        this.maskTexture = this.createTexture({ internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: false });
+
+        // Painted diffusion angles (16-bit packed, angle / π in the first channel)
+        this.angleMapTexture = this.createTexture({ internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: false });
+
+        // Color gradient lookup; clamped so the ends don't blend into each other
+        this.gradientTexture = this.createTexture({ internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: true }, 256, 1);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.updateGradientTexture();
+
         this.currentTexture = 0;
+        document.getElementById('stateFormat').textContent = {
+            float32: '32-bit float',
+            float16: '16-bit float',
+            packed8: '8-bit packed'
+        }[this.stateFormat.name];
     }
 
-    createTexture() {
+    createTexture(format = this.stateFormat, width = this.resolution, height = width) {
         const gl = this.gl;
+        const filter = format.linear ? gl.LINEAR : gl.NEAREST;
+        // WebGL1 only allows REPEAT on power-of-two textures
+        const pot = (width & (width - 1)) === 0 && (height & (height - 1)) === 0;
+        const wrap = pot ? gl.REPEAT : gl.CLAMP_TO_EDGE;
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.resolution, this.resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, width, height, 0, gl.RGBA, format.type, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
         return texture;
     }
 
@@ -333,96 +929,344 @@ class TuringSimulation {
     }
 
     seedPattern() {
-        const gl = this.gl;
-        const data = new Uint8Array(this.resolution * this.resolution * 4);
-
-        // Fill with chemical A (white = 1.0)
+        const field = new Float32Array(this.resolution * this.resolution * 2);
+        const random = createRandom(this.seed);
+
+        // Background and seed concentrations for the current system
+        const system = this.getSystem();
+        const seed = system.seed(this.params.feedRate, this.params.killRate);
+        const baseA = seed.base[0] / system.scale[0];
+        const baseB = seed.base[1] / system.scale[1];
+        const patchA = seed.patch[0] / system.scale[0];
+        const patchB = seed.patch[1] / system.scale[1];
+
+        // Fill with the homogeneous state (Gray-Scott: A = 1.0, B = 0.0)
         for (let i = 0; i < this.resolution * this.resolution; i++) {
-            data[i * 4] = 255;     // A = 1.0
-            data[i * 4 + 1] = 0;   // B = 0.0
-            data[i * 4 + 2] = 0;
-            data[i * 4 + 3] = 255;
-        }
-
-        // Add some seeds of chemical B in center
-        const cx = this.resolution / 2;
-        const cy = this.resolution / 2;
-        const seedRadius = 20;
-
-        for (let y = 0; y < this.resolution; y++) {
-            for (let x = 0; x < this.resolution; x++) {
-                const dx = x - cx;
-                const dy = y - cy;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                // Create a few random seed points
-                if (dist < seedRadius || Math.random() < 0.001) {
-                    const i = (y * this.resolution + x) * 4;
-                    data[i + 1] = 255; // B = 1.0
-                }
-            }
+            field[i * 2] = baseA;
+            field[i * 2 + 1] = baseB;
         }
 
-        // Add some additional random clusters
-        for (let s = 0; s < 5; s++) {
-            const sx = Math.random() * this.resolution;
-            const sy = Math.random() * this.resolution;
+        const sourceMask = this.getSeedSourceMask(this.resolution, this.resolution, 0);
+
+        if (sourceMask) {
+            // Image or text: blend towards the patch state by the mask
+            for (let i = 0; i < sourceMask.length; i++) {
+                field[i * 2] += (patchA - baseA) * sourceMask[i];
+                field[i * 2 + 1] += (patchB - baseB) * sourceMask[i];
+            }
+        } else {
+            // Add some seeds of chemical B in center
+            const cx = this.resolution / 2;
+            const cy = this.resolution / 2;
+            const seedRadius = 20;
+
             for (let y = 0; y < this.resolution; y++) {
                 for (let x = 0; x < this.resolution; x++) {
-                    const dx = x - sx;
-                    const dy = y - sy;
-                    if (dx * dx + dy * dy < 100) {
-                        const i = (y * this.resolution + x) * 4;
-                        data[i + 1] = 255;
+                    const dx = x - cx;
+                    const dy = y - cy;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+
+                    // Create a few random seed points
+                    if (dist < seedRadius || random() < 0.001) {
+                        const i = (y * this.resolution + x) * 2;
+                        field[i] = patchA;
+                        field[i + 1] = patchB;
+                    }
+                }
+            }
+
+            // Add some additional random clusters
+            for (let s = 0; s < 5; s++) {
+                const sx = random() * this.resolution;
+                const sy = random() * this.resolution;
+                for (let y = 0; y < this.resolution; y++) {
+                    for (let x = 0; x < this.resolution; x++) {
+                        const dx = x - sx;
+                        const dy = y - sy;
+                        if (dx * dx + dy * dy < 100) {
+                            const i = (y * this.resolution + x) * 2;
+                            field[i] = patchA;
+                            field[i + 1] = patchB;
+                        }
                     }
                 }
             }
         }
 
         // Upload to both textures
-        for (const texture of this.textures) {
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.resolution, this.resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        for (let i = 0; i < this.textures.length; i++) {
+            this.writeState(field, i);
         }
+        this.stepCount = 0;
+        this.clearAnalysis();
     }
 
-    simulate() {
-        if (!this.isRunning) return;
+    // Canvas holding the current image or text source, or null for the default pattern
+    getSeedSourceCanvas() {
+        const source = this.seedSource;
+        if (source.type === 'image') return source.image;
+        if (source.type === 'text' && source.text.trim()) return renderTextCanvas(source.text);
+        return null;
+    }
+
+    /**
+     * Seed amounts in [0, 1] for a width × height box (texel rows bottom to
+     * top), with the source fitted inside and rotated by the given degrees.
+     * Returns null when there is no image or text source.
+     */
+    getSeedSourceMask(width, height, rotation) {
+        const sourceCanvas = this.getSeedSourceCanvas();
+        if (!sourceCanvas) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const { invert, mode, threshold } = this.seedSource;
+
+        // Background counts as "no seed" after inversion too
+        ctx.fillStyle = invert ? 'white' : 'black';
+        ctx.fillRect(0, 0, width, height);
+
+        const scale = Math.min(width / sourceCanvas.width, height / sourceCanvas.height);
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(sourceCanvas, -sourceCanvas.width * scale / 2, -sourceCanvas.height * scale / 2,
+            sourceCanvas.width * scale, sourceCanvas.height * scale);
+
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const mask = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = ((height - 1 - y) * width + x) * 4;
+                let luminance = (0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]) / 255;
+                if (invert) luminance = 1 - luminance;
+                mask[y * width + x] = mode === 'grayscale' ? luminance : (luminance > threshold ? 1 : 0);
+            }
+        }
+        return mask;
+    }
+
+    loadSeedImage(file) {
+        const image = new Image();
+        const url = URL.createObjectURL(file);
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+
+            // Keep a copy so the source survives the object URL
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+
+            this.seedSource.image = canvas;
+            this.setSeedSourceType('image');
+            document.getElementById('seedImageName').textContent = file.name;
+            this.seedPattern();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Could not load the seed image.');
+        };
+        image.src = url;
+    }
 
+    setSeedSourceType(type) {
+        if (type === 'image' && !this.seedSource.image) {
+            document.getElementById('seedImageInput').click();
+            type = this.seedSource.type;
+        }
+        this.seedSource.type = type;
+        document.getElementById('seedSource').value = type;
+        document.getElementById('seedImageControls').hidden = type !== 'image';
+        document.getElementById('seedTextControls').hidden = type !== 'text';
+        document.getElementById('seedMaskControls').hidden = type === 'default';
+    }
+
+    // Upload an interleaved [A, B] field (values in [0, 1]) to a state texture
+    writeState(field, index = this.currentTexture) {
+        this.uploadField(this.textures[index], field, this.resolution, this.resolution);
+    }
+
+    uploadField(texture, field, width, height) {
         const gl = this.gl;
-        const steps = Math.ceil(this.params.simSpeed * 8);
+        const format = this.stateFormat;
+        const count = width * height;
+        let data;
+
+        if (format.packed) {
+            data = this.packField(field);
+        } else {
+            data = format.halfUpload ? new Uint16Array(count * 4) : new Float32Array(count * 4);
+            const convert = format.halfUpload ? toHalfFloat : (v) => v;
+            for (let i = 0; i < count; i++) {
+                data[i * 4] = convert(field[i * 2]);
+                data[i * 4 + 1] = convert(field[i * 2 + 1]);
+                data[i * 4 + 3] = convert(1);
+            }
+        }
 
-        for (let i = 0; i < steps; i++) {
-            const srcTexture = this.textures[this.currentTexture];
-            const dstFramebuffer = this.framebuffers[1 - this.currentTexture];
+        // WebGL2 accepts float data for half-float textures
+        const uploadType = format.halfUpload || format.packed ? format.type : gl.FLOAT;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, width, height, 0, gl.RGBA, uploadType, data);
+    }
+
+    // Pack an interleaved two-channel field into 16-bit RGBA bytes
+    packField(field) {
+        const count = field.length / 2;
+        const data = new Uint8Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < 2; c++) {
+                const q = Math.round(Math.max(0, Math.min(1, field[i * 2 + c])) * 65535);
+                data[i * 4 + c * 2] = q >> 8;
+                data[i * 4 + c * 2 + 1] = q & 255;
+            }
+        }
+        return data;
+    }
 
-            gl.bindFramebuffer(gl.FRAMEBUFFER, dstFramebuffer);
-            gl.viewport(0, 0, this.resolution, this.resolution);
+    // Read the current state texture back as an interleaved [A, B] field
+    readState() {
+        return this.readField(this.framebuffers[this.currentTexture], this.textures[this.currentTexture],
+            this.resolution, this.resolution, this.readbackFramebuffer);
+    }
 
-            gl.useProgram(this.simulationProgram);
+    // Read a state framebuffer as an interleaved [A, B] field. Float state that
+    // can't be read directly is re-encoded into readbackFramebuffer first.
+    readField(framebuffer, texture, width, height, readbackFramebuffer) {
+        const gl = this.gl;
+        const count = width * height;
+        const field = new Float32Array(count * 2);
+
+        if (this.stateFormat.readFloat) {
+            const data = new Float32Array(count * 4);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, data);
+            for (let i = 0; i < count; i++) {
+                field[i * 2] = data[i * 4];
+                field[i * 2 + 1] = data[i * 4 + 1];
+            }
+            return field;
+        }
 
-            // Set uniforms
-            gl.uniform2f(gl.getUniformLocation(this.simulationProgram, 'u_resolution'), this.resolution, this.resolution);
-            gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_feed'), this.params.feedRate);
-            gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_kill'), this.params.killRate);
-            gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_diffusionA'), this.params.diffusionA);
-            gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_diffusionB'), this.params.diffusionB);
-            gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_dt'), 1.0);
+        // Packed state can be read directly; float state is re-encoded first
+        if (this.stateFormat.packed) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, readbackFramebuffer);
+            gl.viewport(0, 0, width, height);
+            gl.useProgram(this.readbackProgram);
 
-            // Bind source texture
             gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, srcTexture);
-            gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_state'), 0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(this.readbackProgram, 'u_state'), 0);
 
-            // Draw
-            const posLoc = gl.getAttribLocation(this.simulationProgram, 'a_position');
+            const posLoc = gl.getAttribLocation(this.readbackProgram, 'a_position');
             gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
             gl.enableVertexAttribArray(posLoc);
             gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
             gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        }
+
+        const data = new Uint8Array(count * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        for (let i = 0; i < count; i++) {
+            field[i * 2] = (data[i * 4] * 256 + data[i * 4 + 1]) / 65535;
+            field[i * 2 + 1] = (data[i * 4 + 2] * 256 + data[i * 4 + 3]) / 65535;
+        }
+        return field;
+    }
+
+    simulate(steps = Math.ceil(this.params.simSpeed * 8)) {
+        if (!this.isRunning) return;
+
+        const paramMap = this.paramMap.mode !== 'off' ? this.paramMapTexture : null;
+        const mask = this.domain.hasWalls ? this.maskTexture : null;
 
+        for (let i = 0; i < steps; i++) {
+            this.stepState(this.textures[this.currentTexture], this.framebuffers[1 - this.currentTexture],
+                this.resolution, this.resolution, paramMap, 0, mask);
             this.currentTexture = 1 - this.currentTexture;
         }
+
+        this.stepCount += steps;
+    }
+
+    /**
+     * Run one reaction-diffusion step from srcTexture into dstFramebuffer.
+     * paramMapTexture (or null) supplies per-texel parameters; a non-zero tile
+     * size makes every tile × tile cell a separate periodic domain, otherwise
+     * params.boundary applies at the edges. maskTexture (or null) marks walls.
+     */
+    stepState(srcTexture, dstFramebuffer, width, height, paramMapTexture, tile, maskTexture = null) {
+        const gl = this.gl;
+        const system = this.getSystem();
+        const boundary = this.getBoundaryValue();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, dstFramebuffer);
+        gl.viewport(0, 0, width, height);
+
+        gl.useProgram(this.simulationProgram);
+
+        // Set uniforms
+        gl.uniform2f(gl.getUniformLocation(this.simulationProgram, 'u_resolution'), width, height);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_feed'), this.params.feedRate);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_kill'), this.params.killRate);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_diffusionA'), this.params.diffusionA);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_diffusionB'), this.params.diffusionB);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_dt'), 1.0);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_rate'), system.rate);
+        gl.uniform2f(gl.getUniformLocation(this.simulationProgram, 'u_scale'), system.scale[0], system.scale[1]);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_system'), system.id);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_useParamMap'), paramMapTexture ? 1 : 0);
+        gl.uniform4f(gl.getUniformLocation(this.simulationProgram, 'u_space'),
+            system.space.x[0], system.space.x[1], system.space.y[0], system.space.y[1]);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_tile'), tile);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_boundary'),
+            ['periodic', 'neumann', 'dirichlet'].indexOf(this.params.boundary));
+        gl.uniform2f(gl.getUniformLocation(this.simulationProgram, 'u_boundaryValue'), boundary[0], boundary[1]);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_useMask'), maskTexture ? 1 : 0);
+
+        // Anisotropy and flow only apply to the main (untiled) simulation
+        const transport = this.transport;
+        const anisotropic = tile === 0 && transport.anisotropy !== 'off';
+        const flow = tile === 0 ? ['none', 'drift', 'vortex', 'shear'].indexOf(transport.flow) : 0;
+        const flowAngle = transport.flowAngle * Math.PI / 180;
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_anisotropy'),
+            anisotropic ? (transport.ratio - 1) / (transport.ratio + 1) : 0);
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_angle'), transport.angle * Math.PI / 180);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_useAngleMap'),
+            anisotropic && transport.anisotropy === 'map' ? 1 : 0);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_flow'), Math.max(0, flow));
+        gl.uniform2f(gl.getUniformLocation(this.simulationProgram, 'u_flowVector'),
+            transport.flowSpeed * Math.cos(flowAngle), transport.flowSpeed * Math.sin(flowAngle));
+        gl.uniform1f(gl.getUniformLocation(this.simulationProgram, 'u_flowSpeed'), transport.flowSpeed);
+
+        // Bind source texture
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, srcTexture);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_state'), 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, paramMapTexture || this.paramMapTexture);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_paramMap'), 1);
+
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, maskTexture || this.maskTexture);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_mask'), 2);
+
+        gl.activeTexture(gl.TEXTURE4);
+        gl.bindTexture(gl.TEXTURE_2D, this.angleMapTexture);
+        gl.uniform1i(gl.getUniformLocation(this.simulationProgram, 'u_angleMap'), 4);
+
+        // Draw
+        const posLoc = gl.getAttribLocation(this.simulationProgram, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     }
 
     render() {
@@ -433,20 +1277,44 @@ class TuringSimulation {
 
         gl.useProgram(this.renderProgram);
 
-        // Get color scheme
-        const colors = this.colorSchemes[this.visual.colorScheme] || this.colorSchemes.classic;
+        const system = this.getSystem();
+        const azimuth = this.visual.lightAzimuth * Math.PI / 180;
+        const elevation = this.visual.lightElevation * Math.PI / 180;
 
-        gl.uniform3f(gl.getUniformLocation(this.renderProgram, 'u_color1'),
-            colors[0][0] / 255, colors[0][1] / 255, colors[0][2] / 255);
-        gl.uniform3f(gl.getUniformLocation(this.renderProgram, 'u_color2'),
-            colors[1][0] / 255, colors[1][1] / 255, colors[1][2] / 255);
         gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_contrast'), this.visual.contrast);
         gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_brightness'), this.visual.brightness);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_mapping'), ['B', 'A', 'A-B', 'rate'].indexOf(this.visual.mapping));
+        gl.uniform2f(gl.getUniformLocation(this.renderProgram, 'u_resolution'), this.resolution, this.resolution);
+        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_feed'), this.params.feedRate);
+        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_kill'), this.params.killRate);
+        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_rate'), system.rate);
+        gl.uniform2f(gl.getUniformLocation(this.renderProgram, 'u_scale'), system.scale[0], system.scale[1]);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_system'), system.id);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_useParamMap'), this.paramMap.mode !== 'off' ? 1 : 0);
+        gl.uniform4f(gl.getUniformLocation(this.renderProgram, 'u_space'),
+            system.space.x[0], system.space.x[1], system.space.y[0], system.space.y[1]);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_relief'), this.visual.relief ? 1 : 0);
+        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_reliefHeight'), this.visual.reliefHeight);
+        gl.uniform3f(gl.getUniformLocation(this.renderProgram, 'u_lightDir'),
+            Math.cos(elevation) * Math.cos(azimuth), Math.cos(elevation) * Math.sin(azimuth), Math.sin(elevation));
 
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
         gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_state'), 0);
 
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_mask'), 2);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_useMask'), this.domain.hasWalls ? 1 : 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.paramMapTexture);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_paramMap'), 1);
+
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture);
+        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_gradient'), 3);
+
         const posLoc = gl.getAttribLocation(this.renderProgram, 'a_position');
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
         gl.enableVertexAttribArray(posLoc);
@@ -454,6 +1322,132 @@ class TuringSimulation {
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     }
 
+    getSchemeStops(name) {
+        if (name.startsWith('custom:')) return this.customSchemes[name.slice(7)] || null;
+        return this.colorSchemes[name] || null;
+    }
+
+    setColorScheme(name) {
+        const stops = this.getSchemeStops(name);
+        if (!stops) name = 'classic';
+
+        this.visual.colorScheme = name;
+        this.visual.gradient = (stops || this.colorSchemes.classic).map(stop => ({ ...stop }));
+        document.getElementById('colorScheme').value = name;
+        if (this.gradientEditor) this.gradientEditor.setStops(this.visual.gradient);
+        this.updateGradientTexture();
+    }
+
+    updateGradientTexture() {
+        const gl = this.gl;
+        this.gradientLUT = buildGradientLUT(this.visual.gradient);
+        gl.bindTexture(gl.TEXTURE_2D, this.gradientTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.gradientLUT);
+    }
+
+    loadCustomSchemes() {
+        try {
+            return JSON.parse(localStorage.getItem('turing-patterns-color-schemes')) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    // Add the saved gradients to the color scheme menu
+    populateColorSchemes() {
+        const group = document.getElementById('customSchemes');
+        group.innerHTML = '';
+        Object.keys(this.customSchemes).forEach(name => {
+            const option = document.createElement('option');
+            option.value = `custom:${name}`;
+            option.textContent = name;
+            group.appendChild(option);
+        });
+        group.hidden = group.children.length === 0;
+        document.getElementById('colorScheme').value = this.visual.colorScheme;
+    }
+
+    saveColorScheme() {
+        const current = this.visual.colorScheme.startsWith('custom:') ? this.visual.colorScheme.slice(7) : '';
+        const name = prompt('Name for this color scheme:', current);
+        if (!name) return;
+
+        this.customSchemes[name] = this.visual.gradient.map(stop => ({ ...stop }));
+        localStorage.setItem('turing-patterns-color-schemes', JSON.stringify(this.customSchemes));
+        this.visual.colorScheme = `custom:${name}`;
+        this.populateColorSchemes();
+    }
+
+    deleteColorScheme() {
+        const name = this.visual.colorScheme;
+        if (!name.startsWith('custom:')) {
+            alert('Only saved custom schemes can be deleted.');
+            return;
+        }
+        if (!confirm(`Delete the color scheme "${name.slice(7)}"?`)) return;
+
+        delete this.customSchemes[name.slice(7)];
+        localStorage.setItem('turing-patterns-color-schemes', JSON.stringify(this.customSchemes));
+        this.populateColorSchemes();
+        this.setColorScheme('classic');
+    }
+
+    // Light direction pad: the center is straight overhead, the rim the horizon
+    setupLightPad() {
+        const pad = document.getElementById('lightPad');
+        let dragging = false;
+
+        const move = (e) => {
+            const rect = pad.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+            const y = 1 - ((e.clientY - rect.top) / rect.height) * 2;
+            const r = Math.min(1, Math.hypot(x, y));
+
+            this.visual.lightAzimuth = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+            this.visual.lightElevation = 90 * (1 - r);
+            this.drawLightPad();
+        };
+
+        pad.addEventListener('mousedown', (e) => {
+            dragging = true;
+            move(e);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (dragging) move(e);
+        });
+        window.addEventListener('mouseup', () => dragging = false);
+
+        this.drawLightPad();
+    }
+
+    drawLightPad() {
+        const pad = document.getElementById('lightPad');
+        const ctx = pad.getContext('2d');
+        const size = pad.width;
+        const c = size / 2;
+        const radius = c - 4;
+
+        ctx.clearRect(0, 0, size, size);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(c, c, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const azimuth = this.visual.lightAzimuth * Math.PI / 180;
+        const r = (1 - this.visual.lightElevation / 90) * radius;
+        const x = c + Math.cos(azimuth) * r;
+        const y = c - Math.sin(azimuth) * r;
+
+        ctx.fillStyle = '#fbbf24';
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        document.getElementById('lightInfo').textContent =
+            `Light ${this.visual.lightAzimuth.toFixed(0)}° • ${this.visual.lightElevation.toFixed(0)}° up`;
+    }
+
     applyBrush(x, y) {
         const gl = this.gl;
 
@@ -489,52 +1483,235 @@ class TuringSimulation {
 
         this.journey.time += dt * this.journey.speed * 0.001;
 
-        let f, k;
+        // Paths are defined in normalized parameter-space coordinates so they
+        // cover the same region of the diagram for every system
+        let nx, ny;
         const t = this.journey.time;
 
         switch (this.journey.type) {
             case 'linear':
                 // Linear interpolation between two points
                 const progress = (Math.sin(t * 0.5) + 1) / 2;
-                f = 0.02 + progress * 0.04;
-                k = 0.045 + progress * 0.025;
+                nx = 0.25 + progress * 0.5;
+                ny = 0.5625 + progress * 0.3125;
                 break;
 
             case 'circular':
                 // Circular orbit in parameter space
-                const cx = 0.04, cy = 0.058;
-                const radius = 0.015;
-                f = cx + Math.cos(t) * radius;
-                k = cy + Math.sin(t) * radius;
+                const cx = 0.5, cy = 0.725;
+                const radius = 0.1875;
+                nx = cx + Math.cos(t) * radius;
+                ny = cy + Math.sin(t) * radius;
                 break;
 
             case 'figure8':
                 // Figure-8 pattern
-                f = 0.04 + Math.sin(t) * 0.02;
-                k = 0.058 + Math.sin(t * 2) * 0.01;
+                nx = 0.5 + Math.sin(t) * 0.25;
+                ny = 0.725 + Math.sin(t * 2) * 0.125;
                 break;
 
             case 'random':
                 // Random walk with smooth interpolation
-                if (!this.journey.targetF || Math.random() < 0.01) {
-                    this.journey.targetF = 0.015 + Math.random() * 0.045;
-                    this.journey.targetK = 0.045 + Math.random() * 0.03;
+                if (this.journey.targetF === undefined || Math.random() < 0.01) {
+                    [this.journey.targetF, this.journey.targetK] = this.fromParameterSpace(
+                        0.1875 + Math.random() * 0.5625,
+                        0.5625 + Math.random() * 0.375
+                    );
                 }
-                f = this.params.feedRate + (this.journey.targetF - this.params.feedRate) * 0.02;
-                k = this.params.killRate + (this.journey.targetK - this.params.killRate) * 0.02;
+                [nx, ny] = this.toParameterSpace(
+                    this.params.feedRate + (this.journey.targetF - this.params.feedRate) * 0.02,
+                    this.params.killRate + (this.journey.targetK - this.params.killRate) * 0.02
+                );
                 break;
+
+            case 'keyframes': {
+                const point = this.sampleKeyframes(t);
+                if (point) {
+                    [nx, ny] = point;
+                } else {
+                    this.setJourneyActive(false);
+                }
+                break;
+            }
         }
 
-        if (f !== undefined) {
-            this.params.feedRate = Math.max(0, Math.min(0.1, f));
-            this.params.killRate = Math.max(0, Math.min(0.08, k));
+        if (nx !== undefined) {
+            const [f, k] = this.fromParameterSpace(nx, ny);
+            const [paramF, paramK] = this.getSystem().params;
+            this.params.feedRate = Math.max(paramF.min, Math.min(paramF.max, f));
+            this.params.killRate = Math.max(paramK.min, Math.min(paramK.max, k));
             this.updateUIFromParams();
         }
     }
 
-    animate() {
-        const now = performance.now();
-        const dt = now - this.lastTime;
+    /**
+     * Position along the keyframe path after t seconds, or null once a
+     * 'once' journey has finished. Loop adds a segment back to the first
+     * keyframe; ping-pong plays the segments backwards on the way back.
+     */
+    sampleKeyframes(t) {
+        const keyframes = this.journey.keyframes;
+        if (keyframes.length === 0) return null;
+        if (keyframes.length === 1) return [keyframes[0].nx, keyframes[0].ny];
+
+        const playback = this.journey.playback;
+        const segments = [];
+        for (let i = 0; i < keyframes.length - 1; i++) segments.push([i, i + 1]);
+        if (playback === 'loop') segments.push([keyframes.length - 1, 0]);
+
+        const durations = segments.map(([from]) => Math.max(0.01, keyframes[from].duration));
+        const total = durations.reduce((sum, d) => sum + d, 0);
+
+        let time;
+        let reverse = false;
+        if (playback === 'once') {
+            if (t >= total) return null;
+            time = t;
+        } else if (playback === 'pingpong') {
+            time = t % (2 * total);
+            if (time >= total) {
+                time = 2 * total - time;
+                reverse = true;
+            }
+        } else {
+            time = t % total;
+        }
+
+        let index = 0;
+        while (index < segments.length - 1 && time >= durations[index]) {
+            time -= durations[index];
+            index++;
+        }
+
+        const [from, to] = segments[index];
+        const a = keyframes[from];
+        const b = keyframes[to];
+        const ease = this.easings[a.easing] || this.easings.linear;
+        // Going backwards mirrors the easing so ping-pong retraces the same curve
+        const progress = Math.min(1, time / durations[index]);
+        const eased = reverse ? 1 - ease(1 - progress) : ease(progress);
+
+        return [a.nx + (b.nx - a.nx) * eased, a.ny + (b.ny - a.ny) * eased];
+    }
+
+    setJourneyActive(active) {
+        this.journey.active = active;
+        this.journey.time = 0;
+        document.getElementById('startJourney').textContent = active ? 'Stop Journey' : 'Start Journey';
+        document.getElementById('startJourney').classList.toggle('active', active);
+    }
+
+    addKeyframe(nx, ny) {
+        const previous = this.journey.keyframes[this.journey.keyframes.length - 1];
+        this.journey.keyframes.push({
+            nx, ny,
+            duration: previous ? previous.duration : 4,
+            easing: previous ? previous.easing : 'inout'
+        });
+        this.renderKeyframeList();
+    }
+
+    setKeyframeEditing(editing) {
+        this.journey.editing = editing;
+        const btn = document.getElementById('editKeyframesBtn');
+        btn.textContent = editing ? 'Done Adding' : 'Add Keyframes';
+        btn.classList.toggle('active', editing);
+        document.getElementById('parameterSpace').classList.toggle('editing', editing);
+    }
+
+    renderKeyframeList() {
+        const list = document.getElementById('keyframeList');
+        const [paramF, paramK] = this.getSystem().params;
+        list.innerHTML = '';
+
+        if (this.journey.keyframes.length === 0) {
+            list.innerHTML = '<p class="keyframe-empty">No keyframes. Click "Add Keyframes", then click the parameter space.</p>';
+            return;
+        }
+
+        this.journey.keyframes.forEach((keyframe, index) => {
+            const [f, k] = this.fromParameterSpace(keyframe.nx, keyframe.ny);
+            const row = document.createElement('div');
+            row.className = 'keyframe-row';
+            row.innerHTML = `
+                <span class="keyframe-index">${index + 1}</span>
+                <span class="keyframe-values">${paramF.symbol}=${f.toFixed(4)}<br>${paramK.symbol}=${k.toFixed(4)}</span>
+                <input type="number" min="0.1" step="0.5" value="${keyframe.duration}" title="Seconds to the next keyframe">
+                <select title="Easing to the next keyframe">
+                    <option value="linear">linear</option>
+                    <option value="in">ease in</option>
+                    <option value="out">ease out</option>
+                    <option value="inout">ease in-out</option>
+                </select>
+                <button class="keyframe-delete" title="Remove keyframe">×</button>
+            `;
+
+            const select = row.querySelector('select');
+            select.value = keyframe.easing;
+            row.querySelector('input').addEventListener('change', (e) => {
+                keyframe.duration = Math.max(0.1, parseFloat(e.target.value) || 1);
+            });
+            select.addEventListener('change', (e) => keyframe.easing = e.target.value);
+            row.querySelector('.keyframe-delete').addEventListener('click', () => {
+                this.journey.keyframes.splice(index, 1);
+                this.renderKeyframeList();
+            });
+
+            list.appendChild(row);
+        });
+    }
+
+    // Keyframe path on the parameter-space diagram
+    drawKeyframeOverlay(ctx, width, height) {
+        const keyframes = this.journey.keyframes;
+        const points = keyframes.map(kf => [kf.nx * width, (1 - kf.ny) * height]);
+
+        ctx.strokeStyle = 'rgba(251, 191, 36, 0.8)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+        if (this.journey.playback === 'loop' && points.length > 2) ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        points.forEach(([x, y], i) => {
+            ctx.fillStyle = '#fbbf24';
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#000';
+            ctx.fillText(String(i + 1), x, y + 0.5);
+        });
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Compact text form for share URLs: "nx:ny:duration:easing;..."
+    encodeKeyframes() {
+        return this.journey.keyframes
+            .map(kf => [kf.nx.toFixed(4), kf.ny.toFixed(4), kf.duration, kf.easing].join(':'))
+            .join(';');
+    }
+
+    decodeKeyframes(text) {
+        return text.split(';').map(part => {
+            const [nx, ny, duration, easing] = part.split(':');
+            return {
+                nx: parseFloat(nx),
+                ny: parseFloat(ny),
+                duration: Math.max(0.1, parseFloat(duration) || 4),
+                easing: this.easings[easing] ? easing : 'linear'
+            };
+        }).filter(kf => !isNaN(kf.nx) && !isNaN(kf.ny));
+    }
+
+    animate() {
+        const now = performance.now();
+        const dt = now - this.lastTime;
         this.lastTime = now;
 
         // FPS calculation
@@ -544,13 +1721,31 @@ class TuringSimulation {
             document.getElementById('fpsCounter').textContent = this.fps;
             this.frameCount = 0;
         }
+        document.getElementById('stepCounter').textContent = this.stepCount;
 
-        // Update journey
-        this.updateJourney(dt);
+        const recorder = this.recorder && this.recorder.active ? this.recorder : null;
 
-        // Simulate and render
-        this.simulate();
-        this.render();
+        if (recorder && recorder.fixedTiming) {
+            // Fixed timing: advance a set number of steps per recorded frame,
+            // paced at the output frame rate. Journeys follow video time.
+            if (this.isRunning && recorder.frameDue(now)) {
+                this.updateJourney(recorder.frameInterval);
+                this.simulate(recorder.stepsPerFrame);
+                this.render();
+                recorder.captureFrame(now, this.stepCount);
+            }
+        } else {
+            // Update journey
+            this.updateJourney(dt);
+
+            // Simulate and render
+            this.simulate();
+            this.render();
+
+            if (recorder) recorder.captureFrame(now, this.stepCount);
+        }
+
+        this.updateAnalysis(now);
 
         // Update parameter space display
         this.updateParameterSpaceMarker();
@@ -558,6 +1753,144 @@ class TuringSimulation {
         requestAnimationFrame(() => this.animate());
     }
 
+    // Take an analysis sample when one is due and the simulation has advanced
+    updateAnalysis(now) {
+        const analysis = this.analysis;
+        if (!analysis.enabled || now - analysis.lastTime < analysis.interval) return;
+
+        const last = analysis.samples[analysis.samples.length - 1];
+        if (last && last.step === this.stepCount) return;
+
+        analysis.lastTime = now;
+        const sample = this.analyzeState();
+        analysis.samples.push(sample);
+        if (analysis.samples.length > 2000) analysis.samples.shift();
+
+        this.updateAnalysisReadout(sample);
+        this.drawAnalysisChart();
+    }
+
+    analyzeState() {
+        const n = this.resolution;
+        const field = this.readState();
+        const values = new Float32Array(n * n);
+        for (let i = 0; i < values.length; i++) values[i] = field[i * 2 + 1];
+
+        const result = analyzeField(values, n, {
+            wrap: this.params.boundary === 'periodic',
+            mask: this.domain.hasWalls ? this.domain.mask : null
+        });
+
+        // Mean |ΔB| per 1000 steps since the previous sample; near zero once
+        // a pattern has settled
+        const previous = this.analysis.previous;
+        let change = null;
+        if (previous && this.stepCount > previous.step) {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) sum += Math.abs(values[i] - previous.values[i]);
+            change = sum / values.length / (this.stepCount - previous.step) * 1000;
+        }
+        this.analysis.previous = { step: this.stepCount, values };
+
+        return { step: this.stepCount, ...result, change };
+    }
+
+    clearAnalysis() {
+        this.analysis.samples = [];
+        this.analysis.previous = null;
+        this.updateAnalysisReadout(null);
+        this.drawAnalysisChart();
+    }
+
+    updateAnalysisReadout(sample) {
+        const format = {
+            mean: v => v.toFixed(4),
+            variance: v => v.toExponential(2),
+            coverage: v => `${(v * 100).toFixed(1)}%`,
+            spots: v => v,
+            blobs: v => v,
+            wavelength: v => v ? `${v.toFixed(1)} px` : '—',
+            orientation: (v, s) => s.coherence > 0.3 ? `${v.toFixed(0)}°` : 'isotropic',
+            change: v => v === null ? '—' : v.toExponential(2)
+        };
+
+        Object.entries(format).forEach(([key, fn]) => {
+            const el = document.getElementById(`analysis-${key}`);
+            el.textContent = sample ? fn(sample[key], sample) : '—';
+        });
+    }
+
+    // Time series of the selected metric against simulation steps
+    drawAnalysisChart() {
+        const canvas = document.getElementById('analysisChart');
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const metric = this.analysis.metric;
+        const samples = this.analysis.samples.filter(s => s[metric] !== null);
+        const pad = 24;
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad / 2 + (i / 4) * (height - pad);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+
+        if (samples.length < 2) return;
+
+        const values = samples.map(s => s[metric]);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < 1e-12) {
+            min -= 0.5 * Math.abs(min) || 0.5;
+            max += 0.5 * Math.abs(max) || 0.5;
+        }
+        const first = samples[0].step;
+        const last = samples[samples.length - 1].step;
+
+        const toX = step => ((step - first) / Math.max(1, last - first)) * width;
+        const toY = value => pad / 2 + (1 - (value - min) / (max - min)) * (height - pad);
+
+        ctx.strokeStyle = '#4a9eff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            if (i === 0) ctx.moveTo(toX(s.step), toY(s[metric]));
+            else ctx.lineTo(toX(s.step), toY(s[metric]));
+        });
+        ctx.stroke();
+
+        const label = v => Math.abs(v) >= 100 ? v.toFixed(0) : Math.abs(v) >= 0.01 ? v.toFixed(3) : v.toExponential(1);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '18px monospace';
+        ctx.fillText(label(max), 6, pad / 2 + 18);
+        ctx.fillText(label(min), 6, height - pad / 2 - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(`step ${last}`, width - 6, height - pad / 2 - 6);
+        ctx.textAlign = 'left';
+    }
+
+    exportAnalysisCSV() {
+        const columns = ['step', 'mean', 'variance', 'coverage', 'spots', 'blobs',
+            'wavelength', 'orientation', 'coherence', 'change'];
+        const rows = this.analysis.samples.map(s => columns.map(c => s[c] === null ? '' : s[c]).join(','));
+        const csv = [columns.join(','), ...rows].join('\n');
+
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.download = `turing-analysis-${this.params.system}.csv`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
     setupUI() {
         // Section toggles
         document.querySelectorAll('.section-header').forEach(header => {
@@ -573,9 +1906,8 @@ class TuringSimulation {
 
         // System selection
         document.getElementById('systemSelect').addEventListener('change', (e) => {
-            this.params.system = e.target.value;
-            this.updateSystemDescription();
-            this.populatePresets();
+            this.setSystem(e.target.value);
+            this.seedPattern();
         });
 
         // Parameter sliders
@@ -589,11 +1921,36 @@ class TuringSimulation {
         this.setupSlider('contrast', 'contrast', (v) => this.visual.contrast = v, 'contrastVal');
         this.setupSlider('brightness', 'brightness', (v) => this.visual.brightness = v, 'brightnessVal');
 
-        // Color scheme
+        // Color scheme and gradient editor
+        this.populateColorSchemes();
         document.getElementById('colorScheme').addEventListener('change', (e) => {
-            this.visual.colorScheme = e.target.value;
+            this.setColorScheme(e.target.value);
         });
 
+        this.gradientEditor = new GradientEditor(
+            document.getElementById('gradientBar'),
+            document.getElementById('gradientStopColor'),
+            (stops) => {
+                this.visual.gradient = stops;
+                this.updateGradientTexture();
+            }
+        );
+        this.gradientEditor.setStops(this.visual.gradient);
+
+        document.getElementById('saveSchemeBtn').addEventListener('click', () => this.saveColorScheme());
+        document.getElementById('deleteSchemeBtn').addEventListener('click', () => this.deleteColorScheme());
+
+        document.getElementById('colorMapping').addEventListener('change', (e) => {
+            this.visual.mapping = e.target.value;
+        });
+
+        // Relief shading
+        document.getElementById('reliefEnabled').addEventListener('change', (e) => {
+            this.visual.relief = e.target.checked;
+        });
+        this.setupSlider('reliefHeight', 'reliefHeight', (v) => this.visual.reliefHeight = v, 'reliefHeightVal');
+        this.setupLightPad();
+
         // Tool buttons
         document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -619,23 +1976,122 @@ class TuringSimulation {
             this.updateBrushCursor();
         });
 
+        document.getElementById('stampShape').addEventListener('change', (e) => {
+            this.tool.stampShape = e.target.value;
+        });
+        document.getElementById('stampRotation').addEventListener('input', (e) => {
+            this.tool.stampRotation = parseFloat(e.target.value);
+            document.getElementById('stampRotationVal').textContent = this.tool.stampRotation;
+        });
+
         document.getElementById('brushStrength').addEventListener('input', (e) => {
             this.tool.strength = parseFloat(e.target.value);
             document.getElementById('brushStrengthVal').textContent = this.tool.strength.toFixed(1);
         });
 
+        // Analysis panel
+        document.getElementById('analysisEnabled').addEventListener('change', (e) => {
+            this.analysis.enabled = e.target.checked;
+            this.analysis.lastTime = 0;
+        });
+
+        document.getElementById('analysisInterval').addEventListener('change', (e) => {
+            this.analysis.interval = parseInt(e.target.value);
+        });
+
+        document.getElementById('analysisMetric').addEventListener('change', (e) => {
+            this.analysis.metric = e.target.value;
+            this.drawAnalysisChart();
+        });
+
+        document.getElementById('analysisCsvBtn').addEventListener('click', () => this.exportAnalysisCSV());
+        document.getElementById('analysisClearBtn').addEventListener('click', () => this.clearAnalysis());
+
+        // Anisotropy and flow
+        document.getElementById('anisoMode').addEventListener('change', (e) => this.setAnisotropyMode(e.target.value));
+        document.getElementById('anisoAngle').addEventListener('input', (e) => {
+            this.transport.angle = parseFloat(e.target.value);
+            document.getElementById('anisoAngleVal').textContent = this.transport.angle;
+        });
+        document.getElementById('anisoRatio').addEventListener('input', (e) => {
+            this.transport.ratio = parseFloat(e.target.value);
+            document.getElementById('anisoRatioVal').textContent = this.transport.ratio.toFixed(1);
+        });
+        document.getElementById('resetAngleMapBtn').addEventListener('click', () => this.resetAngleMap());
+        document.getElementById('flowMode').addEventListener('change', (e) => this.setFlowMode(e.target.value));
+        document.getElementById('flowSpeed').addEventListener('input', (e) => {
+            this.transport.flowSpeed = parseFloat(e.target.value);
+            document.getElementById('flowSpeedVal').textContent = this.transport.flowSpeed.toFixed(2);
+        });
+        document.getElementById('flowAngle').addEventListener('input', (e) => {
+            this.transport.flowAngle = parseFloat(e.target.value);
+            document.getElementById('flowAngleVal').textContent = this.transport.flowAngle;
+        });
+
+        // Domain boundaries and walls
+        document.getElementById('boundaryMode').addEventListener('change', (e) => {
+            this.setBoundary(e.target.value);
+        });
+
+        document.getElementById('domainShape').addEventListener('change', (e) => {
+            this.setDomainShape(e.target.value);
+        });
+
+        document.getElementById('maskUploadBtn').addEventListener('click', () => document.getElementById('maskFileInput').click());
+        document.getElementById('maskFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadMaskImage(file);
+        });
+
+        document.getElementById('clearWallsBtn').addEventListener('click', () => this.clearMask());
+
+        // Parameter map
+        document.getElementById('paramMapMode').addEventListener('change', (e) => {
+            this.setParameterMapMode(e.target.value);
+        });
+
+        ['mapXMin', 'mapXMax', 'mapYMin', 'mapYMax'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.paramMap.region = {
+                    x: [parseFloat(document.getElementById('mapXMin').value), parseFloat(document.getElementById('mapXMax').value)],
+                    y: [parseFloat(document.getElementById('mapYMin').value), parseFloat(document.getElementById('mapYMax').value)]
+                };
+                if (this.paramMap.mode === 'gradient' || this.paramMap.mode === 'radial') {
+                    this.buildParameterMap();
+                }
+            });
+        });
+
+        this.setParameterMapRegion(this.getSystem().mapRegion);
+
         // Journey controls
         document.getElementById('journeyType').addEventListener('change', (e) => {
             this.journey.type = e.target.value;
         });
 
         document.getElementById('startJourney').addEventListener('click', () => {
-            this.journey.active = !this.journey.active;
-            this.journey.time = 0;
-            document.getElementById('startJourney').textContent = this.journey.active ? 'Stop Journey' : 'Start Journey';
-            document.getElementById('startJourney').classList.toggle('active', this.journey.active);
+            this.setJourneyActive(!this.journey.active);
         });
 
+        document.getElementById('editKeyframesBtn').addEventListener('click', () => {
+            this.setKeyframeEditing(!this.journey.editing);
+            if (this.journey.editing) {
+                this.journey.type = 'keyframes';
+                document.getElementById('journeyType').value = 'keyframes';
+            }
+        });
+
+        document.getElementById('clearKeyframesBtn').addEventListener('click', () => {
+            this.journey.keyframes = [];
+            this.renderKeyframeList();
+        });
+
+        document.getElementById('journeyPlayback').addEventListener('change', (e) => {
+            this.journey.playback = e.target.value;
+        });
+        this.renderKeyframeList();
+
         document.getElementById('journeySpeed').addEventListener('input', (e) => {
             this.journey.speed = parseFloat(e.target.value);
             document.getElementById('journeySpeedVal').textContent = this.journey.speed.toFixed(1);
@@ -644,6 +2100,49 @@ class TuringSimulation {
         // Playback controls
         document.getElementById('playPauseBtn').addEventListener('click', () => this.togglePause());
         document.getElementById('resetBtn').addEventListener('click', () => this.seedPattern());
+        document.getElementById('seedInput').value = this.seed;
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            this.seed = (parseInt(e.target.value) || 0) >>> 0;
+            e.target.value = this.seed;
+            this.seedPattern();
+        });
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            this.seed = Math.floor(Math.random() * 4294967296);
+            document.getElementById('seedInput').value = this.seed;
+            this.seedPattern();
+        });
+        // Seed source
+        document.getElementById('seedSource').addEventListener('change', (e) => {
+            this.setSeedSourceType(e.target.value);
+            this.seedPattern();
+        });
+        document.getElementById('seedImageBtn').addEventListener('click', () => document.getElementById('seedImageInput').click());
+        document.getElementById('seedImageInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadSeedImage(file);
+        });
+        document.getElementById('seedText').addEventListener('change', (e) => {
+            this.seedSource.text = e.target.value;
+            this.seedPattern();
+        });
+        document.getElementById('seedMode').addEventListener('change', (e) => {
+            this.seedSource.mode = e.target.value;
+            document.getElementById('seedThresholdControl').hidden = e.target.value !== 'threshold';
+            this.seedPattern();
+        });
+        document.getElementById('seedThreshold').addEventListener('change', (e) => {
+            this.seedSource.threshold = parseFloat(e.target.value);
+            this.seedPattern();
+        });
+        document.getElementById('seedThreshold').addEventListener('input', (e) => {
+            document.getElementById('seedThresholdVal').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        document.getElementById('seedInvert').addEventListener('change', (e) => {
+            this.seedSource.invert = e.target.checked;
+            this.seedPattern();
+        });
+
         document.getElementById('stepBtn').addEventListener('click', () => {
             if (!this.isRunning) {
                 this.simulate();
@@ -651,13 +2150,27 @@ class TuringSimulation {
             }
         });
 
+        // Recording
+        document.getElementById('recordTiming').addEventListener('change', (e) => {
+            document.getElementById('recordStepsControl').style.display = e.target.value === 'fixed' ? '' : 'none';
+        });
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+
         // Export
         document.getElementById('exportBtn').addEventListener('click', () => this.exportImage());
         document.getElementById('shareBtn').addEventListener('click', () => this.copyShareURL());
+        document.getElementById('saveStateBtn').addEventListener('click', () => this.saveState());
+        document.getElementById('loadStateBtn').addEventListener('click', () => document.getElementById('stateFileInput').click());
+        document.getElementById('stateFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadState(file);
+        });
 
         // Canvas interactions
         this.canvas.addEventListener('mousedown', (e) => {
             this.isMouseDown = true;
+            this.transport.lastPaint = null;
             this.handleCanvasInteraction(e);
         });
 
@@ -669,7 +2182,11 @@ class TuringSimulation {
         });
 
         this.canvas.addEventListener('mouseup', () => this.isMouseDown = false);
-        this.canvas.addEventListener('mouseleave', () => this.isMouseDown = false);
+        this.canvas.addEventListener('mouseleave', () => {
+            this.isMouseDown = false;
+            this.paramMap.cursor = null;
+            this.updateParameterMapInfo();
+        });
 
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
@@ -728,25 +2245,96 @@ class TuringSimulation {
         document.getElementById('feedRateNum').value = this.params.feedRate.toFixed(4);
         document.getElementById('killRate').value = this.params.killRate;
         document.getElementById('killRateNum').value = this.params.killRate.toFixed(4);
+        document.getElementById('diffusionA').value = this.params.diffusionA;
+        document.getElementById('diffusionANum').value = this.params.diffusionA;
+        document.getElementById('diffusionB').value = this.params.diffusionB;
+        document.getElementById('diffusionBNum').value = this.params.diffusionB;
         document.getElementById('currentF').textContent = this.params.feedRate.toFixed(4);
         document.getElementById('currentK').textContent = this.params.killRate.toFixed(4);
     }
 
+    getSystem() {
+        return this.systems[this.params.system] || this.systems['gray-scott'];
+    }
+
+    setSystem(name) {
+        if (!this.systems[name]) name = 'gray-scott';
+        this.params.system = name;
+        const system = this.systems[name];
+
+        // Reset to the model's defaults
+        this.params.feedRate = system.defaults[system.params[0].key];
+        this.params.killRate = system.defaults[system.params[1].key];
+        this.params.diffusionA = system.diffusionA.value;
+        this.params.diffusionB = system.diffusionB.value;
+        this.journey.targetF = undefined;
+        this.renderKeyframeList();
+
+        document.getElementById('systemSelect').value = name;
+        document.getElementById('patternName').textContent = system.name;
+        this.setParameterMapRegion(system.mapRegion);
+        if (this.paramMap.mode !== 'off') this.buildParameterMap();
+        if (this.phaseSweep) this.finishPhaseSweep(false);
+        document.getElementById('phaseSteps').value = system.sweepSteps;
+        this.updateSystemControls();
+        this.updateSystemDescription();
+        this.populatePresets();
+        this.updateUIFromParams();
+        this.updateParameterSpaceMarker();
+    }
+
+    updateSystemControls() {
+        const system = this.getSystem();
+        const setRange = (id, range) => {
+            for (const el of [document.getElementById(id), document.getElementById(id + 'Num')].filter(Boolean)) {
+                el.min = range.min;
+                el.max = range.max;
+                el.step = range.step;
+            }
+        };
+
+        setRange('feedRate', system.params[0]);
+        setRange('killRate', system.params[1]);
+        setRange('diffusionA', system.diffusionA);
+        setRange('diffusionB', system.diffusionB);
+        ['mapXMin', 'mapXMax'].forEach(id => setRange(id, system.params[0]));
+        ['mapYMin', 'mapYMax'].forEach(id => setRange(id, system.params[1]));
+
+        document.getElementById('feedRateLabel').textContent = system.params[0].label;
+        document.getElementById('killRateLabel').textContent = system.params[1].label;
+        document.getElementById('currentFSymbol').textContent = system.params[0].symbol;
+        document.getElementById('currentKSymbol').textContent = system.params[1].symbol;
+        document.getElementById('mapXLabel').textContent = `${system.params[0].symbol} range`;
+        document.getElementById('mapYLabel').textContent = `${system.params[1].symbol} range`;
+    }
+
+    // Map model parameters to normalized [0, 1] parameter-space coordinates
+    toParameterSpace(f, k) {
+        const { x, y } = this.getSystem().space;
+        return [(f - x[0]) / (x[1] - x[0]), (k - y[0]) / (y[1] - y[0])];
+    }
+
+    fromParameterSpace(nx, ny) {
+        const { x, y } = this.getSystem().space;
+        return [x[0] + nx * (x[1] - x[0]), y[0] + ny * (y[1] - y[0])];
+    }
+
     populatePresets() {
         const grid = document.getElementById('presetGrid');
         const presets = this.presets[this.params.system] || this.presets['gray-scott'];
+        const [paramF, paramK] = this.getSystem().params;
 
         grid.innerHTML = presets.map((p, i) => `
-            <button class="preset-btn" data-index="${i}" title="F: ${p.f}, K: ${p.k}">
+            <button class="preset-btn" data-index="${i}" title="${paramF.symbol}: ${p[paramF.key]}, ${paramK.symbol}: ${p[paramK.key]}">
                 <span class="preset-name">${p.name}</span>
-                <span class="preset-values">${p.f}/${p.k}</span>
+                <span class="preset-values">${p[paramF.key]}/${p[paramK.key]}</span>
             </button>
         `).join('');
 
         grid.querySelectorAll('.preset-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 const preset = presets[parseInt(btn.dataset.index)];
-                this.animateToParams(preset.f, preset.k);
+                this.animateToParams(preset[paramF.key], preset[paramK.key]);
 
                 grid.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
@@ -780,12 +2368,7 @@ class TuringSimulation {
     }
 
     updateSystemDescription() {
-        const descriptions = {
-            'gray-scott': 'Classic reaction-diffusion system with feed (F) and kill (K) parameters.',
-            'brusselator': 'Two-variable autocatalytic system producing oscillations and patterns.',
-            'schnakenberg': 'Simplified activator-inhibitor model for pattern formation.'
-        };
-        document.getElementById('systemDescription').textContent = descriptions[this.params.system];
+        document.getElementById('systemDescription').textContent = this.getSystem().description;
     }
 
     setupParameterSpace() {
@@ -795,87 +2378,388 @@ class TuringSimulation {
         // Draw parameter space background
         this.drawParameterSpace(ctx, canvas.width, canvas.height);
 
-        // Click to set parameters
+        // Click to set parameters (snapping to the cell of a computed map)
         canvas.addEventListener('click', (e) => {
             const rect = canvas.getBoundingClientRect();
             const x = (e.clientX - rect.left) / rect.width;
             const y = 1 - (e.clientY - rect.top) / rect.height;
 
-            const f = x * 0.08;
-            const k = y * 0.08;
+            if (this.journey.editing) {
+                this.addKeyframe(x, y);
+                return;
+            }
+
+            const cell = this.getPhaseMapCell(x, y);
+            const [f, k] = cell ? [cell.f, cell.k] : this.fromParameterSpace(x, y);
 
             this.animateToParams(f, k);
+            if (cell) {
+                document.getElementById('patternName').textContent = `${this.getSystem().name} • ${cell.label}`;
+            }
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const cell = this.getPhaseMapCell(
+                (e.clientX - rect.left) / rect.width,
+                1 - (e.clientY - rect.top) / rect.height
+            );
+            this.phaseMapHover = cell ? this.phaseMap.cells.indexOf(cell) : -1;
+            this.updatePhaseMapInfo(cell);
+        });
+
+        canvas.addEventListener('mouseleave', () => {
+            this.phaseMapHover = -1;
+            this.updatePhaseMapInfo(null);
+        });
+
+        document.getElementById('computeMapBtn').addEventListener('click', () => this.computePhaseMap());
+        document.getElementById('clearMapBtn').addEventListener('click', () => {
+            this.phaseMap = null;
+            this.updatePhaseMapInfo(null);
         });
     }
 
     drawParameterSpace(ctx, width, height) {
-        // Create gradient showing different pattern regions
-        const imageData = ctx.createImageData(width, height);
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const f = (x / width) * 0.08;
-                const k = (1 - y / height) * 0.08;
-
-                // Approximate pattern regions
-                let r, g, b;
-
-                const ratio = k / (f + 0.001);
-
-                if (f < 0.02 || k < 0.03) {
-                    // Uniform/empty
-                    r = 40; g = 40; b = 50;
-                } else if (ratio > 1.5 && ratio < 2.5) {
-                    // Spots region
-                    r = 200; g = 180; b = 50;
-                } else if (ratio > 1.2 && ratio < 1.5) {
-                    // Stripes region
-                    r = 200; g = 120; b = 50;
-                } else if (f > 0.04 && k > 0.06) {
-                    // Maze region
-                    r = 180; g = 60; b = 60;
-                } else if (f < 0.025 && k > 0.04) {
-                    // Spiral region
-                    r = 120; g = 60; b = 160;
-                } else {
-                    // Mixed/transition
-                    r = 80; g = 80; b = 100;
+        const system = this.getSystem();
+
+        // The region map only depends on the system (and, for the linear
+        // stability maps, the diffusion ratio), so cache it between frames
+        const cacheKey = system.jacobian
+            ? `${this.params.system}:${this.params.diffusionA}:${this.params.diffusionB}`
+            : this.params.system;
+
+        if (!this.parameterSpaceCache || this.parameterSpaceCache.key !== cacheKey) {
+            const imageData = ctx.createImageData(width, height);
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const [f, k] = this.fromParameterSpace(x / width, 1 - y / height);
+                    const [r, g, b] = system.jacobian
+                        ? this.stabilityRegionColor(system, f, k)
+                        : this.grayScottRegionColor(f, k);
+
+                    const i = (y * width + x) * 4;
+                    imageData.data[i] = r;
+                    imageData.data[i + 1] = g;
+                    imageData.data[i + 2] = b;
+                    imageData.data[i + 3] = 255;
                 }
-
-                const i = (y * width + x) * 4;
-                imageData.data[i] = r;
-                imageData.data[i + 1] = g;
-                imageData.data[i + 2] = b;
-                imageData.data[i + 3] = 255;
             }
+
+            this.parameterSpaceCache = { key: cacheKey, imageData };
         }
 
-        ctx.putImageData(imageData, 0, 0);
+        const phaseMap = this.phaseMap && this.phaseMap.system === this.params.system ? this.phaseMap : null;
 
-        // Add grid lines
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-        ctx.lineWidth = 1;
+        if (phaseMap) {
+            this.drawPhaseMap(ctx, width, height, phaseMap);
+        } else {
+            ctx.putImageData(this.parameterSpaceCache.imageData, 0, 0);
 
-        for (let i = 0; i <= 8; i++) {
-            const x = (i / 8) * width;
-            const y = (i / 8) * height;
+            // Add grid lines
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.lineWidth = 1;
 
-            ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
-            ctx.stroke();
+            for (let i = 0; i <= 8; i++) {
+                const x = (i / 8) * width;
+                const y = (i / 8) * height;
 
-            ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(width, y);
-            ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+                ctx.stroke();
+            }
         }
 
-        // Labels
+        // Axis labels and ranges for the selected model
+        const [paramF, paramK] = system.params;
+        const { x: rangeX, y: rangeY } = system.space;
         ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.font = '10px Inter';
-        ctx.fillText('F →', width - 25, height - 5);
-        ctx.fillText('K ↑', 5, 12);
+        ctx.fillText(`${paramF.symbol} →`, width - 25, height - 5);
+        ctx.fillText(`${paramK.symbol} ↑`, 5, 12);
+        ctx.fillText(String(rangeX[0]), 5, height - 5);
+        ctx.fillText(String(rangeX[1]), width - 31 - ctx.measureText(String(rangeX[1])).width, height - 5);
+        ctx.fillText(String(rangeY[1]), 5, 24);
+    }
+
+    // Atlas of sweep thumbnails with each cell outlined in its class color
+    drawPhaseMap(ctx, width, height, phaseMap) {
+        const cellW = width / phaseMap.cols;
+        const cellH = height / phaseMap.rows;
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(phaseMap.image, 0, 0, width, height);
+
+        ctx.lineWidth = 1;
+        phaseMap.cells.forEach((cell, index) => {
+            const x = cell.col * cellW;
+            const y = height - (cell.row + 1) * cellH;
+            ctx.strokeStyle = this.phaseColors[cell.label];
+            ctx.globalAlpha = index === this.phaseMapHover ? 1 : 0.6;
+            ctx.strokeRect(x + 0.5, y + 0.5, cellW - 1, cellH - 1);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    getPhaseMapCell(nx, ny) {
+        const phaseMap = this.phaseMap;
+        if (!phaseMap || phaseMap.system !== this.params.system) return null;
+        if (nx < 0 || nx >= 1 || ny < 0 || ny >= 1) return null;
+
+        const col = Math.floor(nx * phaseMap.cols);
+        const row = Math.floor(ny * phaseMap.rows);
+        return phaseMap.cells[row * phaseMap.cols + col];
+    }
+
+    updatePhaseMapInfo(cell) {
+        const info = document.getElementById('phaseMapInfo');
+        if (!cell) {
+            info.textContent = '';
+            return;
+        }
+
+        const [paramF, paramK] = this.getSystem().params;
+        info.textContent = `${paramF.symbol}=${cell.f.toFixed(4)}, ${paramK.symbol}=${cell.k.toFixed(4)} • ${cell.label}`;
+    }
+
+    /**
+     * Run a grid of small simulations across the visible parameter space on
+     * the GPU, then classify each one. All cells live in one atlas texture;
+     * the simulation shader wraps each cell into its own periodic domain and
+     * reads its parameters from a per-texel parameter map.
+     */
+    computePhaseMap() {
+        if (this.phaseSweep) {
+            this.finishPhaseSweep(false);
+            return;
+        }
+
+        const gl = this.gl;
+        const system = this.getSystem();
+        const [cols, rows] = document.getElementById('phaseGrid').value.split('x').map(Number);
+        const steps = Math.max(200, parseInt(document.getElementById('phaseSteps').value) || system.sweepSteps);
+        const cell = 40;
+        const width = cols * cell;
+        const height = rows * cell;
+        const byteFormat = { internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, linear: false };
+
+        const sweep = {
+            system: this.params.system, cols, rows, cell, width, height, steps,
+            step: 0,
+            current: 0,
+            snapshot: null
+        };
+        sweep.textures = [this.createTexture(this.stateFormat, width, height), this.createTexture(this.stateFormat, width, height)];
+        sweep.framebuffers = sweep.textures.map(texture => this.createFramebuffer(texture));
+        sweep.mapTexture = this.createTexture(byteFormat, width, height);
+        if (!this.stateFormat.readFloat && !this.stateFormat.packed) {
+            sweep.readbackTexture = this.createTexture(byteFormat, width, height);
+            sweep.readbackFramebuffer = this.createFramebuffer(sweep.readbackTexture);
+        }
+
+        // Per-texel parameters and a seeded starting state for every cell
+        const params = new Float32Array(width * height * 2);
+        const field = new Float32Array(width * height * 2);
+        const random = createRandom(this.seed);
+        const seedRadius = cell / 6;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const nx = (col + 0.5) / cols;
+                const ny = (row + 0.5) / rows;
+                const [f, k] = this.fromParameterSpace(nx, ny);
+                const seed = system.seed(f, k);
+
+                for (let y = 0; y < cell; y++) {
+                    for (let x = 0; x < cell; x++) {
+                        const i = ((row * cell + y) * width + col * cell + x) * 2;
+                        const dx = x - cell / 2;
+                        const dy = y - cell / 2;
+                        const patch = dx * dx + dy * dy < seedRadius * seedRadius || random() < 0.02;
+                        const values = patch ? seed.patch : seed.base;
+
+                        params[i] = nx;
+                        params[i + 1] = ny;
+                        field[i] = values[0] / system.scale[0];
+                        field[i + 1] = values[1] / system.scale[1];
+                    }
+                }
+            }
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, sweep.mapTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.packField(params));
+        this.uploadField(sweep.textures[0], field, width, height);
+
+        this.phaseSweep = sweep;
+        document.getElementById('computeMapBtn').textContent = 'Cancel';
+        requestAnimationFrame(() => this.advancePhaseSweep());
+    }
+
+    advancePhaseSweep() {
+        const sweep = this.phaseSweep;
+        if (!sweep) return;
+
+        // Snapshot shortly before the end to measure how much cells still change
+        const snapshotAt = Math.max(0, sweep.steps - 200);
+        const chunk = 100;
+
+        for (let i = 0; i < chunk && sweep.step < sweep.steps; i++) {
+            if (sweep.step === snapshotAt) sweep.snapshot = this.readPhaseSweep(sweep);
+
+            this.stepState(sweep.textures[sweep.current], sweep.framebuffers[1 - sweep.current],
+                sweep.width, sweep.height, sweep.mapTexture, sweep.cell);
+            sweep.current = 1 - sweep.current;
+            sweep.step++;
+        }
+
+        const percent = Math.round(sweep.step / sweep.steps * 100);
+        document.getElementById('phaseMapStatus').textContent = `Computing… ${percent}% (${sweep.step}/${sweep.steps} steps)`;
+
+        if (sweep.step < sweep.steps) {
+            requestAnimationFrame(() => this.advancePhaseSweep());
+        } else {
+            this.finishPhaseSweep(true);
+        }
+    }
+
+    // Chemical B of every atlas texel
+    readPhaseSweep(sweep) {
+        const field = this.readField(sweep.framebuffers[sweep.current], sweep.textures[sweep.current],
+            sweep.width, sweep.height, sweep.readbackFramebuffer);
+        const values = new Float32Array(sweep.width * sweep.height);
+        for (let i = 0; i < values.length; i++) values[i] = field[i * 2 + 1];
+        return values;
+    }
+
+    finishPhaseSweep(completed) {
+        const sweep = this.phaseSweep;
+        const gl = this.gl;
+
+        if (completed) {
+            const final = this.readPhaseSweep(sweep);
+            const size = sweep.cell;
+            const cells = [];
+
+            for (let row = 0; row < sweep.rows; row++) {
+                for (let col = 0; col < sweep.cols; col++) {
+                    const current = new Float32Array(size * size);
+                    const previous = new Float32Array(size * size);
+                    for (let y = 0; y < size; y++) {
+                        const offset = (row * size + y) * sweep.width + col * size;
+                        current.set(final.subarray(offset, offset + size), y * size);
+                        previous.set(sweep.snapshot.subarray(offset, offset + size), y * size);
+                    }
+
+                    const [f, k] = this.fromParameterSpace((col + 0.5) / sweep.cols, (row + 0.5) / sweep.rows);
+                    cells.push({ col, row, f, k, label: classifyPattern(current, previous, size) });
+                }
+            }
+
+            this.phaseMap = {
+                system: sweep.system,
+                cols: sweep.cols,
+                rows: sweep.rows,
+                cells,
+                image: this.colorizeField(final, sweep.width, sweep.height)
+            };
+
+            const counts = {};
+            cells.forEach(c => counts[c.label] = (counts[c.label] || 0) + 1);
+            document.getElementById('phaseMapStatus').textContent =
+                Object.entries(counts).map(([label, n]) => `${label}: ${n}`).join(' • ');
+        } else {
+            document.getElementById('phaseMapStatus').textContent = 'Cancelled';
+        }
+
+        sweep.textures.forEach(t => gl.deleteTexture(t));
+        sweep.framebuffers.forEach(fb => gl.deleteFramebuffer(fb));
+        gl.deleteTexture(sweep.mapTexture);
+        if (sweep.readbackTexture) {
+            gl.deleteTexture(sweep.readbackTexture);
+            gl.deleteFramebuffer(sweep.readbackFramebuffer);
+        }
+
+        this.phaseSweep = null;
+        document.getElementById('computeMapBtn').textContent = 'Compute Map';
+    }
+
+    // Render B values with the current color scheme into a canvas (flipped so
+    // texel row 0 ends up at the bottom)
+    colorizeField(values, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let value = values[y * width + x];
+                value = ((value - 0.5) * this.visual.contrast + 0.5) * this.visual.brightness;
+                value = Math.max(0, Math.min(1, value));
+
+                const i = ((height - 1 - y) * width + x) * 4;
+                const lut = Math.round(value * 255) * 4;
+                image.data[i] = this.gradientLUT[lut];
+                image.data[i + 1] = this.gradientLUT[lut + 1];
+                image.data[i + 2] = this.gradientLUT[lut + 2];
+                image.data[i + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    // Approximate Gray-Scott pattern regions
+    grayScottRegionColor(f, k) {
+        const ratio = k / (f + 0.001);
+
+        if (f < 0.02 || k < 0.03) {
+            // Uniform/empty
+            return [40, 40, 50];
+        } else if (ratio > 1.5 && ratio < 2.5) {
+            // Spots region
+            return [200, 180, 50];
+        } else if (ratio > 1.2 && ratio < 1.5) {
+            // Stripes region
+            return [200, 120, 50];
+        } else if (f > 0.04 && k > 0.06) {
+            // Maze region
+            return [180, 60, 60];
+        } else if (f < 0.025 && k > 0.04) {
+            // Spiral region
+            return [120, 60, 160];
+        }
+        // Mixed/transition
+        return [80, 80, 100];
+    }
+
+    // Linear stability of the homogeneous steady state: Turing (diffusion-driven)
+    // instability, Hopf (oscillatory) instability, both, or stable
+    stabilityRegionColor(system, f, k) {
+        const [fu, fv, gu, gv] = system.jacobian(f, k);
+        const du = this.params.diffusionB; // activator
+        const dv = this.params.diffusionA; // inhibitor
+        const trace = fu + gv;
+        const det = fu * gv - fv * gu;
+        const q = dv * fu + du * gv;
+
+        const turing = det > 0 && q > 0 && q * q > 4 * du * dv * det;
+        const hopf = trace > 0;
+
+        if (turing && hopf) return [180, 60, 60];   // Turing-Hopf
+        if (turing) return [200, 180, 50];          // Turing patterns
+        if (hopf) return [120, 60, 160];            // Oscillations / waves
+        return [40, 40, 50];                        // Uniform
     }
 
     updateParameterSpaceMarker() {
@@ -886,8 +2770,9 @@ class TuringSimulation {
         this.drawParameterSpace(ctx, canvas.width, canvas.height);
 
         // Draw current position
-        const x = (this.params.feedRate / 0.08) * canvas.width;
-        const y = (1 - this.params.killRate / 0.08) * canvas.height;
+        const [nx, ny] = this.toParameterSpace(this.params.feedRate, this.params.killRate);
+        const x = nx * canvas.width;
+        const y = (1 - ny) * canvas.height;
 
         // Crosshair
         ctx.strokeStyle = 'white';
@@ -907,6 +2792,43 @@ class TuringSimulation {
         ctx.stroke();
         ctx.fillStyle = 'rgba(74, 158, 255, 0.5)';
         ctx.fill();
+
+        if (this.paramMap.mode !== 'off') {
+            this.drawParameterMapOverlay(ctx, canvas.width, canvas.height);
+        }
+
+        if (this.journey.keyframes.length > 0 && (this.journey.type === 'keyframes' || this.journey.editing)) {
+            this.drawKeyframeOverlay(ctx, canvas.width, canvas.height);
+        }
+    }
+
+    drawParameterMapOverlay(ctx, width, height) {
+        // Region covered by the generated gradient/radial maps
+        if (this.paramMap.mode === 'gradient' || this.paramMap.mode === 'radial') {
+            const { x: rx, y: ry } = this.paramMap.region;
+            const [x0, y0] = this.toParameterSpace(rx[0], ry[0]);
+            const [x1, y1] = this.toParameterSpace(rx[1], ry[1]);
+
+            ctx.save();
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x0 * width, (1 - y1) * height, (x1 - x0) * width, (y1 - y0) * height);
+            ctx.restore();
+        }
+
+        // Parameters under the simulation cursor
+        const cursor = this.paramMap.cursor;
+        if (cursor) {
+            const x = cursor[0] * width;
+            const y = (1 - cursor[1]) * height;
+
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.strokeStyle = '#fbbf24';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
     }
 
     handleCanvasInteraction(e) {
@@ -925,17 +2847,349 @@ class TuringSimulation {
             this.tool.chemical = origChemical;
         } else if (this.tool.type === 'stamp') {
             this.applyStamp(x, y);
+        } else if (this.tool.type === 'param') {
+            this.paintParameterMap(x, y);
+        } else if (this.tool.type === 'wall') {
+            this.paintWall(x, y, !e.shiftKey);
+        } else if (this.tool.type === 'angle') {
+            this.paintAngleMap(x, y);
         }
     }
 
-    applyStamp(x, y) {
-        // Add a circular seed at the clicked position
+    setAnisotropyMode(mode) {
+        this.transport.anisotropy = mode;
+        document.getElementById('anisoMode').value = mode;
+        if (mode === 'map' && !this.transport.angleField) this.resetAngleMap();
+    }
+
+    // Fill the angle map with the global angle
+    resetAngleMap() {
+        const n = this.resolution;
+        this.transport.angleField = new Float32Array(n * n * 2).fill((this.transport.angle % 180) / 180);
+        this.uploadAngleMap();
+    }
+
+    uploadAngleMap() {
         const gl = this.gl;
-        const data = new Uint8Array(this.resolution * this.resolution * 4);
+        gl.bindTexture(gl.TEXTURE_2D, this.angleMapTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.resolution, this.resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            this.packField(this.transport.angleField));
+    }
+
+    // Paint diffusion angles along the stroke direction (the global angle
+    // where the stroke starts)
+    paintAngleMap(x, y) {
+        if (this.transport.anisotropy !== 'map') this.setAnisotropyMode('map');
+
+        const n = this.resolution;
+        const last = this.transport.lastPaint;
+        this.transport.lastPaint = { x, y };
+
+        let angle = this.transport.angle;
+        if (last) {
+            const dx = x - last.x;
+            const dy = y - last.y;
+            if (Math.hypot(dx, dy) < 1) return;
+            // Screen y points down, texel rows up
+            angle = Math.atan2(-dy, dx) * 180 / Math.PI;
+        }
+        const value = (((angle % 180) + 180) % 180) / 180;
+
+        const field = this.transport.angleField;
+        const radius = this.tool.size;
+        const cy = n - y;
+        for (let py = Math.max(0, Math.floor(cy - radius)); py < Math.min(n, Math.ceil(cy + radius)); py++) {
+            for (let px = Math.max(0, Math.floor(x - radius)); px < Math.min(n, Math.ceil(x + radius)); px++) {
+                if (Math.hypot(px + 0.5 - x, py + 0.5 - cy) < radius) {
+                    field[(py * n + px) * 2] = value;
+                }
+            }
+        }
+
+        this.uploadAngleMap();
+    }
+
+    setFlowMode(mode) {
+        this.transport.flow = mode;
+        document.getElementById('flowMode').value = mode;
+        document.getElementById('flowAngleControl').hidden = mode !== 'drift';
+    }
+
+    // Fixed (Dirichlet) value: the system's homogeneous state, stored normalized
+    getBoundaryValue() {
+        const system = this.getSystem();
+        const base = system.seed(this.params.feedRate, this.params.killRate).base;
+        return [base[0] / system.scale[0], base[1] / system.scale[1]];
+    }
+
+    setBoundary(boundary) {
+        if (!['periodic', 'neumann', 'dirichlet'].includes(boundary)) boundary = 'periodic';
+        this.params.boundary = boundary;
+        document.getElementById('boundaryMode').value = boundary;
+    }
+
+    uploadMask() {
+        const gl = this.gl;
+        const n = this.resolution;
+        const mask = this.domain.mask;
+        const data = new Uint8Array(n * n * 4);
+        let hasWalls = false;
+
+        if (mask) {
+            for (let i = 0; i < mask.length; i++) {
+                if (mask[i]) {
+                    data[i * 4] = 255;
+                    hasWalls = true;
+                }
+            }
+        }
+
+        this.domain.hasWalls = hasWalls;
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, n, n, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    }
+
+    // Add or remove walls in a disc under the brush
+    paintWall(x, y, add) {
+        const n = this.resolution;
+        if (!this.domain.mask) this.domain.mask = new Uint8Array(n * n);
+
+        const mask = this.domain.mask;
+        const radius = this.tool.size;
+        const cy = n - y;
+
+        for (let py = Math.max(0, Math.floor(cy - radius)); py < Math.min(n, Math.ceil(cy + radius)); py++) {
+            for (let px = Math.max(0, Math.floor(x - radius)); px < Math.min(n, Math.ceil(x + radius)); px++) {
+                if (Math.hypot(px + 0.5 - x, py + 0.5 - cy) < radius) {
+                    mask[py * n + px] = add ? 1 : 0;
+                }
+            }
+        }
+
+        this.uploadMask();
+    }
 
-        // Read current state
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentTexture]);
-        gl.readPixels(0, 0, this.resolution, this.resolution, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    clearMask() {
+        this.domain.mask = null;
+        this.domain.shape = 'none';
+        document.getElementById('domainShape').value = 'none';
+        this.uploadMask();
+    }
+
+    // Built-in domain shapes; everything outside the shape becomes wall
+    setDomainShape(shape) {
+        const n = this.resolution;
+        this.domain.shape = shape;
+        document.getElementById('domainShape').value = shape;
+
+        if (shape === 'none') {
+            this.clearMask();
+            return;
+        }
+
+        const mask = new Uint8Array(n * n);
+        for (let py = 0; py < n; py++) {
+            for (let px = 0; px < n; px++) {
+                const u = (px + 0.5) / n - 0.5;
+                const v = (py + 0.5) / n - 0.5;
+                const r = Math.hypot(u, v);
+                let inside;
+
+                if (shape === 'disc') {
+                    inside = r < 0.45;
+                } else if (shape === 'ring') {
+                    inside = r < 0.45 && r > 0.22;
+                } else if (shape === 'tail') {
+                    // Tapered tail: wide at the left, narrowing to the right
+                    const t = (u + 0.5) / 0.95;
+                    inside = t < 1 && Math.abs(v) < 0.3 * (1 - t) + 0.02;
+                }
+
+                mask[py * n + px] = inside ? 0 : 1;
+            }
+        }
+
+        this.domain.mask = mask;
+        this.uploadMask();
+    }
+
+    // Load a mask image: dark pixels become walls (or light ones when inverted)
+    loadMaskImage(file) {
+        const invert = document.getElementById('maskInvert').checked;
+        const image = new Image();
+        const url = URL.createObjectURL(file);
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const n = this.resolution;
+            const canvas = document.createElement('canvas');
+            canvas.width = n;
+            canvas.height = n;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, n, n);
+            ctx.drawImage(image, 0, 0, n, n);
+            const pixels = ctx.getImageData(0, 0, n, n).data;
+
+            // Image rows run top to bottom, texel rows bottom to top
+            const mask = new Uint8Array(n * n);
+            for (let py = 0; py < n; py++) {
+                for (let px = 0; px < n; px++) {
+                    const i = ((n - 1 - py) * n + px) * 4;
+                    const luminance = (0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]) / 255;
+                    mask[py * n + px] = (luminance < 0.5) !== invert ? 1 : 0;
+                }
+            }
+
+            this.domain.mask = mask;
+            this.domain.shape = 'image';
+            document.getElementById('domainShape').value = 'none';
+            this.uploadMask();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Could not load the mask image.');
+        };
+        image.src = url;
+    }
+
+    setParameterMapMode(mode) {
+        const previous = this.paramMap.mode;
+        this.paramMap.mode = mode;
+        document.getElementById('paramMapMode').value = mode;
+
+        // Painting starts from whatever map is showing, or from the sliders
+        if (mode === 'gradient' || mode === 'radial' || (mode === 'painted' && previous === 'off')) {
+            this.buildParameterMap();
+        }
+        if (mode === 'off') {
+            this.paramMap.cursor = null;
+            this.updateParameterMapInfo();
+        }
+        this.updateParameterSpaceMarker();
+    }
+
+    setParameterMapRegion(region) {
+        this.paramMap.region = { x: [...region.x], y: [...region.y] };
+        document.getElementById('mapXMin').value = region.x[0];
+        document.getElementById('mapXMax').value = region.x[1];
+        document.getElementById('mapYMin').value = region.y[0];
+        document.getElementById('mapYMax').value = region.y[1];
+    }
+
+    // Fill the parameter map for the current mode. Texel rows run bottom to
+    // top, so K increases upwards like in the parameter-space diagram.
+    buildParameterMap() {
+        const n = this.resolution;
+        const field = new Float32Array(n * n * 2);
+        const { x: rx, y: ry } = this.paramMap.region;
+        const [x0, y0] = this.toParameterSpace(rx[0], ry[0]);
+        const [x1, y1] = this.toParameterSpace(rx[1], ry[1]);
+        const [cf, ck] = this.toParameterSpace(this.params.feedRate, this.params.killRate);
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const u = (i + 0.5) / n;
+                const v = (j + 0.5) / n;
+                let tx, ty;
+
+                if (this.paramMap.mode === 'gradient') {
+                    // Pearson map: F left to right, K bottom to top
+                    tx = u;
+                    ty = v;
+                } else if (this.paramMap.mode === 'radial') {
+                    // F grows with radius, K with angle (mirrored so it stays continuous)
+                    const dx = u - 0.5;
+                    const dy = v - 0.5;
+                    tx = Math.min(1, Math.sqrt(dx * dx + dy * dy) / 0.5);
+                    ty = Math.abs(Math.atan2(dy, dx)) / Math.PI;
+                }
+
+                const idx = (j * n + i) * 2;
+                if (tx === undefined) {
+                    field[idx] = cf;
+                    field[idx + 1] = ck;
+                } else {
+                    field[idx] = x0 + tx * (x1 - x0);
+                    field[idx + 1] = y0 + ty * (y1 - y0);
+                }
+            }
+        }
+
+        this.paramMap.field = field;
+        this.uploadParameterMap();
+    }
+
+    uploadParameterMap() {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.paramMapTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.resolution, this.resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            this.packField(this.paramMap.field));
+    }
+
+    // Blend the current slider parameters into the map under the brush
+    paintParameterMap(x, y) {
+        if (this.paramMap.mode !== 'painted') this.setParameterMapMode('painted');
+
+        const n = this.resolution;
+        const field = this.paramMap.field;
+        const [tf, tk] = this.toParameterSpace(this.params.feedRate, this.params.killRate);
+        const radius = this.tool.size;
+        const cy = n - y;
+
+        for (let py = Math.max(0, Math.floor(cy - radius)); py < Math.min(n, Math.ceil(cy + radius)); py++) {
+            for (let px = Math.max(0, Math.floor(x - radius)); px < Math.min(n, Math.ceil(x + radius)); px++) {
+                const dist = Math.hypot(px + 0.5 - x, py + 0.5 - cy);
+                if (dist >= radius) continue;
+
+                let falloff = 1 - dist / radius;
+                falloff = falloff * falloff * this.tool.strength;
+
+                const idx = (py * n + px) * 2;
+                field[idx] += (tf - field[idx]) * falloff;
+                field[idx + 1] += (tk - field[idx + 1]) * falloff;
+            }
+        }
+
+        this.uploadParameterMap();
+    }
+
+    // Track which (F, K) the parameter map assigns to the texel under the mouse
+    updateParameterMapCursor(x, y) {
+        if (this.paramMap.mode === 'off' || !this.paramMap.field) return;
+
+        const n = this.resolution;
+        const px = Math.max(0, Math.min(n - 1, Math.floor(x)));
+        const py = Math.max(0, Math.min(n - 1, Math.floor(n - y)));
+        const idx = (py * n + px) * 2;
+
+        this.paramMap.cursor = [this.paramMap.field[idx], this.paramMap.field[idx + 1]];
+        this.updateParameterMapInfo();
+    }
+
+    updateParameterMapInfo() {
+        const info = document.getElementById('paramMapInfo');
+        const cursor = this.paramMap.cursor;
+
+        if (!cursor) {
+            info.textContent = '';
+            return;
+        }
+
+        const [paramF, paramK] = this.getSystem().params;
+        const [f, k] = this.fromParameterSpace(cursor[0], cursor[1]);
+        info.textContent = `Under cursor: ${paramF.symbol}=${f.toFixed(4)}, ${paramK.symbol}=${k.toFixed(4)}`;
+    }
+
+    applyStamp(x, y) {
+        if (this.tool.stampShape === 'source' && this.getSeedSourceCanvas()) {
+            this.applySourceStamp(x, y);
+            return;
+        }
+
+        // Add a circular seed at the clicked position
+        const field = this.readState();
 
         // Add stamp
         const radius = this.tool.size;
@@ -945,16 +3199,44 @@ class TuringSimulation {
                     const px = Math.floor(x + dx);
                     const py = Math.floor(this.resolution - y + dy);
                     if (px >= 0 && px < this.resolution && py >= 0 && py < this.resolution) {
-                        const i = (py * this.resolution + px) * 4;
-                        data[i + 1] = 255; // Add chemical B
+                        const i = (py * this.resolution + px) * 2;
+                        field[i + 1] = 1; // Add chemical B
                     }
                 }
             }
         }
 
         // Upload modified data
-        gl.bindTexture(gl.TEXTURE_2D, this.textures[this.currentTexture]);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.resolution, this.resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        this.writeState(field);
+    }
+
+    // Stamp the seed image or text, fitted in a box twice the brush size
+    applySourceStamp(x, y) {
+        const n = this.resolution;
+        const size = Math.round(this.tool.size * 2);
+        const mask = this.getSeedSourceMask(size, size, this.tool.stampRotation);
+        const system = this.getSystem();
+        const patch = system.seed(this.params.feedRate, this.params.killRate).patch;
+        const patchA = patch[0] / system.scale[0];
+        const patchB = patch[1] / system.scale[1];
+        const field = this.readState();
+
+        const left = Math.round(x - size / 2);
+        const bottom = Math.round(n - y - size / 2);
+        for (let sy = 0; sy < size; sy++) {
+            for (let sx = 0; sx < size; sx++) {
+                const amount = mask[sy * size + sx] * this.tool.strength;
+                const px = left + sx;
+                const py = bottom + sy;
+                if (amount <= 0 || px < 0 || px >= n || py < 0 || py >= n) continue;
+
+                const i = (py * n + px) * 2;
+                field[i] += (patchA - field[i]) * amount;
+                field[i + 1] += (patchB - field[i + 1]) * amount;
+            }
+        }
+
+        this.writeState(field);
     }
 
     updateMousePos(e) {
@@ -962,6 +3244,11 @@ class TuringSimulation {
         this.mousePos.x = e.clientX - rect.left;
         this.mousePos.y = e.clientY - rect.top;
 
+        this.updateParameterMapCursor(
+            this.mousePos.x * this.resolution / rect.width,
+            this.mousePos.y * this.resolution / rect.height
+        );
+
         const cursor = document.getElementById('brushCursor');
         cursor.style.left = e.clientX + 'px';
         cursor.style.top = e.clientY + 'px';
@@ -998,6 +3285,52 @@ class TuringSimulation {
         link.click();
     }
 
+    toggleRecording() {
+        if (this.recorder && this.recorder.active) {
+            this.recorder.stop();
+            return;
+        }
+
+        const btn = document.getElementById('recordBtn');
+        const status = document.getElementById('recordStatus');
+        const options = {
+            format: document.getElementById('recordFormat').value,
+            timing: document.getElementById('recordTiming').value,
+            fps: Math.max(1, parseInt(document.getElementById('recordFps').value) || 30),
+            stepsPerFrame: Math.max(1, parseInt(document.getElementById('recordSteps').value) || 8),
+            limitType: document.getElementById('recordLimitType').value,
+            limit: Math.max(1, parseFloat(document.getElementById('recordLimit').value) || 10),
+            filename: `turing-pattern-${this.params.system}-${Date.now()}`
+        };
+
+        const recorder = new SimulationRecorder(this.canvas, options);
+        recorder.onProgress = ({ frames, seconds, steps }) => {
+            status.textContent = `Recording… ${seconds.toFixed(1)}s • ${frames} frames • ${steps} steps`;
+        };
+        recorder.onComplete = () => {
+            btn.textContent = 'Start Recording';
+            btn.classList.remove('recording');
+            status.textContent = `Saved ${recorder.frameCount} frames`;
+        };
+        recorder.onError = (err) => {
+            btn.textContent = 'Start Recording';
+            btn.classList.remove('recording');
+            status.textContent = `Recording failed: ${err.message}`;
+        };
+
+        try {
+            recorder.start(performance.now(), this.stepCount);
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+
+        this.recorder = recorder;
+        btn.textContent = 'Stop Recording';
+        btn.classList.add('recording');
+        status.textContent = 'Recording…';
+    }
+
     copyShareURL() {
         const params = new URLSearchParams({
             f: this.params.feedRate.toFixed(4),
@@ -1005,9 +3338,38 @@ class TuringSimulation {
             da: this.params.diffusionA.toFixed(2),
             db: this.params.diffusionB.toFixed(3),
             sys: this.params.system,
-            color: this.visual.colorScheme
+            bc: this.params.boundary,
+            color: this.visual.colorScheme,
+            seed: this.seed
         });
 
+        // Custom or edited gradients travel in the URL; other machines
+        // won't have the saved scheme
+        const schemeStops = this.getSchemeStops(this.visual.colorScheme);
+        if (this.visual.colorScheme.startsWith('custom:') ||
+            encodeGradient(schemeStops) !== encodeGradient(this.visual.gradient)) {
+            params.set('grad', encodeGradient(this.visual.gradient));
+        }
+        if (this.visual.mapping !== 'B') params.set('map', this.visual.mapping);
+        if (this.transport.anisotropy === 'global') {
+            params.set('aniso', `${this.transport.angle},${this.transport.ratio}`);
+        }
+        if (this.transport.flow !== 'none') {
+            params.set('flow', `${this.transport.flow},${this.transport.flowSpeed},${this.transport.flowAngle}`);
+        }
+        if (this.seedSource.type === 'text' && this.seedSource.text.trim()) {
+            params.set('text', this.seedSource.text);
+            params.set('textmode', this.seedSource.mode === 'grayscale' ? 'gray' : this.seedSource.threshold);
+            if (this.seedSource.invert) params.set('textinvert', 1);
+        }
+        if (this.journey.keyframes.length > 0) {
+            params.set('kf', this.encodeKeyframes());
+            params.set('kfmode', this.journey.playback);
+        }
+        if (this.visual.relief) {
+            params.set('relief', `${this.visual.reliefHeight},${Math.round(this.visual.lightAzimuth)},${Math.round(this.visual.lightElevation)}`);
+        }
+
         const url = window.location.origin + window.location.pathname + '?' + params.toString();
 
         navigator.clipboard.writeText(url).then(() => {
@@ -1020,21 +3382,233 @@ class TuringSimulation {
     loadFromURL() {
         const params = new URLSearchParams(window.location.search);
 
+        // Select the system first: it resets the other parameters to its defaults
+        if (params.has('sys')) this.setSystem(params.get('sys'));
         if (params.has('f')) this.params.feedRate = parseFloat(params.get('f'));
         if (params.has('k')) this.params.killRate = parseFloat(params.get('k'));
         if (params.has('da')) this.params.diffusionA = parseFloat(params.get('da'));
         if (params.has('db')) this.params.diffusionB = parseFloat(params.get('db'));
-        if (params.has('sys')) {
-            this.params.system = params.get('sys');
-            document.getElementById('systemSelect').value = this.params.system;
+        if (params.has('bc')) this.setBoundary(params.get('bc'));
+        if (params.has('color')) this.setColorScheme(params.get('color'));
+        if (params.has('grad')) {
+            const stops = decodeGradient(params.get('grad'));
+            if (stops) {
+                this.visual.gradient = stops;
+                this.gradientEditor.setStops(stops);
+                this.updateGradientTexture();
+            }
+        }
+        if (['A', 'B', 'A-B', 'rate'].includes(params.get('map'))) this.visual.mapping = params.get('map');
+        if (params.has('aniso')) {
+            const [angle, ratio] = params.get('aniso').split(',').map(parseFloat);
+            this.transport.angle = isNaN(angle) ? 0 : angle;
+            this.transport.ratio = Math.max(1, Math.min(4, ratio || 2));
+            this.transport.anisotropy = 'global';
+        }
+        if (params.has('flow')) {
+            const [mode, speed, angle] = params.get('flow').split(',');
+            if (['drift', 'vortex', 'shear'].includes(mode)) this.transport.flow = mode;
+            this.transport.flowSpeed = Math.max(0, Math.min(0.5, parseFloat(speed) || 0.2));
+            this.transport.flowAngle = parseFloat(angle) || 0;
+        }
+        if (params.has('text')) {
+            this.seedSource.text = params.get('text');
+            const mode = params.get('textmode');
+            this.seedSource.mode = mode === 'gray' ? 'grayscale' : 'threshold';
+            if (mode && mode !== 'gray') this.seedSource.threshold = parseFloat(mode) || 0.5;
+            this.seedSource.invert = params.has('textinvert');
+            this.setSeedSourceType('text');
+        }
+        if (params.has('kf')) {
+            this.journey.keyframes = this.decodeKeyframes(params.get('kf'));
+            this.journey.type = 'keyframes';
+            if (['once', 'loop', 'pingpong'].includes(params.get('kfmode'))) this.journey.playback = params.get('kfmode');
         }
-        if (params.has('color')) {
-            this.visual.colorScheme = params.get('color');
-            document.getElementById('colorScheme').value = this.visual.colorScheme;
+        if (params.has('relief')) {
+            const [height, azimuth, elevation] = params.get('relief').split(',').map(parseFloat);
+            this.visual.relief = true;
+            if (!isNaN(height)) this.visual.reliefHeight = height;
+            if (!isNaN(azimuth)) this.visual.lightAzimuth = azimuth;
+            if (!isNaN(elevation)) this.visual.lightElevation = elevation;
+        }
+        this.updateUIFromSettings();
+        if (params.has('seed')) {
+            this.seed = (parseInt(params.get('seed')) || 0) >>> 0;
+            document.getElementById('seedInput').value = this.seed;
         }
 
         this.updateUIFromParams();
     }
+
+    // Save the full simulation: A/B field, parameters, tool and visual settings
+    saveState() {
+        const field = this.readState();
+        const state = {
+            app: 'turing-patterns',
+            version: 1,
+            resolution: this.resolution,
+            stepCount: this.stepCount,
+            seed: this.seed,
+            params: { ...this.params },
+            visual: { ...this.visual },
+            tool: { ...this.tool },
+            paramMap: {
+                mode: this.paramMap.mode,
+                region: this.paramMap.region,
+                field: this.paramMap.field ? bytesToBase64(new Uint8Array(this.paramMap.field.buffer)) : null
+            },
+            transport: {
+                anisotropy: this.transport.anisotropy,
+                angle: this.transport.angle,
+                ratio: this.transport.ratio,
+                angleField: this.transport.angleField ? bytesToBase64(new Uint8Array(this.transport.angleField.buffer)) : null,
+                flow: this.transport.flow,
+                flowSpeed: this.transport.flowSpeed,
+                flowAngle: this.transport.flowAngle
+            },
+            journey: {
+                type: this.journey.type,
+                speed: this.journey.speed,
+                playback: this.journey.playback,
+                keyframes: this.journey.keyframes
+            },
+            domain: {
+                shape: this.domain.shape,
+                mask: this.domain.hasWalls ? bytesToBase64(this.domain.mask) : null
+            },
+            field: bytesToBase64(new Uint8Array(field.buffer))
+        };
+
+        const blob = new Blob([JSON.stringify(state)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `turing-state-${this.params.system}-${this.stepCount}.json`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    async loadState(file) {
+        try {
+            const state = JSON.parse(await file.text());
+            if (state.app !== 'turing-patterns' || !state.field) {
+                throw new Error('not a Turing Patterns state file');
+            }
+            if (state.resolution !== this.resolution) {
+                throw new Error(`resolution ${state.resolution} does not match ${this.resolution}`);
+            }
+
+            const field = new Float32Array(base64ToBytes(state.field).buffer);
+
+            // The system resets ranges and defaults, so apply it first
+            this.setSystem(state.params.system);
+            Object.assign(this.params, state.params);
+            Object.assign(this.visual, state.visual);
+            if (!state.visual.gradient) this.setColorScheme(this.visual.colorScheme);
+            Object.assign(this.tool, state.tool);
+            this.seed = state.seed >>> 0;
+            this.setBoundary(this.params.boundary);
+
+            if (state.transport) {
+                const { angleField, ...settings } = state.transport;
+                Object.assign(this.transport, settings);
+                this.transport.angleField = angleField ? new Float32Array(base64ToBytes(angleField).buffer) : null;
+                if (this.transport.angleField) this.uploadAngleMap();
+            }
+
+            if (state.journey) {
+                this.journey.type = state.journey.type;
+                this.journey.speed = state.journey.speed;
+                this.journey.playback = state.journey.playback;
+                this.journey.keyframes = state.journey.keyframes || [];
+            }
+
+            const domain = state.domain || { shape: 'none', mask: null };
+            this.domain.mask = domain.mask ? base64ToBytes(domain.mask) : null;
+            this.domain.shape = domain.shape || 'none';
+            this.uploadMask();
+
+            const map = state.paramMap || { mode: 'off' };
+            if (map.region) this.setParameterMapRegion(map.region);
+            this.paramMap.mode = map.mode;
+            this.paramMap.field = map.field ? new Float32Array(base64ToBytes(map.field).buffer) : null;
+            if (this.paramMap.field) {
+                this.uploadParameterMap();
+            } else if (map.mode !== 'off') {
+                this.buildParameterMap();
+            }
+
+            for (let i = 0; i < this.textures.length; i++) {
+                this.writeState(field, i);
+            }
+            this.stepCount = state.stepCount || 0;
+            this.clearAnalysis();
+
+            this.updateUIFromParams();
+            this.updateUIFromSettings();
+            this.updateParameterSpaceMarker();
+            this.render();
+        } catch (err) {
+            alert(`Could not load state: ${err.message}`);
+        }
+    }
+
+    // Sync the visual, tool, seed and map controls with the current settings
+    updateUIFromSettings() {
+        document.getElementById('simSpeed').value = this.params.simSpeed;
+        document.getElementById('simSpeedNum').value = this.params.simSpeed;
+
+        document.getElementById('colorScheme').value = this.visual.colorScheme;
+        this.gradientEditor.setStops(this.visual.gradient);
+        this.updateGradientTexture();
+        document.getElementById('colorMapping').value = this.visual.mapping;
+        document.getElementById('reliefEnabled').checked = this.visual.relief;
+        document.getElementById('reliefHeight').value = this.visual.reliefHeight;
+        document.getElementById('reliefHeightVal').textContent = this.visual.reliefHeight.toFixed(1);
+        this.drawLightPad();
+        document.getElementById('contrast').value = this.visual.contrast;
+        document.getElementById('contrastVal').textContent = this.visual.contrast.toFixed(1);
+        document.getElementById('brightness').value = this.visual.brightness;
+        document.getElementById('brightnessVal').textContent = this.visual.brightness.toFixed(1);
+
+        document.querySelectorAll('.tool-btn[data-tool]').forEach(b => b.classList.toggle('active', b.dataset.tool === this.tool.type));
+        document.querySelectorAll('.toggle-btn[data-chemical]').forEach(b => b.classList.toggle('active', b.dataset.chemical === this.tool.chemical));
+        document.getElementById('brushSize').value = this.tool.size;
+        document.getElementById('brushSizeVal').textContent = Math.round(this.tool.size);
+        document.getElementById('brushStrength').value = this.tool.strength;
+        document.getElementById('brushStrengthVal').textContent = this.tool.strength.toFixed(1);
+        document.getElementById('stampShape').value = this.tool.stampShape || 'disc';
+        document.getElementById('stampRotation').value = this.tool.stampRotation || 0;
+        document.getElementById('stampRotationVal').textContent = this.tool.stampRotation || 0;
+        this.updateBrushCursor();
+
+        document.getElementById('seedText').value = this.seedSource.text;
+        document.getElementById('seedMode').value = this.seedSource.mode;
+        document.getElementById('seedThresholdControl').hidden = this.seedSource.mode !== 'threshold';
+        document.getElementById('seedThreshold').value = this.seedSource.threshold;
+        document.getElementById('seedThresholdVal').textContent = this.seedSource.threshold.toFixed(2);
+        document.getElementById('seedInvert').checked = this.seedSource.invert;
+
+        document.getElementById('seedInput').value = this.seed;
+        document.getElementById('paramMapMode').value = this.paramMap.mode;
+        document.getElementById('boundaryMode').value = this.params.boundary;
+        document.getElementById('anisoMode').value = this.transport.anisotropy;
+        document.getElementById('anisoAngle').value = this.transport.angle;
+        document.getElementById('anisoAngleVal').textContent = this.transport.angle;
+        document.getElementById('anisoRatio').value = this.transport.ratio;
+        document.getElementById('anisoRatioVal').textContent = this.transport.ratio.toFixed(1);
+        this.setFlowMode(this.transport.flow);
+        document.getElementById('flowSpeed').value = this.transport.flowSpeed;
+        document.getElementById('flowSpeedVal').textContent = this.transport.flowSpeed.toFixed(2);
+        document.getElementById('flowAngle').value = this.transport.flowAngle;
+        document.getElementById('flowAngleVal').textContent = this.transport.flowAngle;
+        document.getElementById('journeyType').value = this.journey.type;
+        document.getElementById('journeySpeed').value = this.journey.speed;
+        document.getElementById('journeySpeedVal').textContent = this.journey.speed.toFixed(1);
+        document.getElementById('journeyPlayback').value = this.journey.playback;
+        this.renderKeyframeList();
+        document.getElementById('domainShape').value =
+            ['disc', 'ring', 'tail'].includes(this.domain.shape) ? this.domain.shape : 'none';
+    }
 }
 
 // Initialize on DOM ready